@@ -0,0 +1,12 @@
+#!/usr/bin/env node
+import { localeFromEnv, run } from '../src/cli/index.js';
+import { setLocale } from '../src/i18n/index.js';
+
+setLocale(localeFromEnv(process.env));
+
+run(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (err) => {
+  console.error(err);
+  process.exitCode = 1;
+});
@@ -26,4 +26,17 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Command line tool and tests run in Node
+    files: ['bin/**/*.js', 'src/cli/**/*.js', '**/__tests__/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    files: ['src/pwa/serviceWorker.js'],
+    languageOptions: {
+      globals: globals.serviceworker,
+    },
+  },
 ])
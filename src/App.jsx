@@ -1,313 +1,1254 @@
-import React, { useState, useEffect } from 'react';
-import { Upload, Download, Save, RefreshCw, FileImage, AlertCircle, CheckCircle, Info } from 'lucide-react';
+import React, { useEffect, useRef, useState } from 'react';
+import { Upload, Download, Save, RefreshCw, FileImage, AlertCircle, CheckCircle, Info, FolderOpen, Layers, Pencil, ShieldCheck, Library, Search, Trash2, GitCompare, Copy } from 'lucide-react';
+import {
+  detectFormat,
+  describeMetadata, droppedKeywords, normalizeMetadata, formatA1111Parameters, parseA1111Settings, formatA1111Settings,
+  readStealthMetadata, embedStealthMetadata, diffMetadata, mergeMetadata, EDIT_HISTORY_KEY,
+  parametersText, parseMetadataText, imageFingerprint, compareFingerprints, similarityVerdict, SCRUB_OPTION_KEYS,
+} from './metadata/index.js';
+import { crc32 } from './metadata/binary.js';
+import { createLibraryEntry, exportLibrary, matchesLibraryQuery, parseLibraryImport } from './library/entries.js';
+import { addLibraryEntries, addLibraryEntry, deleteLibraryEntry, listLibraryEntries } from './library/store.js';
+import { LOCALES, LOCALE_NAMES, detectLocale, setLocale, t } from './i18n/index.js';
+import { consumeLaunchFiles } from './pwa/launch.js';
+import { readFileMetadata, scrubFileMetadata, writeFileMetadata } from './worker/client.js';
 
-// Piexifjs library for JPG handling
-const LoadScripts = () => {
-  useEffect(() => {
-    if (!window.piexif) {
-      const script = document.createElement('script');
-      script.src = "https://unpkg.com/piexifjs@1.0.6/piexif.js";
-      script.async = true;
-      document.body.appendChild(script);
-    }
-  }, []);
-  return null;
+// --- File Adapters (File/Blob <-> metadata library) ---
+
+const SUPPORTED_IMAGE_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jxl: 'image/jxl',
 };
 
-// --- PNG Helpers (Binary Manipulation for Stable Diffusion & ComfyUI) ---
+// Formats whose pixels can carry a stealth copy and that browsers decode; JPG is lossy-only
+// and most browsers cannot open JPEG XL
+const STEALTH_FORMATS = ['png', 'webp', 'avif'];
 
-const crcTable = [];
-for (let n = 0; n < 256; n++) {
-  let c = n;
-  for (let k = 0; k < 8; k++) {
-    if (c & 1) c = 0xedb88320 ^ (c >>> 1);
-    else c = c >>> 1;
-  }
-  crcTable[n] = c;
+// Files read from dropped directories may come without a MIME type, fall back to the extension
+function detectImageType(file) {
+  if (Object.values(SUPPORTED_IMAGE_TYPES).includes(file.type)) return file.type;
+  const ext = file.name.split('.').pop().toLowerCase();
+  return SUPPORTED_IMAGE_TYPES[ext] || null;
+}
+
+async function readFileBytes(file) {
+  return new Uint8Array(await file.arrayBuffer());
+}
+
+// Container of a File/Blob from its first bytes, without reading the whole file
+async function sniffFormat(file) {
+  return detectFormat(await readFileBytes(file.slice(0, 16)));
+}
+
+// RGBA pixels of an image as decoded by the browser. Colour management and alpha
+// premultiplication are turned off so the LSBs come out exactly as stored.
+async function readImagePixels(file) {
+  const bitmap = await createImageBitmap(file, { colorSpaceConversion: 'none', premultiplyAlpha: 'none' });
+  const canvas = document.createElement('canvas');
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const context = canvas.getContext('2d', { willReadFrequently: true });
+  context.drawImage(bitmap, 0, 0);
+  bitmap.close();
+  return { canvas, context, imageData: context.getImageData(0, 0, canvas.width, canvas.height) };
 }
 
-function crc32(buf) {
-  let c = 0xffffffff;
-  for (let n = 0; n < buf.length; n++) {
-    c = crcTable[(c ^ buf[n]) & 0xff] ^ (c >>> 8);
+// Parsing and writing run in a worker (see worker/client.js); onProgress gets its progress reports
+async function extractMetadata(file, onProgress) {
+  const { result, format } = await readFileMetadata(file, onProgress);
+  if (result || !STEALTH_FORMATS.includes(format)) return result;
+
+  // Sites that re-encode uploads drop the text chunks; a stealth copy survives in the pixels
+  const { imageData } = await readImagePixels(file);
+  const data = await readStealthMetadata(imageData.data, imageData.width, imageData.height);
+  return data ? { type: format, data, stealth: true } : null;
+}
+
+// Returns { blob, dropped, warnings, format, stealthSkipped }: dropped lists generator chunks a
+// non-PNG target cannot hold, warnings what the library had to give up on (see writeMetadataParts).
+// options.stealth re-encodes a STEALTH_FORMATS target as PNG with a stealth copy in the alpha LSBs;
+// the regular text chunks are written on top as usual. Other targets keep their format and
+// come back with stealthSkipped set.
+async function injectMetadata(file, model, options = {}, onProgress) {
+  let target = file;
+  const stealth = options.stealth && STEALTH_FORMATS.includes(await sniffFormat(file));
+  if (stealth) {
+    const { canvas, context, imageData } = await readImagePixels(file);
+    const pixels = await embedStealthMetadata(imageData.data, imageData.width, imageData.height, model);
+    context.putImageData(new ImageData(pixels, imageData.width, imageData.height), 0, 0);
+    const png = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!png) throw new Error(t('error.stealth.encode'));
+    target = png;
   }
-  return c ^ 0xffffffff;
+
+  // A JPG's EXIF thumbnail is rebuilt from the target's own pixels (or dropped if it can't be decoded)
+  const thumbnail = await sniffFormat(target) === 'jpg' ? await createExifThumbnail(file) : null;
+  const { blob, warnings, format } = await writeFileMetadata(target, model, { ...options, thumbnail }, onProgress);
+  return { blob, dropped: droppedKeywords(model, format), warnings, format, stealthSkipped: Boolean(options.stealth) && !stealth };
+}
+
+// "photo.jpg" -> "photo.png" when a stealth copy turned the output into a PNG
+function renameForFormat(name, format) {
+  const ext = name.split('.').pop().toLowerCase();
+  const matches = format === 'jpg' ? ['jpg', 'jpeg'].includes(ext) : ext === format;
+  return matches ? name : `${name.replace(/\.[^.]+$/, '')}.${format}`;
+}
+
+// Loading status for a worker progress report: "<msg> 파일 읽는 중 42%" with a progress bar
+function progressStatus(msg, progress) {
+  const fraction = progress.total ? progress.loaded / progress.total : null;
+  const percent = fraction === null ? '' : ` ${Math.floor(fraction * 100)}%`;
+  return { type: 'loading', msg: `${msg} ${t(`progress.${progress.stage}`)}${percent}`, progress: fraction };
+}
+
+function droppedNote(dropped) {
+  return dropped.length > 0 ? t('note.dropped', { chunks: dropped.join(', ') }) : '';
+}
+
+function stealthSkippedNote(stealthSkipped, format) {
+  return stealthSkipped ? t('note.stealthSkipped', { format: format.toUpperCase() }) : '';
+}
+
+// Sentences of a status message; notes that came out empty are left out
+function joinMessages(...messages) {
+  return messages.filter(Boolean).join(' ');
 }
 
-function writeString(view, offset, string) {
-  for (let i = 0; i < string.length; i++) {
-    view.setUint8(offset + i, string.charCodeAt(i));
+// stealth: the pixels still carry a stealth copy, which chunk-level scrubbing cannot reach
+async function scrubFile(file, options, onProgress) {
+  const { blob, removed, format } = await scrubFileMetadata(file, options, onProgress);
+  let stealth = false;
+  if (STEALTH_FORMATS.includes(format)) {
+    const { imageData } = await readImagePixels(blob);
+    // A damaged stealth block still means something is hidden there
+    stealth = await readStealthMetadata(imageData.data, imageData.width, imageData.height).then(Boolean, () => true);
   }
+  return { blob, removed, stealth };
 }
 
-// Helper to create a single tEXt chunk
-function createPngTextChunk(keyword, text) {
-  const encoder = new TextEncoder();
-  const keyData = encoder.encode(keyword);
-  const textData = encoder.encode(text);
-  
-  const chunkLength = keyData.length + 1 + textData.length;
-  const chunkBuffer = new Uint8Array(chunkLength + 12); // Length(4) + Type(4) + Data + CRC(4)
-  const view = new DataView(chunkBuffer.buffer);
+async function drawThumbnail(file, size) {
+  const bitmap = await createImageBitmap(file);
+  const scale = Math.min(1, size / Math.max(bitmap.width, bitmap.height));
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+  canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+  canvas.getContext('2d').drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+  bitmap.close();
+  return canvas;
+}
 
-  // 1. Length
-  view.setUint32(0, chunkLength);
-  
-  // 2. Type
-  writeString(view, 4, "tEXt");
-  
-  // 3. Data
-  chunkBuffer.set(keyData, 8);
-  chunkBuffer[8 + keyData.length] = 0; // Null separator
-  chunkBuffer.set(textData, 8 + keyData.length + 1);
-  
-  // 4. CRC
-  const crcInput = chunkBuffer.slice(4, 8 + chunkLength);
-  view.setUint32(8 + chunkLength, crc32(crcInput));
+// Small JPEG data URL for the library list; null when the browser can't decode the file
+async function createThumbnail(file, size = 96) {
+  try {
+    return (await drawThumbnail(file, size)).toDataURL('image/jpeg', 0.7);
+  } catch (err) {
+    console.warn("Could not create a thumbnail.", err);
+    return null;
+  }
+}
 
-  return chunkBuffer;
+// JPEG bytes for an EXIF thumbnail (160px, the size cameras use)
+async function createExifThumbnail(file, size = 160) {
+  try {
+    const canvas = await drawThumbnail(file, size);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.8));
+    return blob ? await readFileBytes(blob) : null;
+  } catch (err) {
+    console.warn("Could not create the EXIF thumbnail, saving without it.", err);
+    return null;
+  }
 }
 
-// Extract 'parameters' (A1111) AND 'prompt'/'workflow' (ComfyUI)
-async function extractPngMetadata(file) {
-  const buffer = await file.arrayBuffer();
-  const view = new DataView(buffer);
-  const textDecoder = new TextDecoder('utf-8'); 
-  
-  if (view.getUint32(0) !== 0x89504e47 || view.getUint32(4) !== 0x0d0a1a0a) {
-    throw new Error("유효한 PNG 파일이 아닙니다.");
+// Perceptual hashes of a downscaled copy (see metadata/similarity.js); null when the browser can't decode the file
+async function createFingerprint(file, size = 96) {
+  try {
+    const canvas = await drawThumbnail(file, size);
+    const { data, width, height } = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
+    return imageFingerprint(data, width, height);
+  } catch (err) {
+    console.warn("Could not compute the similarity hash.", err);
+    return null;
   }
+}
 
-  let offset = 8;
-  let chunks = []; 
-
-  while (offset < buffer.byteLength) {
-    const length = view.getUint32(offset);
-    const type = textDecoder.decode(new Uint8Array(buffer, offset + 4, 4));
-    
-    if (type === 'tEXt') {
-      const chunkData = new Uint8Array(buffer, offset + 8, length);
-      let nullIndex = -1;
-      for (let i = 0; i < length; i++) {
-        if (chunkData[i] === 0) {
-          nullIndex = i;
-          break;
-        }
-      }
-      
-      if (nullIndex > -1) {
-        const keyword = textDecoder.decode(chunkData.slice(0, nullIndex));
-        // Check for A1111 OR ComfyUI keywords
-        if (['parameters', 'prompt', 'workflow'].includes(keyword)) {
-            const text = textDecoder.decode(chunkData.slice(nullIndex + 1));
-            chunks.push({ keyword, text });
-        }
-      }
+function similarityLabel(score) {
+  return t(`similarity.${similarityVerdict(score)}`);
+}
+
+// "원본과 유사도 92% (같은 이미지)." or '' when there is no score
+function similarityNote(score) {
+  return score === null ? '' : t('similarity.note', { percent: Math.round(score * 100), verdict: similarityLabel(score) });
+}
+
+
+// --- Batch Helpers (folder drop, pairing, ZIP) ---
+
+// Suffixes editors and upscalers typically append to the generated filename
+const EDIT_SUFFIX_PATTERN = /[\s._-]*(edit(ed)?|inpaint(ed)?|upscaled?|fixed|final|copy|복사본|\(\d+\)|x[234])$/i;
+
+function fileStem(name) {
+  let stem = name.replace(/\.[^.]+$/, '').toLowerCase().replace(/^fixed_/, '');
+  while (EDIT_SUFFIX_PATTERN.test(stem)) stem = stem.replace(EDIT_SUFFIX_PATTERN, '');
+  return stem;
+}
+
+// Seeds and timestamps in names like "00012-1234567890.png" or "ComfyUI_20240101_123456.png"
+function numberTokens(name) {
+  return name.match(/\d{5,}/g) || [];
+}
+
+// For every edited file, the index of its original (-1 when nothing matches).
+// Exact filename stems win, then a shared seed/timestamp number.
+function pairBatchFiles(originals, edits) {
+  const stems = originals.map(f => fileStem(f.name));
+  const tokens = originals.map(f => numberTokens(f.name));
+
+  return edits.map((edit) => {
+    const stemIndex = stems.indexOf(fileStem(edit.name));
+    if (stemIndex > -1) return stemIndex;
+
+    const editTokens = numberTokens(edit.name);
+    if (editTokens.length === 0) return -1;
+    const matches = tokens
+      .map((t, i) => ({ i, score: t.filter(n => editTokens.includes(n)).reduce((acc, n) => acc + n.length, 0) }))
+      .filter(m => m.score > 0)
+      .sort((a, b) => b.score - a.score);
+    return matches.length > 0 ? matches[0].i : -1;
+  });
+}
+
+// For every edited file, the original whose image looks most like it as { index, score },
+// or null when no original is more than unrelated (or fingerprints are still missing)
+function suggestPairs(originals, edits, fingerprints) {
+  return edits.map((edit) => {
+    let best = null;
+    originals.forEach((original, index) => {
+      const score = compareFingerprints(fingerprints.get(original), fingerprints.get(edit));
+      if (score !== null && similarityVerdict(score) !== 'unrelated' && (!best || score > best.score)) best = { index, score };
+    });
+    return best;
+  });
+}
+
+// Dropped items may include directories; walk them with the (webkit) FileSystem Entry API.
+// Entries must be taken synchronously inside the drop handler, before any await.
+function getDroppedEntries(dataTransfer) {
+  const items = Array.from(dataTransfer.items || []);
+  return items.map(item => item.webkitGetAsEntry && item.webkitGetAsEntry()).filter(Boolean);
+}
+
+async function collectEntryFiles(entries) {
+  const files = [];
+  const walk = async (entry) => {
+    if (entry.isFile) {
+      files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+    } else if (entry.isDirectory) {
+      const reader = entry.createReader();
+      let batch;
+      do {
+        batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+        for (const child of batch) await walk(child);
+      } while (batch.length > 0);
     }
-    
-    offset += 12 + length; 
-  }
+  };
+  for (const entry of entries) await walk(entry);
+  return files.filter(f => detectImageType(f));
+}
 
-  return chunks.length > 0 ? { type: 'png', data: chunks } : null;
+function dosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
 }
 
-// Inject multiple chunks into PNG (Re-assembly method)
-// This method parses the target file chunk by chunk, removes existing AI metadata,
-// and inserts the new metadata right after IHDR.
-async function injectPngMetadata(file, newMetadataChunks) {
-  const originalBuffer = await file.arrayBuffer();
-  const view = new DataView(originalBuffer);
-  const textDecoder = new TextDecoder('utf-8');
+// Build an uncompressed (store) ZIP. Images are already compressed, so deflating them gains nothing.
+// entries: [{ name, data: Uint8Array }]
+function createZip(entries) {
+  const encoder = new TextEncoder();
+  const { time, day } = dosDateTime(new Date());
+  const parts = [];
+  const central = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    const name = encoder.encode(entry.name);
+    const crc = crc32(entry.data);
+
+    const local = new Uint8Array(30 + name.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true); // Local file header signature
+    lv.setUint16(4, 20, true);         // Version needed
+    lv.setUint16(6, 0x0800, true);     // UTF-8 file names
+    lv.setUint16(8, 0, true);          // Method: store
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, day, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, entry.data.length, true);
+    lv.setUint32(22, entry.data.length, true);
+    lv.setUint16(26, name.length, true);
+    local.set(name, 30);
+
+    const header = new Uint8Array(46 + name.length);
+    const cv = new DataView(header.buffer);
+    cv.setUint32(0, 0x02014b50, true); // Central directory header signature
+    cv.setUint16(4, 20, true);         // Version made by
+    cv.setUint16(6, 20, true);         // Version needed
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, day, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, entry.data.length, true);
+    cv.setUint32(24, entry.data.length, true);
+    cv.setUint16(28, name.length, true);
+    cv.setUint32(42, offset, true);    // Local header offset
+    header.set(name, 46);
+
+    parts.push(local, entry.data);
+    central.push(header);
+    offset += local.length + entry.data.length;
+  }
+
+  const centralSize = central.reduce((acc, h) => acc + h.length, 0);
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);   // End of central directory signature
+  ev.setUint16(8, entries.length, true);
+  ev.setUint16(10, entries.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
 
-  // 1. Validate Signature
-  if (view.getUint32(0) !== 0x89504e47 || view.getUint32(4) !== 0x0d0a1a0a) {
-    throw new Error("유효한 PNG 파일이 아닙니다.");
+  return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
+
+// Same name twice in one archive (e.g. from different folders) gets a counter
+function uniqueZipName(name, used) {
+  let candidate = name;
+  for (let i = 1; used.has(candidate); i++) {
+    candidate = name.replace(/(\.[^.]+)?$/, `_${i}$1`);
   }
+  used.add(candidate);
+  return candidate;
+}
+
+
+// --- Batch Mode Component ---
+
+function BatchMode({ setStatus, injectOptions }) {
+  const [originals, setOriginals] = useState([]);
+  const [edits, setEdits] = useState([]);
+  const [pairs, setPairs] = useState([]);
+  const [results, setResults] = useState({});
+  const [zip, setZip] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [fingerprints, setFingerprints] = useState(() => new Map()); // File -> fingerprint (null when undecodable)
+
+  // Fingerprint the loaded files one at a time in the background
+  useEffect(() => {
+    const file = [...originals, ...edits].find(f => !fingerprints.has(f));
+    if (!file) return;
+    let cancelled = false;
+    createFingerprint(file).then((fingerprint) => {
+      if (!cancelled) setFingerprints(prev => new Map(prev).set(file, fingerprint));
+    });
+    return () => { cancelled = true; };
+  }, [originals, edits, fingerprints]);
+
+  const scoreOf = i => (pairs[i] > -1 ? compareFingerprints(fingerprints.get(originals[pairs[i]]), fingerprints.get(edits[i])) : null);
+  const suggestions = suggestPairs(originals, edits, fingerprints);
+  // Suggestions for edits that are unpaired, or paired with an original that looks less alike
+  const betterPair = i => {
+    const suggestion = suggestions[i];
+    const score = scoreOf(i);
+    return suggestion && suggestion.index !== pairs[i] && (score === null || suggestion.score > score) ? suggestion : null;
+  };
+  const applySuggestions = () => setPairs(pairs.map((p, i) => betterPair(i)?.index ?? p));
 
-  const chunksToKeep = [];
-  let offset = 8; // Skip signature
-
-  // Add Signature first
-  chunksToKeep.push(new Uint8Array(originalBuffer.slice(0, 8)));
-
-  // 2. Parse chunks
-  while (offset < originalBuffer.byteLength) {
-    const length = view.getUint32(offset);
-    const type = textDecoder.decode(new Uint8Array(originalBuffer, offset + 4, 4));
-    const fullChunkSize = 12 + length; // Len(4) + Type(4) + Data(Len) + CRC(4)
-    
-    let shouldKeep = true;
-
-    // Filter out existing AI metadata from the target file
-    if (type === 'tEXt') {
-      const chunkData = new Uint8Array(originalBuffer, offset + 8, length);
-      let nullIndex = -1;
-      for (let i = 0; i < length; i++) {
-        if (chunkData[i] === 0) {
-          nullIndex = i;
-          break;
-        }
+  const updateFiles = (nextOriginals, nextEdits) => {
+    setOriginals(nextOriginals);
+    setEdits(nextEdits);
+    setPairs(pairBatchFiles(nextOriginals, nextEdits));
+    setResults({});
+    setZip(null);
+  };
+
+  const addFiles = (files, side) => {
+    const images = files.filter(f => detectImageType(f));
+    if (side === 'originals') updateFiles([...originals, ...images], edits);
+    else updateFiles(originals, [...edits, ...images]);
+  };
+
+  const handleDrop = async (e, side) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const entries = getDroppedEntries(e.dataTransfer);
+    const files = entries.length > 0 ? await collectEntryFiles(entries) : Array.from(e.dataTransfer.files);
+    addFiles(files, side);
+  };
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  const handleRun = async () => {
+    setRunning(true);
+    setZip(null);
+    const nextResults = {};
+    const zipEntries = [];
+    const usedNames = new Set();
+    const cache = new Map(); // One extraction per original, even when it has several edits
+
+    for (let i = 0; i < edits.length; i++) {
+      const edit = edits[i];
+      const source = originals[pairs[i]];
+      if (!source) {
+        nextResults[i] = { type: 'skip', msg: t('batch.skipped') };
+        continue;
       }
-      if (nullIndex > -1) {
-        const keyword = textDecoder.decode(chunkData.slice(0, nullIndex));
-        if (['parameters', 'prompt', 'workflow'].includes(keyword)) {
-          shouldKeep = false; // Drop this chunk (it's the broken/old metadata)
-        }
+      const msg = t('batch.running', { index: i + 1, total: edits.length, name: edit.name });
+      const onProgress = progress => setStatus(progressStatus(msg, progress));
+      setStatus({ type: 'loading', msg });
+
+      try {
+        if (!cache.has(source)) cache.set(source, await extractMetadata(source, onProgress));
+        const meta = cache.get(source);
+        if (!meta) throw new Error(t('error.noSourceMetadata'));
+
+        const { blob, dropped, warnings, format, stealthSkipped } = await injectMetadata(edit, meta.data, injectOptions, onProgress);
+        zipEntries.push({ name: uniqueZipName(`fixed_${renameForFormat(edit.name, format)}`, usedNames), data: new Uint8Array(await blob.arrayBuffer()) });
+        nextResults[i] = { type: 'success', msg: joinMessages(t('batch.done'), droppedNote(dropped), stealthSkippedNote(stealthSkipped, format), ...warnings) };
+      } catch (err) {
+        console.error(err);
+        nextResults[i] = { type: 'error', msg: err.message };
       }
+      setResults({ ...nextResults });
     }
 
-    if (shouldKeep) {
-      chunksToKeep.push(new Uint8Array(originalBuffer.slice(offset, offset + fullChunkSize)));
+    if (zipEntries.length > 0) {
+      setZip({ url: URL.createObjectURL(createZip(zipEntries)), name: `exif-exists_${zipEntries.length}.zip` });
     }
+    const failed = Object.values(nextResults).filter(r => r.type === 'error').length;
+    setStatus({
+      type: failed > 0 || zipEntries.length === 0 ? 'error' : 'success',
+      msg: t('batch.summary', { succeeded: zipEntries.length, failed }),
+    });
+    setRunning(false);
+  };
 
-    // If this was IHDR, insert our NEW metadata right after it
-    if (type === 'IHDR') {
-      for (const meta of newMetadataChunks) {
-        chunksToKeep.push(createPngTextChunk(meta.keyword, meta.text));
-      }
+  const dropZone = (side, files, label, accent) => (
+    <div
+      className={`border-2 border-dashed rounded-xl h-40 flex flex-col items-center justify-center p-4 text-center transition-all cursor-pointer group border-gray-600 hover:bg-gray-800 ${accent}`}
+      onDragEnter={handleDrag}
+      onDragLeave={handleDrag}
+      onDragOver={handleDrag}
+      onDrop={(e) => handleDrop(e, side)}
+      onClick={() => document.getElementById(`batch-upload-${side}`).click()}
+    >
+      <input type="file" id={`batch-upload-${side}`} className="hidden" multiple accept="image/png,image/jpeg,image/webp,image/avif,image/jxl,.avif,.jxl" onChange={(e) => { addFiles(Array.from(e.target.files), side); e.target.value = ''; }} />
+      <FolderOpen size={36} className="mx-auto text-gray-500 mb-2" />
+      <p className="font-medium text-gray-300">{label}</p>
+      <p className="text-sm text-gray-500">{files.length > 0 ? t('batch.fileCount', { count: files.length }) : t('batch.dropHint')}</p>
+    </div>
+  );
+
+  return (
+    <div className="space-y-6">
+      <div className="grid md:grid-cols-2 gap-8">
+        {dropZone('originals', originals, t('batch.originals'), 'hover:border-green-500')}
+        {dropZone('edits', edits, t('batch.edits'), 'hover:border-blue-500')}
+      </div>
+
+      {edits.length > 0 && (
+        <div className="bg-gray-800 rounded-xl border border-gray-700 overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-900/50 text-gray-400 text-left">
+              <tr>
+                <th className="p-3 font-medium">{t('batch.column.edit')}</th>
+                <th className="p-3 font-medium">{t('batch.column.original')}</th>
+                <th className="p-3 font-medium w-20" title={t('batch.column.similarity.title')}>{t('batch.column.similarity')}</th>
+                <th className="p-3 font-medium w-24">{t('batch.column.result')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {edits.map((edit, i) => (
+                <tr key={`${edit.name}-${i}`} className="border-t border-gray-700">
+                  <td className="p-3 break-all">{edit.name}</td>
+                  <td className="p-3">
+                    <select
+                      className="bg-gray-900 border border-gray-700 rounded px-2 py-1 w-full"
+                      value={pairs[i]}
+                      onChange={(e) => setPairs(pairs.map((p, j) => (j === i ? Number(e.target.value) : p)))}
+                    >
+                      <option value={-1}>{t('batch.skipOption')}</option>
+                      {originals.map((original, j) => (
+                        <option key={`${original.name}-${j}`} value={j}>{original.name}</option>
+                      ))}
+                    </select>
+                    {betterPair(i) && (
+                      <button
+                        className="mt-1 text-xs text-blue-300 hover:text-blue-200 underline cursor-pointer text-left break-all"
+                        onClick={() => setPairs(pairs.map((p, j) => (j === i ? betterPair(i).index : p)))}
+                      >
+                        {t('batch.suggestion', { name: originals[betterPair(i).index].name, percent: Math.round(betterPair(i).score * 100) })}
+                      </button>
+                    )}
+                  </td>
+                  <td className={`p-3 ${scoreOf(i) !== null && similarityVerdict(scoreOf(i)) === 'unrelated' ? 'text-red-300' : 'text-gray-400'}`} title={scoreOf(i) !== null ? similarityLabel(scoreOf(i)) : undefined}>
+                    {scoreOf(i) !== null ? `${Math.round(scoreOf(i) * 100)}%` : '-'}
+                  </td>
+                  <td className={`p-3 ${results[i]?.type === 'error' ? 'text-red-300' : results[i]?.type === 'success' ? 'text-green-300' : 'text-gray-500'}`} title={results[i]?.msg}>
+                    {results[i] ? (results[i].type === 'error' ? t('batch.failed') : results[i].msg) : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex items-center gap-4">
+        <button
+          className="bg-blue-600 hover:bg-blue-500 disabled:opacity-50 disabled:cursor-not-allowed text-white px-6 py-3 rounded-full font-bold flex items-center gap-2 cursor-pointer"
+          disabled={running || !pairs.some(p => p > -1)}
+          onClick={handleRun}
+        >
+          <RefreshCw size={18} className={running ? 'animate-spin' : ''} />
+          {t('batch.run')}
+        </button>
+        {zip && (
+          <a href={zip.url} download={zip.name} className="bg-green-600 hover:bg-green-500 text-white px-6 py-3 rounded-full font-bold flex items-center gap-2">
+            <Download size={18} />
+            {t('batch.saveZip')}
+          </a>
+        )}
+        {edits.some((_, i) => betterPair(i)) && (
+          <button className="text-sm text-blue-300 hover:text-blue-200 underline cursor-pointer" onClick={applySuggestions}>
+            {t('batch.applySuggestions')}
+          </button>
+        )}
+        {(originals.length > 0 || edits.length > 0) && (
+          <button className="ml-auto text-sm text-gray-400 hover:text-white underline cursor-pointer" onClick={() => updateFiles([], [])}>
+            {t('batch.clear')}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+
+// --- Scrub Mode Component ---
+
+// Every scrub option (see metadata/scrub.js) is one checkbox, labelled by its scrub.option.<key> message
+function ScrubMode({ setStatus }) {
+  const [options, setOptions] = useState(() => Object.fromEntries(SCRUB_OPTION_KEYS.map(key => [key, true])));
+  const [result, setResult] = useState(null);
+
+  const handleScrub = async (file) => {
+    setStatus({ type: 'loading', msg: t('scrub.running') });
+    setResult(null);
+    try {
+      const scrubbed = await scrubFile(file, options, progress => setStatus(progressStatus(t('scrub.running'), progress)));
+      setResult({ url: URL.createObjectURL(scrubbed.blob), name: `clean_${file.name}`, removed: scrubbed.removed });
+      setStatus({
+        type: 'success',
+        msg: joinMessages(
+          scrubbed.removed.length > 0 ? t('scrub.removed', { name: file.name, count: scrubbed.removed.length }) : t('scrub.nothing', { name: file.name }),
+          scrubbed.stealth && t('scrub.stealthRemains'),
+        ),
+      });
+    } catch (e) {
+      console.error(e);
+      setStatus({ type: 'error', msg: t('scrub.failed', { message: e.message }) });
     }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.dataTransfer.files && e.dataTransfer.files[0]) handleScrub(e.dataTransfer.files[0]);
+  };
+
+  const handleDrag = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  return (
+    <div className="grid md:grid-cols-2 gap-8">
+      <div className="bg-gray-800 p-6 rounded-xl border border-gray-700 space-y-3">
+        <h3 className="font-bold text-green-400 flex items-center gap-2">
+          <ShieldCheck size={20} />
+          {t('scrub.title')}
+        </h3>
+        {SCRUB_OPTION_KEYS.map(key => (
+          <label key={key} className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+            <input
+              type="checkbox"
+              className="accent-green-500"
+              checked={options[key]}
+              onChange={(e) => setOptions({ ...options, [key]: e.target.checked })}
+            />
+            {t(`scrub.option.${key}`)}
+          </label>
+        ))}
+        <p className="text-xs text-gray-500">{t('scrub.optionsNote')}</p>
+      </div>
+
+      <div
+        className="border-2 border-dashed rounded-xl min-h-64 flex flex-col items-center justify-center p-6 text-center transition-all cursor-pointer group border-gray-600 hover:border-green-500 hover:bg-gray-800"
+        onDragEnter={handleDrag}
+        onDragLeave={handleDrag}
+        onDragOver={handleDrag}
+        onDrop={handleDrop}
+        onClick={() => document.getElementById('scrub-upload').click()}
+      >
+        <input type="file" id="scrub-upload" className="hidden" accept="image/png,image/jpeg,image/webp,image/avif,image/jxl,.avif,.jxl" onChange={(e) => { if (e.target.files[0]) handleScrub(e.target.files[0]); e.target.value = ''; }} />
+        {result ? (
+          <div className="space-y-3 w-full">
+            <CheckCircle size={40} className="mx-auto text-green-400" />
+            <ul className="text-sm text-left text-gray-300 bg-gray-900 rounded p-3 space-y-1">
+              {result.removed.length > 0
+                ? result.removed.map((item, i) => <li key={i}>− {item}</li>)
+                : <li className="text-gray-500">{t('scrub.noneRemoved')}</li>}
+            </ul>
+            <a
+              href={result.url}
+              download={result.name}
+              className="bg-green-600 hover:bg-green-500 text-white px-6 py-3 rounded-full font-bold inline-flex items-center gap-2"
+              onClick={(e) => e.stopPropagation()}
+            >
+              <Download size={18} />
+              {t('common.save')}
+            </a>
+          </div>
+        ) : (
+          <div className="space-y-3 group-hover:scale-105 transition-transform">
+            <ShieldCheck size={48} className="mx-auto text-gray-500 group-hover:text-green-400" />
+            <p className="font-medium text-gray-300">{t('scrub.dropTitle')}</p>
+            <p className="text-sm text-gray-500">{t('common.dropOrClick')}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+
+// --- Metadata Editor Component ---
 
-    offset += fullChunkSize;
+const INPUT_CLASS = "bg-gray-900 border border-gray-700 rounded px-2 py-1 w-full text-sm text-gray-200 focus:outline-none focus:border-green-500";
+
+// Keep the original JSON type when a primitive is edited through a text input
+function coerceLike(original, value) {
+  if (typeof original === 'number') {
+    const number = Number(value);
+    return value.trim() !== '' && !Number.isNaN(number) ? number : value;
   }
+  if (typeof original === 'boolean') return value === 'true';
+  return value;
+}
 
-  // 3. Assemble final blob
-  // Calculate total size
-  const totalSize = chunksToKeep.reduce((acc, chunk) => acc + chunk.length, 0);
-  const finalBuffer = new Uint8Array(totalSize);
-  
-  let currentPos = 0;
-  for (const chunk of chunksToKeep) {
-    finalBuffer.set(chunk, currentPos);
-    currentPos += chunk.length;
+function isPrimitive(value) {
+  return value === null || ['string', 'number', 'boolean'].includes(typeof value);
+}
+
+function PrimitiveField({ label, value, onChange }) {
+  const text = value === null ? '' : String(value);
+  return (
+    <label className="grid grid-cols-3 gap-2 items-start">
+      <span className="text-xs text-gray-400 pt-1 break-all">{label}</span>
+      {text.length > 60 ? (
+        <textarea className={`${INPUT_CLASS} col-span-2 h-20`} value={text} onChange={(e) => onChange(coerceLike(value, e.target.value))} />
+      ) : (
+        <input className={`${INPUT_CLASS} col-span-2`} value={text} onChange={(e) => onChange(coerceLike(value, e.target.value))} />
+      )}
+    </label>
+  );
+}
+
+// API-format prompt: { "3": { class_type, inputs: { seed: 1, model: ["4", 0] } } }
+function ComfyPromptNodes({ json, onChange }) {
+  let prompt;
+  try {
+    prompt = JSON.parse(json);
+  } catch {
+    return <p className="text-xs text-red-300">{t('editor.badPromptJson')}</p>;
   }
 
-  return new Blob([finalBuffer], { type: 'image/png' });
+  const setInput = (id, name, value) => {
+    const node = prompt[id];
+    onChange(JSON.stringify({ ...prompt, [id]: { ...node, inputs: { ...node.inputs, [name]: value } } }));
+  };
+
+  return (
+    <div className="space-y-2">
+      {Object.entries(prompt).map(([id, node]) => (
+        <details key={id} className="bg-gray-900/50 rounded border border-gray-700 p-2">
+          <summary className="cursor-pointer text-sm text-gray-300">
+            #{id} {node.class_type}{node._meta?.title && node._meta.title !== node.class_type ? ` · ${node._meta.title}` : ''}
+          </summary>
+          <div className="space-y-2 mt-2">
+            {Object.entries(node.inputs || {}).map(([name, value]) => (
+              isPrimitive(value) ? (
+                <PrimitiveField key={name} label={name} value={value} onChange={(v) => setInput(id, name, v)} />
+              ) : (
+                <div key={name} className="grid grid-cols-3 gap-2 text-xs text-gray-500">
+                  <span className="break-all">{name}</span>
+                  <span className="col-span-2">{Array.isArray(value) ? `← #${value[0]}` : JSON.stringify(value)}</span>
+                </div>
+              )
+            ))}
+          </div>
+        </details>
+      ))}
+    </div>
+  );
 }
 
+// UI workflow: { nodes: [{ id, type, title, widgets_values: [...] }], links: [...] }
+function ComfyWorkflowNodes({ json, onChange }) {
+  let workflow;
+  try {
+    workflow = JSON.parse(json);
+  } catch {
+    return <p className="text-xs text-red-300">{t('editor.badWorkflowJson')}</p>;
+  }
+  if (!Array.isArray(workflow.nodes)) return <p className="text-xs text-gray-500">{t('editor.noNodes')}</p>;
 
-// --- JPG Helpers (using window.piexif) ---
+  const setWidget = (index, key, value) => {
+    const nodes = workflow.nodes.map((node, i) => {
+      if (i !== index) return node;
+      const widgets = Array.isArray(node.widgets_values) ? [...node.widgets_values] : { ...node.widgets_values };
+      widgets[key] = value;
+      return { ...node, widgets_values: widgets };
+    });
+    onChange(JSON.stringify({ ...workflow, nodes }));
+  };
 
-async function extractJpgMetadata(file) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const exifObj = window.piexif.load(e.target.result);
-        resolve({ type: 'jpg', data: exifObj });
-      } catch (err) {
-        resolve(null); 
-      }
-    };
-    reader.readAsDataURL(file);
-  });
+  return (
+    <div className="space-y-2">
+      {workflow.nodes.map((node, index) => (
+        <details key={node.id ?? index} className="bg-gray-900/50 rounded border border-gray-700 p-2">
+          <summary className="cursor-pointer text-sm text-gray-300">
+            #{node.id} {node.type}{node.title ? ` · ${node.title}` : ''}
+          </summary>
+          <div className="space-y-2 mt-2">
+            {Object.entries(node.widgets_values || {}).filter(([, value]) => isPrimitive(value)).map(([key, value]) => (
+              <PrimitiveField key={key} label={`widget ${key}`} value={value} onChange={(v) => setWidget(index, key, v)} />
+            ))}
+          </div>
+        </details>
+      ))}
+    </div>
+  );
 }
 
-async function injectJpgMetadata(file, metadataObj) {
-  return new Promise((resolve, reject) => {
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const exifStr = window.piexif.dump(metadataObj);
-        const inserted = window.piexif.insert(exifStr, e.target.result);
-        const byteString = atob(inserted.split(',')[1]);
-        const mimeString = inserted.split(',')[0].split(':')[1].split(';')[0];
-        const ab = new ArrayBuffer(byteString.length);
-        const ia = new Uint8Array(ab);
-        for (let i = 0; i < byteString.length; i++) ia[i] = byteString.charCodeAt(i);
-        const blob = new Blob([ab], { type: mimeString });
-        resolve(blob);
-      } catch (err) {
-        reject(err);
-      }
-    };
-    reader.readAsDataURL(file);
-  });
+// Rows live in local state so half-typed keys/values survive; a different settings
+// line coming from outside (new extraction) resets them.
+function SettingsEditor({ settings, onChange }) {
+  const [pairs, setPairs] = useState(() => parseA1111Settings(settings));
+  const [synced, setSynced] = useState(settings);
+  if (settings !== synced) {
+    setSynced(settings);
+    setPairs(parseA1111Settings(settings));
+  }
+
+  const update = (next) => {
+    const formatted = formatA1111Settings(next);
+    setPairs(next);
+    setSynced(formatted);
+    onChange(formatted);
+  };
+
+  return (
+    <div className="space-y-2">
+      {pairs.map(([key, value], i) => (
+        <div key={i} className="grid grid-cols-3 gap-2">
+          <input className={INPUT_CLASS} value={key} onChange={(e) => update(pairs.map((p, j) => (j === i ? [e.target.value, p[1]] : p)))} />
+          <div className="col-span-2 flex gap-2">
+            <input className={INPUT_CLASS} value={value} onChange={(e) => update(pairs.map((p, j) => (j === i ? [p[0], e.target.value] : p)))} />
+            <button className="text-gray-500 hover:text-red-400 px-2 cursor-pointer" title={t('common.delete')} onClick={() => update(pairs.filter((_, j) => j !== i))}>×</button>
+          </div>
+        </div>
+      ))}
+      <button className="text-xs text-green-400 hover:underline cursor-pointer" onClick={() => update([...pairs, ['Note', '']])}>
+        {t('editor.addSetting')}
+      </button>
+    </div>
+  );
+}
+
+// What the copy buttons put on the clipboard; buttons without text are hidden
+const COPY_TARGETS = [
+  { key: 'prompt', text: metadata => metadata.positive },
+  { key: 'parameters', text: metadata => parametersText(metadata) },
+  { key: 'workflow', text: metadata => metadata.workflow },
+];
+
+// Every change produces a new model; whatever is shown here is what step 2 injects
+function MetadataEditor({ metadata, onChange, onCopy }) {
+  const set = (field, value) => onChange({ ...metadata, [field]: value });
+  const setText = (keyword, value) => onChange({ ...metadata, texts: { ...metadata.texts, [keyword]: value } });
+  const hasParameters = Boolean(formatA1111Parameters(metadata));
+  const textKeywords = Object.keys(metadata.texts || {});
+  const copyTargets = COPY_TARGETS.filter(target => target.text(metadata));
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-xl border border-gray-700 space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <h3 className="font-bold text-lg text-green-400 flex items-center gap-2 mr-auto">
+          <Pencil size={20} />
+          {t('editor.title')}
+        </h3>
+        {copyTargets.map(target => (
+          <button
+            key={target.key}
+            className="text-xs bg-gray-700 hover:bg-gray-600 text-gray-200 px-3 py-1.5 rounded flex items-center gap-1 cursor-pointer"
+            onClick={() => onCopy(t(`editor.copy.${target.key}`), target.text(metadata))}
+          >
+            <Copy size={14} />
+            {t('editor.copy', { label: t(`editor.copy.${target.key}`) })}
+          </button>
+        ))}
+      </div>
+
+      {(hasParameters || !(metadata.prompt || metadata.workflow || textKeywords.length > 0)) && (
+        <div className="space-y-4">
+          <label className="block space-y-1">
+            <span className="text-sm text-gray-400">Prompt</span>
+            <textarea className={`${INPUT_CLASS} h-28`} value={metadata.positive} onChange={(e) => set('positive', e.target.value)} />
+          </label>
+          <label className="block space-y-1">
+            <span className="text-sm text-gray-400">Negative prompt</span>
+            <textarea className={`${INPUT_CLASS} h-20`} value={metadata.negative} onChange={(e) => set('negative', e.target.value)} />
+          </label>
+          <div className="space-y-1">
+            <span className="text-sm text-gray-400">{t('editor.settings')}</span>
+            <SettingsEditor settings={metadata.settings} onChange={(v) => set('settings', v)} />
+          </div>
+        </div>
+      )}
+
+      {metadata.prompt && (
+        <div className="space-y-2">
+          <span className="text-sm text-gray-400">ComfyUI prompt</span>
+          <ComfyPromptNodes json={metadata.prompt} onChange={(v) => set('prompt', v)} />
+        </div>
+      )}
+
+      {metadata.workflow && (
+        <div className="space-y-2">
+          <span className="text-sm text-gray-400">ComfyUI workflow</span>
+          <ComfyWorkflowNodes json={metadata.workflow} onChange={(v) => set('workflow', v)} />
+        </div>
+      )}
+
+      {textKeywords.length > 0 && (
+        <div className="space-y-4">
+          {textKeywords.map(keyword => (
+            <label key={keyword} className="block space-y-1">
+              <span className="text-sm text-gray-400">{describeMetadata(metadata)} · {keyword}</span>
+              <textarea className={`${INPUT_CLASS} h-24 font-mono text-xs`} value={metadata.texts[keyword]} onChange={(e) => setText(keyword, e.target.value)} />
+            </label>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+
+// --- Metadata Diff Component (source vs. what the target already has) ---
+
+// In display order; labelled by diff.group.<group>, statuses and choices by diff.status.* and diff.choice.*
+const DIFF_GROUPS = ['a1111', 'settings', 'comfy-prompt', 'comfy-workflow', 'texts'];
+
+function DiffValue({ value }) {
+  if (value === undefined) return <span className="text-gray-600">{t('diff.none')}</span>;
+  return <span className="break-all line-clamp-3" title={value}>{value}</span>;
+}
+
+// Items the target doesn't have are shown too, but start on "원본 사용" like a plain inject
+function MetadataDiff({ source, target, targetName, onApply, onCancel }) {
+  const items = diffMetadata(source, target).filter(item => item.status !== 'same');
+  const [choices, setChoices] = useState({});
+  const choiceOf = item => choices[item.id] || 'source';
+  const chooseAll = choice => setChoices(Object.fromEntries(items.filter(item => item.choices.includes(choice)).map(item => [item.id, choice])));
+  const groups = DIFF_GROUPS.filter(group => items.some(item => item.group === group));
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-xl border border-blue-700 space-y-4">
+      <h3 className="font-bold text-lg text-blue-400 flex items-center gap-2">
+        <GitCompare size={20} />
+        {t('diff.title', { name: targetName })}
+      </h3>
+      <p className="text-sm text-gray-400">
+        {t('diff.intro')}
+        {' '}{t('diff.mergeNote', { key: EDIT_HISTORY_KEY })}
+      </p>
+      <div className="flex gap-3 text-xs">
+        <button className="text-green-400 hover:underline cursor-pointer" onClick={() => chooseAll('source')}>{t('diff.allSource')}</button>
+        <button className="text-blue-400 hover:underline cursor-pointer" onClick={() => chooseAll('target')}>{t('diff.allTarget')}</button>
+      </div>
+
+      {groups.map(group => (
+        <div key={group} className="space-y-2">
+          <span className="text-sm text-gray-400">{t(`diff.group.${group}`)}</span>
+          {items.filter(item => item.group === group).map(item => (
+            <div key={item.id} className="bg-gray-900/50 rounded border border-gray-700 p-2 space-y-2 text-xs">
+              <div className="flex items-center gap-2">
+                <span className="text-sm text-gray-300 break-all">{item.label}</span>
+                <span className="text-gray-500">{t(`diff.status.${item.status}`)}</span>
+                <div className="ml-auto flex gap-1 shrink-0">
+                  {item.choices.map(choice => (
+                    <button
+                      key={choice}
+                      className={`px-2 py-1 rounded cursor-pointer ${choiceOf(item) === choice ? 'bg-blue-600 text-white' : 'bg-gray-700 text-gray-300 hover:bg-gray-600'}`}
+                      onClick={() => setChoices({ ...choices, [item.id]: choice })}
+                    >
+                      {t(`diff.choice.${choice}`)}
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {item.details.length > 0 ? (
+                <ul className="text-gray-400 font-mono space-y-0.5">
+                  {item.details.map(detail => <li key={detail} className="break-all">{detail}</li>)}
+                </ul>
+              ) : (
+                <div className="grid grid-cols-2 gap-2 text-gray-400">
+                  <div><span className="text-green-500">{t('diff.source')} </span><DiffValue value={item.source} /></div>
+                  <div><span className="text-blue-400">{t('diff.target')} </span><DiffValue value={item.target} /></div>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      ))}
+
+      <div className="flex gap-3">
+        <button className="bg-blue-600 hover:bg-blue-500 text-white px-4 py-2 rounded-lg text-sm font-bold cursor-pointer" onClick={() => onApply(mergeMetadata(source, target, choices))}>
+          {t('diff.apply')}
+        </button>
+        <button className="text-sm text-gray-400 hover:text-white cursor-pointer" onClick={onCancel}>{t('common.cancel')}</button>
+      </div>
+    </div>
+  );
+}
+
+
+// --- Similarity Warning Component (target does not look like the source) ---
+
+function SimilarityWarning({ score, sourceName, targetName, onConfirm, onCancel }) {
+  return (
+    <div className="bg-yellow-900/20 p-6 rounded-xl border border-yellow-700 space-y-3">
+      <h3 className="font-bold text-lg text-yellow-300 flex items-center gap-2">
+        <AlertCircle size={20} />
+        {t('warning.title', { percent: Math.round(score * 100) })}
+      </h3>
+      <p className="text-sm text-gray-300">
+        {t('warning.body', { target: targetName, source: sourceName })}
+        {' '}{t('warning.hint')}
+      </p>
+      <div className="flex items-center gap-3">
+        {onConfirm && (
+          <button className="bg-yellow-700 hover:bg-yellow-600 text-white px-4 py-2 rounded-lg text-sm font-bold cursor-pointer" onClick={onConfirm}>
+            {t('warning.confirm')}
+          </button>
+        )}
+        <button className="text-sm text-gray-400 hover:text-white underline cursor-pointer" onClick={onCancel}>
+          {t('common.cancel')}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+
+// --- Metadata Library Component (IndexedDB) ---
+
+function LibraryPanel({ entries, activeId, locale, onSelect, onDelete, onImport, onExport }) {
+  const [query, setQuery] = useState('');
+  const visible = entries.filter(entry => matchesLibraryQuery(entry, query));
+
+  return (
+    <div className="bg-gray-800 p-6 rounded-xl border border-gray-700 space-y-4">
+      <div className="flex items-center gap-2">
+        <h3 className="font-bold text-lg text-green-400 flex items-center gap-2">
+          <Library size={20} />
+          {t('library.title')}
+        </h3>
+        <span className="text-xs text-gray-500">{t('library.count', { count: entries.length })}</span>
+        <label className="ml-auto text-sm text-gray-400 hover:text-white flex items-center gap-1 cursor-pointer">
+          <Upload size={14} />
+          {t('library.import')}
+          <input type="file" className="hidden" accept="application/json,.json" onChange={(e) => { e.target.files[0] && onImport(e.target.files[0]); e.target.value = ''; }} />
+        </label>
+        <button className="text-sm text-gray-400 hover:text-white flex items-center gap-1 cursor-pointer disabled:opacity-40" disabled={entries.length === 0} onClick={onExport}>
+          <Download size={14} />
+          {t('library.export')}
+        </button>
+      </div>
+
+      <div className="relative">
+        <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500" />
+        <input
+          className="w-full bg-gray-900 border border-gray-700 rounded-lg pl-9 pr-3 py-2 text-sm text-gray-200 focus:outline-none focus:border-green-500"
+          placeholder={t('library.searchPlaceholder')}
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+        />
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('library.empty')}</p>
+      ) : visible.length === 0 ? (
+        <p className="text-sm text-gray-500">{t('library.noResults')}</p>
+      ) : (
+        <ul className="space-y-2 max-h-96 overflow-y-auto">
+          {visible.map(entry => (
+            <li key={entry.id} className={`flex items-center gap-3 p-2 rounded-lg border ${entry.id === activeId ? 'border-green-600 bg-green-900/20' : 'border-gray-700 bg-gray-900/50'}`}>
+              {entry.thumbnail ? (
+                <img src={entry.thumbnail} className="w-12 h-12 object-cover rounded" alt="" />
+              ) : (
+                <div className="w-12 h-12 rounded bg-gray-800 flex items-center justify-center"><FileImage size={20} className="text-gray-600" /></div>
+              )}
+              <div className="flex-1 min-w-0 text-sm">
+                <p className="text-gray-200 truncate">
+                  {entry.sourceName}
+                  <span className="ml-2 text-xs bg-gray-700 text-gray-300 px-1.5 py-0.5 rounded">{entry.generator}</span>
+                </p>
+                <p className="text-xs text-gray-500 truncate">{entry.metadata.positive || entry.models.join(', ') || '-'}</p>
+                <p className="text-xs text-gray-600 truncate">
+                  {new Date(entry.createdAt).toLocaleString(locale)}
+                  {entry.seeds.length > 0 && ` · Seed ${entry.seeds.join(', ')}`}
+                  {entry.models.length > 0 && ` · ${entry.models.join(', ')}`}
+                </p>
+              </div>
+              <button className="text-xs bg-green-700 hover:bg-green-600 text-white px-3 py-1.5 rounded cursor-pointer" onClick={() => onSelect(entry)}>
+                {t('library.use')}
+              </button>
+              <button className="text-gray-500 hover:text-red-400 p-1 cursor-pointer" title={t('common.delete')} onClick={() => onDelete(entry)}>
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+
+// --- Locale ---
+
+// A message with **bold** spans, for the catalog texts that need emphasis
+function RichText({ text }) {
+  return text.split('**').map((part, i) => (i % 2 === 1 ? <strong key={i}>{part}</strong> : part));
+}
+
+const LOCALE_STORAGE_KEY = 'exif-exists-locale';
+
+// The language picked in the header last time, else the browser's
+function initialLocale() {
+  try {
+    const stored = localStorage.getItem(LOCALE_STORAGE_KEY);
+    if (LOCALES.includes(stored)) return stored;
+  } catch (err) {
+    console.warn("Could not read the saved locale.", err);
+  }
+  return detectLocale(navigator.languages?.length ? navigator.languages : [navigator.language]);
 }
 
+
 // --- Main App Component ---
 
 export default function ExifPreserverApp() {
+  // Set before the first render so every t() call already sees it
+  const [locale, setLocaleState] = useState(() => setLocale(initialLocale()));
   const [cachedMetadata, setCachedMetadata] = useState(null);
   const [sourceFileName, setSourceFileName] = useState("");
   const [processedImage, setProcessedImage] = useState(null);
-  const [status, setStatus] = useState({ type: 'idle', msg: '이미지 파일을 기다리는 중...' });
+  // msg null shows the waiting text in the current language
+  const [status, setStatus] = useState({ type: 'idle', msg: null });
   const [dragActive, setDragActive] = useState(false);
+  const [compressText, setCompressText] = useState(false);
+  const [stealthCopy, setStealthCopy] = useState(false);
+  const [xmpCopy, setXmpCopy] = useState(false);
+  const [mode, setMode] = useState('single');
+  const [library, setLibrary] = useState([]);
+  const [activeEntryId, setActiveEntryId] = useState(null);
+  const [pendingInject, setPendingInject] = useState(null);
+
+  useEffect(() => {
+    listLibraryEntries().then(setLibrary, (err) => console.warn("Could not open the library.", err));
+  }, []);
   
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Messages already shown stay in the old language; everything rendered from now on switches
+  const changeLocale = (next) => {
+    setLocaleState(setLocale(next));
+    try {
+      localStorage.setItem(LOCALE_STORAGE_KEY, next);
+    } catch (err) {
+      console.warn("Could not save the locale.", err);
+    }
+  };
+
   const appLogo = "/logo.jpg"; 
 
-  // Step 1: Extract
+  // Step 1: Extract. Resolves with the stored result, or null when there was nothing to store
   const handleExtract = async (file) => {
-    setStatus({ type: 'loading', msg: '메타데이터 추출 중...' });
+    setStatus({ type: 'loading', msg: t('status.extracting') });
     setProcessedImage(null); 
+    setPendingInject(null);
 
     try {
-      let result = null;
-      if (file.type === 'image/png') {
-        result = await extractPngMetadata(file);
-      } else if (file.type === 'image/jpeg') {
-        if (!window.piexif) throw new Error("JPG 라이브러리 로딩 중... 잠시 후 다시 시도해주세요.");
-        result = await extractJpgMetadata(file);
-      } else if (file.type === 'image/webp') {
-        setStatus({ type: 'error', msg: "WebP는 현재 실험적 지원입니다. PNG 사용을 권장합니다." });
-        return; 
-      }
+      const extracted = await extractMetadata(file, progress => setStatus(progressStatus(t('status.extracting'), progress)));
 
-      if (result) {
+      if (extracted) {
+        // Kept with the metadata so the target can be checked against it at inject time
+        const result = { ...extracted, fingerprint: await createFingerprint(file) };
         setCachedMetadata(result);
         setSourceFileName(file.name);
         
-        let successDetail = "";
-        if (result.type === 'png') {
-            const keywords = result.data.map(c => c.keyword);
-            if (keywords.includes('workflow')) successDetail = "(ComfyUI)";
-            else if (keywords.includes('parameters')) successDetail = "(A1111)";
-        }
-        
-        setStatus({ type: 'success', msg: `[${file.name}]에서 메타데이터${successDetail}를 저장했습니다!` });
-      } else {
-        setStatus({ type: 'error', msg: '이 이미지에는 복구할 AI 메타데이터가 없습니다.' });
+        const details = [describeMetadata(result.data), result.stealth && 'stealth', result.fromXmp && t('status.xmpCopy')].filter(Boolean).join(', ');
+        const trailingNote = result.trailingBytes ? t('status.trailingData', { size: result.trailingBytes }) : '';
+
+        setStatus({ type: 'success', msg: joinMessages(t('status.extracted', { name: file.name, details }), trailingNote, ...(result.warnings || [])) });
+        await saveToLibrary(file, result);
+        return result;
       }
+      setStatus({ type: 'error', msg: t('status.noMetadata') });
     } catch (e) {
       console.error(e);
-      setStatus({ type: 'error', msg: `오류 발생: ${e.message}` });
+      setStatus({ type: 'error', msg: t('status.readFailed', { message: e.message }) });
+    }
+    return null;
+  };
+
+  const saveToLibrary = async (file, result) => {
+    const entry = createLibraryEntry({
+      type: result.type, metadata: result.data, sourceName: file ? file.name : t('status.pastedTextName'), thumbnail: file && await createThumbnail(file),
+      fingerprint: result.fingerprint,
+    });
+    try {
+      const id = await addLibraryEntry(entry);
+      setLibrary(prev => [{ ...entry, id }, ...prev]);
+      setActiveEntryId(id);
+    } catch (err) {
+      console.warn("Could not save to the library.", err);
+      setActiveEntryId(null);
     }
   };
 
-  // Step 2: Inject
-  const handleInject = async (file) => {
-    if (!cachedMetadata) {
-      setStatus({ type: 'error', msg: '먼저 1단계에서 원본 메타데이터를 추출해주세요!' });
+  const handleSelectEntry = (entry) => {
+    setCachedMetadata({ type: entry.type, data: normalizeMetadata(entry.metadata), fingerprint: entry.fingerprint });
+    setSourceFileName(entry.sourceName);
+    setActiveEntryId(entry.id);
+    setProcessedImage(null);
+    setPendingInject(null);
+    setStatus({ type: 'success', msg: t('status.librarySelected', { name: entry.sourceName, generator: entry.generator }) });
+  };
+
+  const handleDeleteEntry = async (entry) => {
+    try {
+      await deleteLibraryEntry(entry.id);
+      setLibrary(prev => prev.filter(e => e.id !== entry.id));
+    } catch (err) {
+      setStatus({ type: 'error', msg: t('status.deleteFailed', { message: err.message }) });
+    }
+  };
+
+  const handleImportLibrary = async (file) => {
+    try {
+      const entries = parseLibraryImport(await file.text(), library);
+      await addLibraryEntries(entries);
+      setLibrary(await listLibraryEntries());
+      setStatus({ type: 'success', msg: t('status.imported', { count: entries.length }) });
+    } catch (err) {
+      setStatus({ type: 'error', msg: t('status.importFailed', { message: err.message }) });
+    }
+  };
+
+  const handleExportLibrary = () => {
+    const url = URL.createObjectURL(new Blob([exportLibrary(library)], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `exif-exists-library_${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  // Step 2: Inject. `source` defaults to the metadata from step 1; it is passed in when step 1
+  // ran in the same event (two shared files) and its state has not been rendered yet
+  const handleInject = async (file, source = cachedMetadata, sourceName = sourceFileName) => {
+    if (!source) {
+      setStatus({ type: 'error', msg: t('status.extractFirst') });
       return;
     }
 
-    setStatus({ type: 'loading', msg: '메타데이터 주입 중...' });
+    setPendingInject(null);
+    setStatus({ type: 'loading', msg: t('status.checkingTarget') });
+
+    // A wrong drag would give this image someone else's prompt and seed
+    const similarity = compareFingerprints(source.fingerprint, await createFingerprint(file));
+    const unrelated = similarity !== null && similarityVerdict(similarity) === 'unrelated';
 
+    let existing = null;
+    let conflicts = false;
     try {
-      let finalBlob = null;
+      // Inject replaces the target's AI metadata; when there is something to lose, ask first
+      existing = await extractMetadata(file, progress => setStatus(progressStatus(t('status.checkingTarget'), progress)));
+      conflicts = Boolean(existing) && diffMetadata(source.data, existing.data).some(item => ['changed', 'removed'].includes(item.status));
+    } catch (e) {
+      // Unreadable target metadata is replaced like before
+      console.warn("Could not read the target image's metadata.", e);
+    }
 
-      if (file.type === 'image/png' && cachedMetadata.type !== 'png') {
-        setStatus({ type: 'error', msg: '형식 불일치: PNG에는 PNG 메타데이터만 씌울 수 있습니다.' });
-        return;
-      }
-      if (file.type === 'image/jpeg' && cachedMetadata.type !== 'jpg') {
-        setStatus({ type: 'error', msg: '형식 불일치: JPG에는 JPG 메타데이터만 씌울 수 있습니다.' });
-        return;
-      }
+    if (conflicts || unrelated) {
+      setPendingInject({ file, target: conflicts ? existing.data : null, similarity, unrelated });
+      setStatus({
+        type: 'idle',
+        msg: joinMessages(
+          unrelated && t('status.unrelated', { target: file.name, source: sourceName, percent: Math.round(similarity * 100) }),
+          conflicts && t('status.conflicts', { name: file.name, generator: describeMetadata(existing.data) }),
+          conflicts ? t('status.chooseBelow') : t('status.confirmBelow'),
+        ),
+      });
+      return;
+    }
 
-      if (file.type === 'image/png') {
-        finalBlob = await injectPngMetadata(file, cachedMetadata.data);
-      } else if (file.type === 'image/jpeg') {
-        finalBlob = await injectJpgMetadata(file, cachedMetadata.data);
-      }
+    await runInject(file, source.data, similarity);
+  };
+
+  const runInject = async (file, model, similarity = null) => {
+    setPendingInject(null);
+    setStatus({ type: 'loading', msg: t('status.injecting') });
 
-      if (finalBlob) {
-        const url = URL.createObjectURL(finalBlob);
-        setProcessedImage({ url, name: `fixed_${file.name}` });
-        setStatus({ type: 'success', msg: '메타데이터 복구 완료! 아래에서 다운로드하세요.' });
+    try {
+      const { blob, dropped, warnings, format, stealthSkipped } = await injectMetadata(
+        file, model, { compress: compressText, stealth: stealthCopy, xmp: xmpCopy },
+        progress => setStatus(progressStatus(t('status.injecting'), progress)),
+      );
+
+      if (blob) {
+        const url = URL.createObjectURL(blob);
+        setProcessedImage({ url, name: `fixed_${renameForFormat(file.name, format)}` });
+        setStatus({ type: 'success', msg: joinMessages(t('status.injected'), similarityNote(similarity), droppedNote(dropped), stealthSkippedNote(stealthSkipped, format), ...warnings) });
       }
     } catch (e) {
       console.error(e);
-      setStatus({ type: 'error', msg: `주입 실패: ${e.message}` });
+      setStatus({ type: 'error', msg: t('status.injectFailed', { message: e.message }) });
     }
   };
 
@@ -332,9 +1273,87 @@ export default function ExifPreserverApp() {
     }
   };
 
+  // Pasted A1111 parameters or ComfyUI JSON become the source, like an extracted image
+  const handlePasteText = async (text) => {
+    const data = parseMetadataText(text);
+    if (!data) {
+      setStatus({ type: 'error', msg: t('status.badPastedText') });
+      return;
+    }
+
+    const result = { type: null, data };
+    setCachedMetadata(result);
+    setSourceFileName(t('status.pastedTextName'));
+    setProcessedImage(null);
+    setPendingInject(null);
+    setStatus({ type: 'success', msg: t('status.pasted', { generator: describeMetadata(data) }) });
+    await saveToLibrary(null, result);
+  };
+
+  const handleCopy = async (label, text) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setStatus({ type: 'success', msg: t('status.copied', { label }) });
+    } catch (err) {
+      setStatus({ type: 'error', msg: t('status.copyFailed', { message: err.message }) });
+    }
+  };
+
+  // Images shared to the installed app or opened with it: with a source already loaded the first
+  // one is the target (step 2), otherwise it is the source and a second one the target
+  const handleReceivedFiles = async (files) => {
+    const images = files.filter(f => detectImageType(f));
+    if (images.length === 0) {
+      setStatus({ type: 'error', msg: t('status.noReceivedImages') });
+      return;
+    }
+
+    setMode('single');
+    if (cachedMetadata) {
+      await handleInject(images[0]);
+      return;
+    }
+    const source = await handleExtract(images[0]);
+    if (source && images[1]) await handleInject(images[1], source, images[0].name);
+  };
+
+  // The listeners below are registered once and call through this, so they see the current
+  // mode, source and handlers; refreshed after every render
+  const latest = useRef(null);
+  useEffect(() => {
+    latest.current = { mode, handleExtract, handleInject, handlePasteText, handleReceivedFiles };
+  });
+
+  // Ctrl+V goes to the step whose drop zone has focus (step 1 when neither has); text fields paste as usual
+  useEffect(() => {
+    const onPaste = (e) => {
+      const { mode, handleExtract, handleInject, handlePasteText } = latest.current;
+      if (mode !== 'single') return;
+
+      const active = document.activeElement;
+      if (active && (active.tagName === 'INPUT' || active.tagName === 'TEXTAREA' || active.isContentEditable)) return;
+
+      const step = active?.id === 'drop-zone-2' ? 2 : 1;
+      const file = Array.from(e.clipboardData.files).find(f => detectImageType(f));
+      const text = e.clipboardData.getData('text/plain');
+      if (!file && !(step === 1 && text.trim())) return;
+
+      e.preventDefault();
+      if (file && step === 1) handleExtract(file);
+      else if (file) handleInject(file);
+      else handlePasteText(text);
+    };
+    document.addEventListener('paste', onPaste);
+    return () => document.removeEventListener('paste', onPaste);
+  }, []);
+
+  // Images shared to the app or opened with it
+  useEffect(() => {
+    consumeLaunchFiles(files => latest.current.handleReceivedFiles(files));
+  }, []);
+
   return (
     <div className="min-h-screen bg-gray-900 text-gray-100 font-sans selection:bg-green-500 selection:text-white flex flex-col">
-      <LoadScripts />
       
       {/* Header */}
       <div className="bg-gray-800 border-b border-gray-700 p-4 shadow-lg">
@@ -344,12 +1363,20 @@ export default function ExifPreserverApp() {
                 <span className="font-bold text-xs text-white absolute" style={{display: 'none'}}>EXIF</span>
             </div>
             <div>
-                <h1 className="text-2xl font-bold text-green-400 tracking-tight">EXIF 있음</h1>
-                <p className="text-gray-400 text-sm hidden sm:block">AI 이미지 메타데이터 보존 및 복구 도구</p>
+                <h1 className="text-2xl font-bold text-green-400 tracking-tight">{t('app.title')}</h1>
+                <p className="text-gray-400 text-sm hidden sm:block">{t('app.subtitle')}</p>
             </div>
             <div className="ml-auto text-sm text-gray-400 font-medium">
-              제작자 : 아카라이브 근첩A
+              {t('app.credit')}
             </div>
+            <select
+                className="bg-gray-900 border border-gray-700 rounded px-2 py-1 text-sm text-gray-300 cursor-pointer"
+                aria-label={t('app.language')}
+                value={locale}
+                onChange={(e) => changeLocale(e.target.value)}
+            >
+                {LOCALES.map(code => <option key={code} value={code}>{LOCALE_NAMES[code]}</option>)}
+            </select>
         </div>
       </div>
 
@@ -364,9 +1391,58 @@ export default function ExifPreserverApp() {
           {status.type === 'error' ? <AlertCircle size={20} /> : 
            status.type === 'success' ? <CheckCircle size={20} /> : 
            <Info size={20} />}
-          <span className="font-medium">{status.msg}</span>
+          <div className="flex-1 min-w-0">
+            <span className="font-medium">{status.msg ?? t('status.waiting')}</span>
+            {status.type === 'loading' && status.progress != null && (
+              <div className="mt-2 h-1 rounded bg-gray-700 overflow-hidden">
+                <div className="h-full bg-blue-500 transition-all" style={{ width: `${Math.round(status.progress * 100)}%` }} />
+              </div>
+            )}
+          </div>
+        </div>
+
+        {/* Mode Switch */}
+        <div className="flex items-center gap-2">
+            <button
+                className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 cursor-pointer ${mode === 'single' ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`}
+                onClick={() => setMode('single')}
+            >
+                <FileImage size={16} />
+                {t('mode.single')}
+            </button>
+            <button
+                className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 cursor-pointer ${mode === 'batch' ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`}
+                onClick={() => setMode('batch')}
+            >
+                <Layers size={16} />
+                {t('mode.batch')}
+            </button>
+            <button
+                className={`px-4 py-2 rounded-lg text-sm font-medium flex items-center gap-2 cursor-pointer ${mode === 'scrub' ? 'bg-gray-700 text-white' : 'text-gray-400 hover:text-white'}`}
+                onClick={() => setMode('scrub')}
+            >
+                <ShieldCheck size={16} />
+                {t('mode.scrub')}
+            </button>
+            <label className="ml-auto text-xs text-gray-400 flex items-center gap-1 cursor-pointer" title={t('option.compress.title')}>
+                <input type="checkbox" className="accent-green-500" checked={compressText} onChange={(e) => setCompressText(e.target.checked)} />
+                {t('option.compress')}
+            </label>
+            <label className="text-xs text-gray-400 flex items-center gap-1 cursor-pointer" title={t('option.stealth.title')}>
+                <input type="checkbox" className="accent-green-500" checked={stealthCopy} onChange={(e) => setStealthCopy(e.target.checked)} />
+                {t('option.stealth')}
+            </label>
+            <label className="text-xs text-gray-400 flex items-center gap-1 cursor-pointer" title={t('option.xmp.title')}>
+                <input type="checkbox" className="accent-green-500" checked={xmpCopy} onChange={(e) => setXmpCopy(e.target.checked)} />
+                {t('option.xmp')}
+            </label>
         </div>
 
+        {mode === 'scrub' ? (
+            <ScrubMode setStatus={setStatus} />
+        ) : mode === 'batch' ? (
+            <BatchMode setStatus={setStatus} injectOptions={{ compress: compressText, stealth: stealthCopy, xmp: xmpCopy }} />
+        ) : (
         <div className="grid md:grid-cols-2 gap-8">
             
             {/* Step 1: Source */}
@@ -374,13 +1450,15 @@ export default function ExifPreserverApp() {
                 <div className="flex items-center justify-between">
                     <h2 className="text-xl font-bold flex items-center gap-2">
                         <span className="bg-gray-700 w-8 h-8 rounded-full flex items-center justify-center text-sm">1</span>
-                        원본 불러오기
+                        {t('step1.title')}
                     </h2>
-                    {cachedMetadata && <span className="text-xs bg-green-900 text-green-300 px-2 py-1 rounded">데이터 확보됨</span>}
+                    {cachedMetadata && <span className="text-xs bg-green-900 text-green-300 px-2 py-1 rounded">{t('step1.ready')}</span>}
                 </div>
                 
                 <div 
-                    className={`border-2 border-dashed rounded-xl h-64 flex flex-col items-center justify-center p-6 text-center transition-all cursor-pointer group
+                    id="drop-zone-1"
+                    tabIndex={0}
+                    className={`border-2 border-dashed rounded-xl h-64 flex flex-col items-center justify-center p-6 text-center transition-all cursor-pointer group focus:outline-none focus:ring-2 focus:ring-green-500
                     ${cachedMetadata ? 'border-green-500/50 bg-green-900/10' : 'border-gray-600 hover:border-green-500 hover:bg-gray-800'}`}
                     onDragEnter={handleDrag}
                     onDragLeave={handleDrag}
@@ -388,27 +1466,26 @@ export default function ExifPreserverApp() {
                     onDrop={(e) => handleDrop(e, 1)}
                     onClick={() => document.getElementById('file-upload-1').click()}
                 >
-                    <input type="file" id="file-upload-1" className="hidden" accept="image/png,image/jpeg,image/webp" onChange={(e) => e.target.files[0] && handleExtract(e.target.files[0])} />
+                    <input type="file" id="file-upload-1" className="hidden" accept="image/png,image/jpeg,image/webp,image/avif,image/jxl,.avif,.jxl" onChange={(e) => e.target.files[0] && handleExtract(e.target.files[0])} />
                     
                     {cachedMetadata ? (
                         <div className="space-y-3">
                             <FileImage size={48} className="mx-auto text-green-400" />
                             <div>
                                 <p className="font-bold text-green-400">{sourceFileName}</p>
-                                <p className="text-sm text-gray-400">메타데이터 캐시 저장 완료</p>
+                                <p className="text-sm text-gray-400">{t('step1.cached')}</p>
                             </div>
                             <div className="text-xs text-gray-500 bg-gray-900 p-2 rounded max-h-24 overflow-hidden text-left break-all opacity-70">
-                                {cachedMetadata.type === 'png' ? 
-                                    (cachedMetadata.data.find(c => c.keyword === 'parameters') ? "A1111 Metadata Found" : "ComfyUI Metadata Found") 
-                                    : "EXIF Data Cached"}
+                                {`${t('step1.found', { generator: describeMetadata(cachedMetadata.data) })}${cachedMetadata.type ? ` (${cachedMetadata.type.toUpperCase()})` : ''}`}
                             </div>
                         </div>
                     ) : (
                         <div className="space-y-3 group-hover:scale-105 transition-transform">
                             <Save size={48} className="mx-auto text-gray-500 group-hover:text-green-400" />
                             <div>
-                                <p className="font-medium text-gray-300">원본(프롬프트 있는) 사진을</p>
-                                <p className="text-sm text-gray-500">여기에 드래그하거나 클릭하세요</p>
+                                <p className="font-medium text-gray-300">{t('step1.dropTitle')}</p>
+                                <p className="text-sm text-gray-500">{t('common.dropOrClick')}</p>
+                                <p className="text-xs text-gray-600">{t('step1.pasteHint')}</p>
                             </div>
                         </div>
                     )}
@@ -420,12 +1497,14 @@ export default function ExifPreserverApp() {
                  <div className="flex items-center justify-between">
                     <h2 className="text-xl font-bold flex items-center gap-2">
                         <span className="bg-gray-700 w-8 h-8 rounded-full flex items-center justify-center text-sm">2</span>
-                        수정본 덮어쓰기
+                        {t('step2.title')}
                     </h2>
                 </div>
 
                 <div 
-                    className={`border-2 border-dashed rounded-xl h-64 flex flex-col items-center justify-center p-6 text-center transition-all cursor-pointer group relative overflow-hidden
+                    id="drop-zone-2"
+                    tabIndex={cachedMetadata ? 0 : -1}
+                    className={`border-2 border-dashed rounded-xl h-64 flex flex-col items-center justify-center p-6 text-center transition-all cursor-pointer group relative overflow-hidden focus:outline-none focus:ring-2 focus:ring-blue-500
                     ${!cachedMetadata ? 'opacity-50 pointer-events-none border-gray-700' : 'border-gray-600 hover:border-blue-500 hover:bg-gray-800'}`}
                     onDragEnter={handleDrag}
                     onDragLeave={handleDrag}
@@ -433,7 +1512,7 @@ export default function ExifPreserverApp() {
                     onDrop={(e) => handleDrop(e, 2)}
                     onClick={() => cachedMetadata && document.getElementById('file-upload-2').click()}
                 >
-                    <input type="file" id="file-upload-2" className="hidden" accept="image/png,image/jpeg,image/webp" onChange={(e) => e.target.files[0] && handleInject(e.target.files[0])} />
+                    <input type="file" id="file-upload-2" className="hidden" accept="image/png,image/jpeg,image/webp,image/avif,image/jxl,.avif,.jxl" onChange={(e) => e.target.files[0] && handleInject(e.target.files[0])} />
                     
                     {processedImage ? (
                         <div className="relative w-full h-full flex flex-col items-center justify-center z-10">
@@ -448,13 +1527,13 @@ export default function ExifPreserverApp() {
                                     onClick={(e) => e.stopPropagation()}
                                 >
                                     <Download size={18} />
-                                    저장하기
+                                    {t('common.save')}
                                 </a>
                                 <button 
                                     className="text-sm text-gray-400 hover:text-white underline cursor-pointer"
                                     onClick={(e) => { e.stopPropagation(); setProcessedImage(null); }}
                                 >
-                                    다른 파일 작업하기
+                                    {t('step2.another')}
                                 </button>
                             </div>
                         </div>
@@ -462,8 +1541,9 @@ export default function ExifPreserverApp() {
                         <div className="space-y-3 group-hover:scale-105 transition-transform">
                             <RefreshCw size={48} className="mx-auto text-gray-500 group-hover:text-blue-400" />
                             <div>
-                                <p className="font-medium text-gray-300">수정된(메타데이터 없는) 사진을</p>
-                                <p className="text-sm text-gray-500">여기에 드래그하여 복구하세요</p>
+                                <p className="font-medium text-gray-300">{t('step2.dropTitle')}</p>
+                                <p className="text-sm text-gray-500">{t('step2.dropHint')}</p>
+                                <p className="text-xs text-gray-600">{t('step2.pasteHint')}</p>
                             </div>
                         </div>
                     )}
@@ -471,37 +1551,87 @@ export default function ExifPreserverApp() {
             </div>
 
         </div>
+        )}
+
+        {mode === 'single' && cachedMetadata && pendingInject?.unrelated && (
+            <SimilarityWarning
+                score={pendingInject.similarity}
+                sourceName={sourceFileName}
+                targetName={pendingInject.file.name}
+                // With a diff below, its own apply button goes ahead
+                onConfirm={pendingInject.target ? null : () => runInject(pendingInject.file, cachedMetadata.data, pendingInject.similarity)}
+                onCancel={() => {
+                  setPendingInject(null);
+                  setStatus({ type: 'idle', msg: t('status.injectCancelled') });
+                }}
+            />
+        )}
+
+        {mode === 'single' && cachedMetadata && pendingInject?.target && (
+            <MetadataDiff
+                key={pendingInject.file.name}
+                source={cachedMetadata.data}
+                target={pendingInject.target}
+                targetName={pendingInject.file.name}
+                onApply={(model) => runInject(pendingInject.file, model, pendingInject.similarity)}
+                onCancel={() => {
+                  setPendingInject(null);
+                  setStatus({ type: 'idle', msg: t('status.injectCancelled') });
+                }}
+            />
+        )}
+
+        {mode === 'single' && cachedMetadata && (
+            <MetadataEditor
+                metadata={cachedMetadata.data}
+                onChange={(data) => setCachedMetadata({ ...cachedMetadata, data })}
+                onCopy={handleCopy}
+            />
+        )}
+
+        {mode === 'single' && (
+            <LibraryPanel
+                entries={library}
+                activeId={activeEntryId}
+                locale={locale}
+                onSelect={handleSelectEntry}
+                onDelete={handleDeleteEntry}
+                onImport={handleImportLibrary}
+                onExport={handleExportLibrary}
+            />
+        )}
 
         <div className="bg-gray-800 p-6 rounded-xl border border-gray-700">
             <h3 className="font-bold text-lg mb-4 text-green-400 flex items-center gap-2">
                 <Info size={20} />
-                사용 가이드
+                {t('guide.title')}
             </h3>
             <div className="grid md:grid-cols-3 gap-4 text-sm text-gray-300">
                 <div className="bg-gray-900/50 p-4 rounded-lg border border-gray-700 flex flex-col gap-2">
                     <span className="font-bold text-white flex items-center gap-2">
                         <span className="bg-gray-700 w-5 h-5 rounded-full flex items-center justify-center text-xs">1</span>
-                        원본 확보
+                        {t('guide.step1.title')}
                     </span>
-                    <p>메타데이터가 살아있는 <strong>원본 사진</strong>(A1111/ComfyUI 모두 지원)을 왼쪽 칸에 드래그합니다.</p>
+                    <p><RichText text={t('guide.step1.body')} /></p>
                 </div>
                  <div className="bg-gray-900/50 p-4 rounded-lg border border-gray-700 flex flex-col gap-2">
                     <span className="font-bold text-white flex items-center gap-2">
                         <span className="bg-gray-700 w-5 h-5 rounded-full flex items-center justify-center text-xs">2</span>
-                        편집 및 수정
+                        {t('guide.step2.title')}
                     </span>
-                    <p>포토샵이나 인페인팅 툴로 이미지를 수정합니다. (ComfyUI의 workflow나 prompt 정보가 사라져도 괜찮습니다.)</p>
+                    <p><RichText text={t('guide.step2.body')} /></p>
                 </div>
                  <div className="bg-gray-900/50 p-4 rounded-lg border border-gray-700 flex flex-col gap-2">
                     <span className="font-bold text-white flex items-center gap-2">
                         <span className="bg-gray-700 w-5 h-5 rounded-full flex items-center justify-center text-xs">3</span>
-                        복구 완료
+                        {t('guide.step3.title')}
                     </span>
-                    <p>오른쪽 칸에 수정된 파일을 넣으면, 원본의 A1111 parameters 또는 ComfyUI workflow/prompt 정보를 모두 다시 심어줍니다.</p>
+                    <p><RichText text={t('guide.step3.body')} /></p>
                 </div>
             </div>
             <p className="mt-4 text-xs text-gray-500 text-center">
-                ※ 모든 과정은 서버 전송 없이 사용자의 브라우저 내부에서만 안전하게 처리됩니다.
+                {t('guide.privacy')}
+                {' '}{t('guide.install')}
             </p>
         </div>
       </div>
@@ -0,0 +1,141 @@
+import { copyFile, mkdir, mkdtemp, readFile, rm, writeFile } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { afterEach, beforeEach, describe, expect, it } from 'vitest';
+import { setLocale } from '../../i18n/index.js';
+import { readMetadata } from '../../metadata/index.js';
+import { globToRegExp } from '../files.js';
+import { EXIT_FAILURE, EXIT_OK, EXIT_USAGE, localeFromEnv, run } from '../index.js';
+
+const FIXTURES = new URL('../../metadata/__tests__/fixtures/', import.meta.url);
+
+let dir;
+let stdout;
+let stderr;
+
+// Run the CLI inside the temp directory with captured output
+async function cli(...argv) {
+  stdout = '';
+  stderr = '';
+  const io = {
+    stdout: { write: (text) => { stdout += text; } },
+    stderr: { write: (text) => { stderr += text; } },
+  };
+  const cwd = process.cwd();
+  process.chdir(dir);
+  try {
+    return await run(argv, io);
+  } finally {
+    process.chdir(cwd);
+  }
+}
+
+async function readOutput(name) {
+  return readMetadata(new Uint8Array(await readFile(path.join(dir, name))));
+}
+
+beforeEach(async () => {
+  dir = await mkdtemp(path.join(tmpdir(), 'exif-exists-'));
+  for (const name of ['a1111.png', 'a1111.jpg', 'comfyui.png', 'novelai.png', 'plain.jpg', 'plain.webp']) {
+    await copyFile(new URL(name, FIXTURES), path.join(dir, name));
+  }
+});
+
+afterEach(async () => {
+  await rm(dir, { recursive: true, force: true });
+  setLocale('ko');
+});
+
+describe('exif-exists', () => {
+  it('extracts to stdout and injects the JSON back', async () => {
+    expect(await cli('extract', 'a1111.png', '-o', '-')).toBe(EXIT_OK);
+    await writeFile(path.join(dir, 'meta.json'), stdout);
+
+    expect(await cli('inject', 'meta.json', 'plain.webp', '-o', 'out.webp')).toBe(EXIT_OK);
+    expect((await readOutput('out.webp')).data.positive).toBe('masterpiece, best quality, 1girl, <lora:detail:0.6>');
+  });
+
+  it('copies into every target of a glob, next to the originals by default', async () => {
+    expect(await cli('copy', 'comfyui.png', 'plain.*')).toBe(EXIT_OK);
+    expect(stdout).toContain('plain.jpg → fixed_plain.jpg');
+    expect((await readOutput('fixed_plain.webp')).data.workflow).toContain('LoraLoader');
+  });
+
+  it('writes into a directory when given several inputs', async () => {
+    await mkdir(path.join(dir, 'renders'));
+    await copyFile(path.join(dir, 'plain.jpg'), path.join(dir, 'renders', 'a.jpg'));
+
+    expect(await cli('copy', 'a1111.png', 'renders', 'plain.webp', '-o', 'restored', '--json')).toBe(EXIT_OK);
+    const { ok, results } = JSON.parse(stdout);
+    expect(ok).toBe(true);
+    expect(results.map(r => r.output)).toEqual([path.join('restored', 'plain.webp'), path.join('restored', 'a.jpg')]);
+  });
+
+  it('reports per-file failures with exit code 1', async () => {
+    expect(await cli('extract', 'plain.jpg', 'a1111.jpg', 'missing.png', '--json')).toBe(EXIT_FAILURE);
+    const { results } = JSON.parse(stdout);
+    expect(results.map(r => [r.file, r.ok])).toEqual([['missing.png', false], ['a1111.jpg', true], ['plain.jpg', false]]);
+    expect(results[1].metadata.settings).toContain('Seed: 1234567890');
+  });
+
+  it('summarizes every generator chunk in show', async () => {
+    expect(await cli('show', 'novelai.png')).toBe(EXIT_OK);
+    const lines = stdout.split('\n');
+    expect(lines[0]).toBe('novelai.png (PNG, NovelAI)');
+    expect(lines).toContain('  Source: 28자');
+    expect(lines.filter(line => /^ {2}(Title|Description|Software|Source|Generation time|Comment): \d+자$/.test(line))).toHaveLength(6);
+  });
+
+  it('passes on what the library could not read, on stderr or in the JSON results', async () => {
+    // a1111.jpg with its EXIF TIFF header overwritten, so piexif cannot load it
+    const bytes = new Uint8Array(await readFile(path.join(dir, 'a1111.jpg')));
+    const exif = Buffer.from(bytes).indexOf('Exif\0\0') + 6;
+    bytes.set([0x58, 0x58, 0x58, 0x58], exif);
+    await writeFile(path.join(dir, 'corrupt.jpg'), bytes);
+
+    expect(await cli('copy', 'a1111.png', 'corrupt.jpg')).toBe(EXIT_OK);
+    expect(stderr).toBe('⚠ corrupt.jpg: 대상의 JPEG EXIF를 읽을 수 없어 새로 작성했습니다.\n');
+
+    expect(await cli('copy', 'a1111.png', 'corrupt.jpg', '--json')).toBe(EXIT_OK);
+    expect(stderr).toBe('');
+    expect(JSON.parse(stdout).results[0].warnings).toEqual(['대상의 JPEG EXIF를 읽을 수 없어 새로 작성했습니다.']);
+  });
+
+  it('strips only the requested fields', async () => {
+    expect(await cli('strip', 'a1111.jpg', '--only', 'gps', '--json')).toBe(EXIT_OK);
+    expect(JSON.parse(stdout).results[0].removed).toEqual(['GPS']);
+    expect((await readOutput('clean_a1111.jpg')).data.positive).not.toBe('');
+  });
+
+  it('rejects usage errors with exit code 2', async () => {
+    expect(await cli('launch')).toBe(EXIT_USAGE);
+    expect(stderr).toContain('알 수 없는 명령입니다: launch');
+    expect(await cli('copy', 'a1111.png')).toBe(EXIT_USAGE);
+    expect(await cli('strip', 'a1111.jpg', '--only', 'gpss')).toBe(EXIT_USAGE);
+    expect(await cli('show', '--verbose')).toBe(EXIT_USAGE);
+  });
+
+  it('speaks the language of LANG', async () => {
+    expect(localeFromEnv({ LANG: 'en_US.UTF-8' })).toBe('en');
+    expect(localeFromEnv({ LC_ALL: 'ja_JP.UTF-8', LANG: 'en_US.UTF-8' })).toBe('ja');
+    expect(localeFromEnv({ LANG: 'C' })).toBe('ko');
+
+    setLocale(localeFromEnv({ LANG: 'en_US.UTF-8' }));
+    expect(await cli('launch')).toBe(EXIT_USAGE);
+    expect(stderr).toContain('Unknown command: launch');
+    expect(stderr).toContain('Usage: exif-exists <command> [options]');
+
+    expect(await cli('show', 'plain.jpg')).toBe(EXIT_OK);
+    expect(stdout).toBe('plain.jpg (JPG): no AI metadata\n');
+  });
+});
+
+describe('globToRegExp', () => {
+  it('keeps * inside one directory and lets **/ span several', () => {
+    expect(globToRegExp('*.png').test('a.png')).toBe(true);
+    expect(globToRegExp('*.png').test('sub/a.png')).toBe(false);
+    expect(globToRegExp('**/*.png').test('a.png')).toBe(true);
+    expect(globToRegExp('**/*.png').test('a/b/c.png')).toBe(true);
+    expect(globToRegExp('img_[0-9]?.jpg').test('img_12.jpg')).toBe(true);
+  });
+});
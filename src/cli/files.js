@@ -0,0 +1,92 @@
+// --- CLI file arguments: plain paths, directories and glob patterns ---
+//
+// Shells on macOS/Linux expand globs themselves, but Windows shells and quoted
+// patterns ("renders/**/*.png") reach us as-is, so we expand them here.
+
+import { readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+
+const IMAGE_FILE_PATTERN = /\.(png|jpe?g|webp|avif|jxl)$/i;
+const GLOB_CHARS = /[*?[]/;
+
+// `*` and `?` stay inside one directory, `**/` spans any number of them
+export function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '*' && pattern[i + 1] === '*') {
+      if (pattern[i + 2] === '/') {
+        source += '(?:[^/]*/)*';
+        i += 2;
+      } else {
+        source += '.*';
+        i += 1;
+      }
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else if (char === '[' && pattern.indexOf(']', i + 2) > -1) {
+      const end = pattern.indexOf(']', i + 2);
+      source += '[' + pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\') + ']';
+      i = end;
+    } else {
+      source += char.replace(/[.+^${}()|\\\]]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+export async function statOrNull(file) {
+  try {
+    return await stat(file);
+  } catch {
+    return null;
+  }
+}
+
+// Every file below `dir`, as paths joined onto `dir`
+async function walk(dir) {
+  const files = [];
+  for (const entry of await readdir(dir, { withFileTypes: true })) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory()) files.push(...await walk(full));
+    else if (entry.isFile()) files.push(full);
+  }
+  return files;
+}
+
+async function expandGlob(pattern) {
+  const parts = pattern.split(/[\\/]/);
+  const firstGlob = parts.findIndex(part => GLOB_CHARS.test(part));
+  const base = parts.slice(0, firstGlob).join('/') || '.';
+  const matcher = globToRegExp(parts.slice(firstGlob).join('/'));
+
+  if (!(await statOrNull(base))?.isDirectory()) return [];
+  return (await walk(base)).filter(file => matcher.test(path.relative(base, file).split(path.sep).join('/')));
+}
+
+// Resolve CLI arguments into a sorted, de-duplicated file list.
+// Named files are taken as-is; directories and globs only pick up PNG/JPG/WebP/AVIF/JPEG XL files.
+// Returns { files, missing } where missing lists arguments that matched nothing.
+export async function expandInputs(args) {
+  const files = new Set();
+  const missing = [];
+
+  for (const arg of args) {
+    const info = await statOrNull(arg);
+    let matched = [];
+    if (info?.isFile()) {
+      matched = [arg];
+    } else if (info?.isDirectory()) {
+      matched = (await walk(arg)).filter(file => IMAGE_FILE_PATTERN.test(file));
+    } else if (GLOB_CHARS.test(arg)) {
+      matched = (await expandGlob(arg)).filter(file => IMAGE_FILE_PATTERN.test(file));
+    }
+
+    if (matched.length === 0) missing.push(arg);
+    for (const file of matched) files.add(path.normalize(file));
+  }
+
+  return { files: [...files].sort(), missing };
+}
@@ -0,0 +1,299 @@
+// --- exif-exists command line ---
+//
+// Drives the same extract / inject / scrub code as the web app (src/metadata) from scripts.
+// Exit codes: 0 = every file succeeded, 1 = at least one file failed, 2 = usage error.
+
+import { mkdir, readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import {
+  SCRUB_OPTION_KEYS, describeMetadata, detectFormat, droppedKeywords, emptyMetadata,
+  hasMetadata, normalizeMetadata, readMetadata, scrubMetadata, writeMetadataParts,
+} from '../metadata/index.js';
+import { detectLocale, t } from '../i18n/index.js';
+import { expandInputs, statOrNull } from './files.js';
+
+export const EXIT_OK = 0;
+export const EXIT_FAILURE = 1;
+export const EXIT_USAGE = 2;
+
+const OPTIONS = {
+  output: { type: 'string', short: 'o' },
+  json: { type: 'boolean' },
+  compress: { type: 'boolean' },
+  xmp: { type: 'boolean' },
+  only: { type: 'string' },
+  help: { type: 'boolean', short: 'h' },
+};
+
+function usage() {
+  return t('cli.usage', { options: SCRUB_OPTION_KEYS.join(', ') });
+}
+
+// The message language from LC_ALL, LC_MESSAGES or LANG, the way POSIX tools pick theirs
+export function localeFromEnv(env) {
+  return detectLocale([env.LC_ALL || env.LC_MESSAGES || env.LANG]);
+}
+
+class UsageError extends Error {}
+
+async function readImage(file) {
+  return new Uint8Array(await readFile(file));
+}
+
+// Metadata JSON as written by `extract`. Hand-written files may also give prompt/workflow as objects.
+function parseMetadataJson(text, source) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error(t('cli.error.notMetadataJson', { source }));
+  }
+
+  const model = normalizeMetadata(json);
+  if (!hasMetadata(model)) {
+    throw new Error(t('cli.error.emptyMetadataJson', { source, fields: Object.keys(emptyMetadata()).join(', ') }));
+  }
+  return model;
+}
+
+async function loadSourceMetadata(source, { imageOnly = false } = {}) {
+  const bytes = await readImage(source);
+  if (detectFormat(bytes)) {
+    const meta = await readMetadata(bytes);
+    if (!meta) throw new Error(t('cli.error.sourceNoMetadata'));
+    return meta.data;
+  }
+  if (imageOnly) throw new Error(t('error.unsupportedFormat'));
+  return parseMetadataJson(new TextDecoder('utf-8').decode(bytes), source);
+}
+
+// -o names a file for a single input. With several inputs, an existing directory or a
+// trailing slash it is a directory and outputs keep their input names.
+// Without -o, outputs go next to the input under `defaultName(base)`.
+async function createOutputResolver(output, count) {
+  const toDirectory = Boolean(output) && (count > 1 || /[\\/]$/.test(output) || (await statOrNull(output))?.isDirectory());
+  if (toDirectory) await mkdir(output, { recursive: true });
+
+  const used = new Set();
+  return (input, defaultName, directoryName = path.basename(input)) => {
+    let target;
+    if (!output) target = path.join(path.dirname(input), defaultName(path.basename(input)));
+    else if (toDirectory) target = path.join(output, directoryName);
+    else target = output;
+
+    if (used.has(target)) throw new Error(t('cli.error.outputClash', { output: target }));
+    used.add(target);
+    return target;
+  };
+}
+
+async function collectInputs(args) {
+  if (args.length === 0) throw new UsageError(t('cli.error.noImages'));
+  const { files, missing } = await expandInputs(args);
+  return {
+    files,
+    missingResults: missing.map(arg => ({ file: arg, ok: false, error: t('cli.error.noMatch') })),
+  };
+}
+
+// Run `handler` for every file; one failing file doesn't stop the rest
+async function processFiles(files, handler) {
+  const results = [];
+  for (const file of files) {
+    try {
+      results.push({ file, ok: true, ...await handler(file) });
+    } catch (err) {
+      results.push({ file, ok: false, error: err.message });
+    }
+  }
+  return results;
+}
+
+// --- Commands ---
+
+async function extractCommand(args, options, io) {
+  const toStdout = options.output === '-';
+  if (toStdout && options.json) throw new UsageError(t('cli.error.stdoutWithJson'));
+
+  const { files, missingResults } = await collectInputs(args);
+  if (toStdout && files.length > 1) throw new UsageError(t('cli.error.stdoutSingle'));
+  const resolveOutput = toStdout ? null : await createOutputResolver(options.output, files.length);
+
+  return [...missingResults, ...await processFiles(files, async (file) => {
+    const meta = await readMetadata(await readImage(file));
+    if (!meta) throw new Error(t('cli.error.noMetadata'));
+    const json = JSON.stringify(meta.data, null, 2) + '\n';
+    const summary = { type: meta.type, generator: describeMetadata(meta.data), metadata: meta.data, warnings: meta.warnings ?? [] };
+
+    if (toStdout) {
+      io.stdout.write(json);
+      return summary;
+    }
+    const output = resolveOutput(file, name => `${name}.json`, `${path.basename(file)}.json`);
+    await writeFile(output, json);
+    return { output, ...summary };
+  })];
+}
+
+async function injectFrom(args, options, { imageOnly }) {
+  const [source, ...targets] = args;
+  if (!source || targets.length === 0) throw new UsageError(t('cli.error.sourceAndTargets'));
+
+  let model;
+  try {
+    model = await loadSourceMetadata(source, { imageOnly });
+  } catch (err) {
+    return [{ file: source, ok: false, error: err.message }];
+  }
+
+  const { files, missingResults } = await collectInputs(targets);
+  const resolveOutput = await createOutputResolver(options.output, files.length);
+
+  return [...missingResults, ...await processFiles(files, async (file) => {
+    const target = await readImage(file);
+    const { parts, warnings } = await writeMetadataParts(target, model, { compress: options.compress, xmp: options.xmp });
+    const output = resolveOutput(file, name => `fixed_${name}`);
+    await writeFile(output, Buffer.concat(parts));
+    return { output, source, generator: describeMetadata(model), dropped: droppedKeywords(model, detectFormat(target)), warnings };
+  })];
+}
+
+function injectCommand(args, options) {
+  return injectFrom(args, options, { imageOnly: false });
+}
+
+function copyCommand(args, options) {
+  return injectFrom(args, options, { imageOnly: true });
+}
+
+async function showCommand(args) {
+  const { files, missingResults } = await collectInputs(args);
+
+  return [...missingResults, ...await processFiles(files, async (file) => {
+    const bytes = await readImage(file);
+    const meta = await readMetadata(bytes);
+    return meta
+      ? {
+        type: meta.type, generator: describeMetadata(meta.data), metadata: meta.data,
+        trailingBytes: meta.trailingBytes ?? 0, fromXmp: Boolean(meta.fromXmp), warnings: meta.warnings ?? [],
+      }
+      : { type: detectFormat(bytes), generator: null, metadata: null };
+  })];
+}
+
+function parseScrubOptions(only) {
+  const keys = only ? only.split(',').map(key => key.trim()).filter(Boolean) : SCRUB_OPTION_KEYS;
+  const unknown = keys.filter(key => !SCRUB_OPTION_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new UsageError(t('cli.error.unknownScrubKeys', { keys: unknown.join(', '), options: SCRUB_OPTION_KEYS.join(', ') }));
+  }
+  return Object.fromEntries(SCRUB_OPTION_KEYS.map(key => [key, keys.includes(key)]));
+}
+
+async function stripCommand(args, options) {
+  const scrubOptions = parseScrubOptions(options.only);
+  const { files, missingResults } = await collectInputs(args);
+  const resolveOutput = await createOutputResolver(options.output, files.length);
+
+  return [...missingResults, ...await processFiles(files, async (file) => {
+    const { bytes, removed } = await scrubMetadata(await readImage(file), scrubOptions);
+    const output = resolveOutput(file, name => `clean_${name}`);
+    await writeFile(output, bytes);
+    return { output, removed };
+  })];
+}
+
+const COMMANDS = {
+  extract: extractCommand,
+  inject: injectCommand,
+  copy: copyCommand,
+  show: showCommand,
+  strip: stripCommand,
+};
+
+// --- Output ---
+
+function countJsonNodes(text, key) {
+  try {
+    const json = JSON.parse(text);
+    return key ? json[key]?.length ?? 0 : Object.keys(json).length;
+  } catch {
+    return '?';
+  }
+}
+
+function formatShow(result) {
+  const { file, type, generator, metadata } = result;
+  if (!metadata) return `${file} (${String(type).toUpperCase()}): ${t('cli.show.none')}\n`;
+
+  const lines = [`${file} (${type.toUpperCase()}, ${generator}${result.fromXmp ? `, ${t('cli.show.fromXmp')}` : ''})`];
+  if (metadata.positive) lines.push(`  Prompt:   ${metadata.positive.replace(/\n/g, ' ')}`);
+  if (metadata.negative) lines.push(`  Negative: ${metadata.negative.replace(/\n/g, ' ')}`);
+  if (metadata.settings) lines.push(`  Settings: ${metadata.settings}`);
+  if (metadata.prompt) lines.push(`  ComfyUI prompt:   ${t('cli.show.nodes', { count: countJsonNodes(metadata.prompt) })}`);
+  if (metadata.workflow) lines.push(`  ComfyUI workflow: ${t('cli.show.nodes', { count: countJsonNodes(metadata.workflow, 'nodes') })}`);
+  for (const [keyword, text] of Object.entries(metadata.texts || {})) {
+    lines.push(`  ${keyword}: ${t('cli.show.chars', { count: text.length })}`);
+  }
+  if (metadata.xmp) lines.push(`  XMP: ${t('cli.show.chars', { count: metadata.xmp.length })}`);
+  if (result.trailingBytes) lines.push(`  ${t('cli.show.trailing', { size: result.trailingBytes })}`);
+  return lines.join('\n') + '\n';
+}
+
+function printResults(command, results, io) {
+  for (const result of results) {
+    if (!result.ok) {
+      io.stderr.write(`✖ ${result.file}: ${result.error}\n`);
+      continue;
+    }
+    for (const warning of result.warnings || []) io.stderr.write(`⚠ ${result.file}: ${warning}\n`);
+    if (command === 'show') {
+      io.stdout.write(formatShow(result));
+    } else if (result.output) {
+      let line = `✔ ${result.file} → ${result.output}`;
+      if (result.dropped?.length > 0) line += ` (${t('cli.result.dropped', { keywords: result.dropped.join(', ') })})`;
+      if (command === 'strip') {
+        line += ` (${result.removed.length > 0 ? t('cli.result.removed', { items: result.removed.join(', ') }) : t('cli.result.nothingRemoved')})`;
+      }
+      io.stdout.write(line + '\n');
+    }
+  }
+}
+
+export async function run(argv, io = { stdout: process.stdout, stderr: process.stderr }) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true });
+  } catch (err) {
+    io.stderr.write(`${err.message}\n\n${usage()}`);
+    return EXIT_USAGE;
+  }
+
+  const { values: options, positionals: [command, ...args] } = parsed;
+  if (options.help) {
+    io.stdout.write(usage());
+    return EXIT_OK;
+  }
+  if (!command || !Object.hasOwn(COMMANDS, command)) {
+    io.stderr.write(command ? `${t('cli.error.unknownCommand', { command })}\n\n${usage()}` : usage());
+    return EXIT_USAGE;
+  }
+
+  let results;
+  try {
+    results = await COMMANDS[command](args, options, io);
+  } catch (err) {
+    if (!(err instanceof UsageError)) throw err;
+    io.stderr.write(`${err.message}\n`);
+    return EXIT_USAGE;
+  }
+
+  const ok = results.every(result => result.ok);
+  if (options.json) {
+    io.stdout.write(JSON.stringify({ ok, results }, null, 2) + '\n');
+  } else {
+    printResults(command, results, io);
+  }
+  return ok ? EXIT_OK : EXIT_FAILURE;
+}
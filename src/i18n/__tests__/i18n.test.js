@@ -0,0 +1,74 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { readMetadata } from '../../metadata/index.js';
+import { readPngChunks } from '../../metadata/png.js';
+import { fixture } from '../../metadata/__tests__/fixtures.js';
+import { LOCALES, catalog, detectLocale, getLocale, setLocale, t } from '../index.js';
+
+// {name} placeholders of a message, sorted
+function placeholders(message) {
+  return [...message.matchAll(/\{(\w+)\}/g)].map(match => match[1]).sort();
+}
+
+afterEach(() => {
+  setLocale('ko');
+});
+
+describe('t', () => {
+  it('fills in placeholders', () => {
+    expect(t('status.extracted', { name: 'a.png', details: 'A1111' })).toBe('[a.png]에서 메타데이터(A1111)를 저장했습니다!');
+    setLocale('en');
+    expect(t('status.extracted', { name: 'a.png', details: 'A1111' })).toBe('Saved the metadata (A1111) from [a.png]!');
+  });
+
+  it('leaves placeholders without a value alone', () => {
+    expect(t('removed.paths')).toBe('로컬 경로 {count}개');
+  });
+
+  it('falls back to the key for unknown messages', () => {
+    expect(t('no.such.key')).toBe('no.such.key');
+  });
+});
+
+describe('setLocale', () => {
+  it('ignores unsupported locales', () => {
+    setLocale('ja');
+    expect(setLocale('fr')).toBe('ja');
+    expect(getLocale()).toBe('ja');
+  });
+});
+
+describe('detectLocale', () => {
+  it('takes the first supported language', () => {
+    expect(detectLocale(['fr-FR', 'en-US', 'ko'])).toBe('en');
+    expect(detectLocale(['ja'])).toBe('ja');
+    expect(detectLocale(['ja_JP.UTF-8'])).toBe('ja');
+  });
+
+  it('defaults to Korean', () => {
+    expect(detectLocale(['de-DE'])).toBe('ko');
+    expect(detectLocale([undefined])).toBe('ko');
+    expect(detectLocale()).toBe('ko');
+  });
+});
+
+describe('catalogs', () => {
+  it.each(LOCALES.filter(locale => locale !== 'ko'))('%s has every message with the same placeholders', (locale) => {
+    const ko = catalog('ko');
+    const other = catalog(locale);
+    expect(Object.keys(other).sort()).toEqual(Object.keys(ko).sort());
+    for (const key of Object.keys(ko)) {
+      expect([key, placeholders(other[key])]).toEqual([key, placeholders(ko[key])]);
+    }
+  });
+});
+
+describe('library errors', () => {
+  it('follow the current locale', async () => {
+    setLocale('en');
+    await expect(readMetadata(fixture('not-an-image.png'))).rejects.toThrow('Only PNG, JPG, WebP, AVIF and JPEG XL files are supported.');
+    setLocale('ja');
+    const corrupt = fixture('a1111.png').slice();
+    corrupt[20] ^= 0xff; // IHDR width
+    expect(() => readPngChunks(corrupt)).toThrow('IHDR チャンクの CRC が一致しません (8 バイト目)');
+  });
+});
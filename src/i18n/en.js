@@ -0,0 +1,270 @@
+// English
+
+export default {
+  // --- Library errors (metadata/, library/, worker/) ---
+  'error.unsupportedFormat': 'Only PNG, JPG, WebP, AVIF and JPEG XL files are supported.',
+  'error.png.signature': 'Not a valid PNG file.',
+  'error.png.noIend': 'The file ends at byte {size} without an IEND chunk. It looks truncated.',
+  'error.png.badChunkType': 'Invalid chunk type at byte {offset}. The file is corrupted.',
+  'error.png.truncatedChunk': 'The {type} chunk is cut off at byte {size} (it should run to byte {end}).',
+  'error.png.crcMismatch': 'CRC mismatch in the {type} chunk (byte {offset}). The file is corrupted.',
+  'error.png.missingIhdr': 'The first chunk is {type}, not IHDR.',
+  'error.png.badCompressedText': 'The {type} chunk at byte {offset} cannot be decompressed. The file is corrupted.',
+  'error.jpeg.exifTooLarge': 'The metadata is too large for JPG EXIF (64KB max, this is {size}KB). Please save as PNG or WebP.',
+  'error.jpeg.xmpTooLarge': 'The XMP is too large for JPG (64KB max, this is {size}KB). Turn off the XMP copy or save as PNG or WebP.',
+  'error.jpeg.truncated': 'The JPEG file ends at byte {size} without any image data. It looks truncated.',
+  'error.jpeg.truncatedSegment': 'The JPEG segment at byte {offset} is cut off at byte {size} (it should run to byte {end}).',
+  'error.webp.invalid': 'Not a valid WebP file.',
+  'error.webp.noImage': 'No WebP image data found.',
+  'error.webp.badVp8': 'Corrupted VP8 bitstream.',
+  'error.webp.badVp8l': 'Corrupted VP8L bitstream.',
+  'error.avif.invalid': 'Not a valid AVIF file.',
+  'error.avif.noMeta': 'The AVIF meta box is missing. The file is corrupted.',
+  'error.avif.sequence': 'Metadata cannot be written to animated AVIF (image sequences) yet.',
+  'error.avif.unsupportedLayout': 'The AVIF image data cannot be moved. This file layout is not supported.',
+  'error.jxl.invalid': 'Not a valid JPEG XL file.',
+  'error.isobmff.truncatedBox': 'The {type} box at byte {offset} runs past the end of the file. The file is truncated or corrupted.',
+  'error.isobmff.badExifOffset': 'The TIFF header offset in the EXIF data is invalid.',
+  'error.stealth.corrupt': 'The stealth data is corrupted ({signature}, length {length} bits).',
+  'error.stealth.tooSmall': 'The image is too small for a stealth copy (needs {bits} pixels, has {pixels}).',
+  'error.stealth.encode': 'Could not create the PNG with the stealth copy.',
+  'error.library.notJson': 'Not a library JSON file.',
+  'error.library.notExport': 'Not a library file exported from EXIF Exists.',
+  'error.library.newerVersion': 'This library was exported by a newer version. Reload the page and try again.',
+  'error.worker.crashed': 'The worker stopped while processing the image. It may have run out of memory.',
+  'error.noSourceMetadata': 'The original has no AI metadata.',
+
+  // --- Removed items in a scrub report ---
+  'removed.generatorTexts': '{generator} data ({keywords})',
+  'removed.paths': '{count} local path(s)',
+  'removed.loras': '{count} LoRA file name(s)',
+  'removed.camera': 'Camera info ({tags})',
+  'removed.thumbnail': 'Thumbnail',
+  'removed.trailingData': 'Data after IEND ({size} bytes)',
+  'removed.pngExif': 'eXIf (all EXIF)',
+  'removed.unreadableExif': 'Unreadable EXIF',
+  'removed.compressedBox': 'Brotli-compressed {box} box (all of it)',
+
+  // --- Warnings returned with a read or write ---
+  'warning.exifSkipped': 'The {format} EXIF could not be read, so only the other metadata was read.',
+  'warning.exifRewritten': 'The target\'s {format} EXIF could not be read, so a new one was written.',
+  'warning.compressedBox': 'Skipped the Brotli-compressed JPEG XL {box} box, which cannot be read.',
+  'warning.compressedBoxKept': 'Left the Brotli-compressed JPEG XL {box} box as it is, since it cannot be read.',
+  'warning.compressedBoxReplaced': 'Replaced the Brotli-compressed JPEG XL {box} box, which cannot be read, with a new one.',
+
+  // --- Progress and shared notes ---
+  'progress.read': 'reading file',
+  'progress.parse': 'analyzing metadata',
+  'progress.write': 'writing file',
+  'note.dropped': '(the {chunks} chunks could not be carried over because the target is not a PNG)',
+  'note.stealthSkipped': '(no stealth copy was added to the {format} target, which was saved in its own format)',
+  'similarity.same': 'same image',
+  'similarity.related': 'looks like an edit of the same image',
+  'similarity.unrelated': 'looks like a different image',
+  'similarity.note': '{percent}% similar to the original ({verdict}).',
+  'common.save': 'Save',
+  'common.delete': 'Delete',
+  'common.cancel': 'Cancel',
+  'common.dropOrClick': 'Drag it here or click',
+
+  // --- Batch mode ---
+  'batch.skipped': 'Skipped',
+  'batch.running': 'Restoring... ({index}/{total}) {name}',
+  'batch.done': 'Done',
+  'batch.summary': 'Batch restore finished: {succeeded} succeeded, {failed} failed',
+  'batch.fileCount': '{count} file(s)',
+  'batch.dropHint': 'Drag several files or a folder',
+  'batch.originals': 'Originals (with prompts)',
+  'batch.edits': 'Edited images (without metadata)',
+  'batch.column.edit': 'Edited',
+  'batch.column.original': 'Original',
+  'batch.column.similarity': 'Similarity',
+  'batch.column.similarity.title': 'How much the original and the edit look alike (crops, upscales and inpaints usually score 80% or more)',
+  'batch.column.result': 'Result',
+  'batch.skipOption': '— Skip —',
+  'batch.suggestion': 'Suggested: {name} ({percent}%)',
+  'batch.failed': 'Failed',
+  'batch.run': 'Restore all',
+  'batch.saveZip': 'Save ZIP',
+  'batch.applySuggestions': 'Pair by similarity',
+  'batch.clear': 'Clear list',
+
+  // --- Scrub mode ---
+  'scrub.option.parameters': 'Prompt/settings (A1111 parameters, NovelAI·InvokeAI·Fooocus·SwarmUI data)',
+  'scrub.option.comfy': 'Entire ComfyUI prompt/workflow',
+  'scrub.option.paths': 'Local paths in the workflow (keeps file names)',
+  'scrub.option.loras': 'LoRA file names in the workflow',
+  'scrub.option.gps': 'GPS location',
+  'scrub.option.camera': 'Camera/device info (make, model, serial number, capture time)',
+  'scrub.option.thumbnail': 'Embedded thumbnail',
+  'scrub.option.xmp': 'XMP',
+  'scrub.running': 'Removing metadata...',
+  'scrub.removed': 'Removed {count} item(s) from [{name}].',
+  'scrub.nothing': 'Nothing to remove in [{name}].',
+  'scrub.stealthRemains': 'Note that stealth metadata in the pixels (alpha LSB) is still there.',
+  'scrub.failed': 'Removal failed: {message}',
+  'scrub.title': 'Items to remove',
+  'scrub.optionsNote': 'The path and LoRA options only apply when the entire ComfyUI removal is off.',
+  'scrub.noneRemoved': 'Nothing removed',
+  'scrub.dropTitle': 'Drop the image you want to share',
+
+  // --- Metadata editor ---
+  'editor.badPromptJson': 'Could not parse the prompt JSON.',
+  'editor.badWorkflowJson': 'Could not parse the workflow JSON.',
+  'editor.noNodes': 'There is no node list.',
+  'editor.addSetting': '+ Add entry',
+  'editor.title': 'Review and edit metadata',
+  'editor.copy': 'Copy {label}',
+  'editor.copy.prompt': 'prompt',
+  'editor.copy.parameters': 'full parameters',
+  'editor.copy.workflow': 'ComfyUI workflow JSON',
+  'editor.settings': 'Settings (Steps, Sampler, CFG scale, Seed, Size, Model, Lora hashes ...)',
+
+  // --- Metadata diff ---
+  'diff.group.a1111': 'Prompt',
+  'diff.group.settings': 'A1111 settings',
+  'diff.group.comfy-prompt': 'ComfyUI prompt nodes',
+  'diff.group.comfy-workflow': 'ComfyUI workflow',
+  'diff.group.texts': 'Generator texts',
+  'diff.status.changed': 'different',
+  'diff.status.added': 'original only',
+  'diff.status.removed': 'target only',
+  'diff.choice.source': 'Use original',
+  'diff.choice.target': 'Keep target',
+  'diff.choice.merge': 'Merge',
+  'diff.none': '(none)',
+  'diff.title': 'Compare existing metadata · {name}',
+  'diff.intro': 'The target image already has metadata. For each item, choose whether to use the original value or keep the target value.',
+  'diff.mergeNote': 'Merge uses the original value and records the target value in the "{key}" setting.',
+  'diff.allSource': 'Use original for all',
+  'diff.allTarget': 'Keep target for all',
+  'diff.source': 'Original',
+  'diff.target': 'Target',
+  'diff.apply': 'Inject selection',
+
+  // --- Similarity warning ---
+  'warning.title': 'This looks like a different image from the original ({percent}% similar)',
+  'warning.body': '[{target}] looks very different from [{source}]. Injecting now could attach someone else\'s prompt and seed to an unrelated image.',
+  'warning.hint': 'Cropped, upscaled or inpainted images usually score 80% or more, so check that you picked the right original and edit.',
+  'warning.confirm': 'Inject anyway',
+
+  // --- Library panel ---
+  'library.title': 'Metadata library',
+  'library.count': '{count}',
+  'library.import': 'Import',
+  'library.export': 'Export',
+  'library.searchPlaceholder': 'Prompt, file name / model:name / seed:number',
+  'library.empty': 'Metadata from loaded originals is saved here automatically and stays after a reload.',
+  'library.noResults': 'No matches.',
+  'library.use': 'Use as original',
+
+  // --- Status messages ---
+  'status.waiting': 'Waiting for an image file...',
+  'status.extracting': 'Extracting metadata...',
+  'status.xmpCopy': 'XMP copy',
+  'status.extracted': 'Saved the metadata ({details}) from [{name}]!',
+  'status.trailingData': 'There are {size} bytes of unrelated data at the end of the file (after IEND).',
+  'status.noMetadata': 'This image has no AI metadata to restore.',
+  'status.readFailed': 'Could not read the metadata: {message}',
+  'status.pastedTextName': 'Pasted text',
+  'status.librarySelected': 'Loaded the metadata ({generator}) of [{name}] from the library.',
+  'status.deleteFailed': 'Delete failed: {message}',
+  'status.imported': 'Imported {count} item(s) into the library.',
+  'status.importFailed': 'Import failed: {message}',
+  'status.extractFirst': 'Extract the original metadata in step 1 first!',
+  'status.checkingTarget': 'Checking the target image for existing metadata...',
+  'status.unrelated': '[{target}] looks like a different image from the original [{source}] ({percent}% similar).',
+  'status.conflicts': '[{name}] already has different metadata ({generator}).',
+  'status.chooseBelow': 'Choose per item below, then inject.',
+  'status.confirmBelow': 'Review below, then inject.',
+  'status.injecting': 'Injecting metadata...',
+  'status.injected': 'Metadata restored! Download it below.',
+  'status.injectFailed': 'Injection failed: {message}',
+  'status.badPastedText': 'The pasted text is neither A1111 parameters nor ComfyUI workflow/prompt JSON.',
+  'status.pasted': 'Saved the metadata ({generator}) from the pasted text!',
+  'status.copied': 'Copied {label} to the clipboard.',
+  'status.copyFailed': 'Copy failed: {message}',
+  'status.noReceivedImages': 'None of the received files is a PNG, JPG, WebP, AVIF or JPEG XL image.',
+  'status.injectCancelled': 'Injection cancelled.',
+
+  // --- Header, modes and options ---
+  'app.title': 'EXIF Exists',
+  'app.subtitle': 'Preserve and restore AI image metadata',
+  'app.credit': 'Made by 아카라이브 근첩A',
+  'app.language': 'Language',
+  'mode.single': 'One at a time',
+  'mode.batch': 'Batch',
+  'mode.scrub': 'Remove private info',
+  'option.compress': 'Compress PNG text',
+  'option.compress.title': 'Stores long ComfyUI workflow JSON compressed as zTXt/iTXt (PNG)',
+  'option.stealth': 'Stealth copy',
+  'option.stealth.title': 'Embeds another copy of the metadata in the lowest bit of the alpha channel (stealth_pngcomp) so it survives sites that strip text chunks. The result is saved as PNG. Only PNG, WebP and AVIF targets get one; JPG and JPEG XL keep their format.',
+  'option.xmp': 'XMP copy',
+  'option.xmp.title': 'Photoshop and Lightroom drop PNG text and rewrite EXIF but keep XMP. With another copy of the metadata in XMP, step 1 can still restore it after editing.',
+
+  // --- Single mode steps ---
+  'step1.title': 'Load the original',
+  'step1.ready': 'Data loaded',
+  'step1.cached': 'Metadata cached',
+  'step1.found': '{generator} metadata found',
+  'step1.dropTitle': 'Drop the original (with prompt)',
+  'step1.pasteHint': 'You can also paste an image, A1111 parameters or ComfyUI JSON text with Ctrl+V',
+  'step2.title': 'Overwrite the edit',
+  'step2.another': 'Work on another file',
+  'step2.dropTitle': 'Drop the edited image (without metadata)',
+  'step2.dropHint': 'Drag it here to restore it',
+  'step2.pasteHint': 'Or select this box with Tab and paste with Ctrl+V',
+
+  // --- Guide (**text** is shown in bold) ---
+  'guide.title': 'How to use',
+  'guide.step1.title': 'Get the original',
+  'guide.step1.body': 'Drag the **original image** with its metadata intact (A1111, ComfyUI, NovelAI, InvokeAI, Fooocus and SwarmUI are supported) into the left box. Clipboard images such as screenshots, parameters text copied from PNG Info, and ComfyUI workflow JSON can also be pasted with Ctrl+V.',
+  'guide.step2.title': 'Edit',
+  'guide.step2.body': 'Edit the image in Photoshop or an inpainting tool. (It is fine if the ComfyUI workflow or prompt gets lost.)',
+  'guide.step3.title': 'Restore',
+  'guide.step3.body': 'Drop the edited file into the right box and the original\'s A1111 parameters or ComfyUI workflow/prompt are written back. It works across PNG, JPG, WebP, AVIF and JPEG XL, even when the formats differ.',
+  'guide.privacy': '※ Everything happens safely inside your browser; nothing is sent to a server.',
+  'guide.install': 'Installed as an app, it also works offline, and images can be sent to it straight from the gallery\'s share menu or "Open with" (send two together to use them as the original and the edit).',
+
+  // --- Command line (src/cli) ---
+  'cli.usage': `Usage: exif-exists <command> [options]
+
+Commands:
+  extract <images...>                    Save the metadata as JSON (default: <image>.json, -o - for stdout)
+  inject <meta.json|source> <targets...> Inject metadata from JSON or a source image (default: fixed_<target>)
+  copy <source> <targets...>             Copy a source image's metadata into the targets (default: fixed_<target>)
+  show <images...>                       Print a metadata summary
+  strip <images...>                      Remove private data (default: clean_<image>)
+
+Images may be files, directories (including subfolders) or glob patterns ("renders/**/*.png").
+Messages follow the LC_ALL, LC_MESSAGES and LANG environment variables (ko, en, ja).
+
+Options:
+  -o, --output <path>  Output file. With several inputs or a directory, files keep their names inside it
+  --json               Print the results as JSON
+  --compress           Compress long PNG text (zTXt/iTXt)
+  --xmp                Also keep a copy of the metadata in XMP (survives Photoshop and similar editors)
+  --only <items,...>   What strip removes (default: everything): {options}
+  -h, --help           Show this help
+`,
+  'cli.error.unknownCommand': 'Unknown command: {command}',
+  'cli.error.noImages': 'Give at least one image.',
+  'cli.error.noMatch': 'No matching files.',
+  'cli.error.sourceAndTargets': 'Give both a source and targets.',
+  'cli.error.stdoutWithJson': '-o - and --json cannot be used together.',
+  'cli.error.stdoutSingle': '-o - only works with a single image.',
+  'cli.error.unknownScrubKeys': 'Unknown items: {keys} (available: {options})',
+  'cli.error.notMetadataJson': '{source}: not a supported image or metadata JSON.',
+  'cli.error.emptyMetadataJson': '{source}: the metadata JSON needs one of {fields}.',
+  'cli.error.sourceNoMetadata': 'The source has no AI metadata.',
+  'cli.error.noMetadata': 'This image has no AI metadata.',
+  'cli.error.outputClash': 'Output file name clashes with another input: {output}',
+  'cli.show.none': 'no AI metadata',
+  'cli.show.fromXmp': 'recovered from the XMP copy',
+  'cli.show.nodes': '{count} node(s)',
+  'cli.show.chars': '{count} characters',
+  'cli.show.trailing': 'Data after IEND: {size} bytes',
+  'cli.result.dropped': 'chunks dropped because the target is not PNG: {keywords}',
+  'cli.result.removed': 'removed: {items}',
+  'cli.result.nothingRemoved': 'nothing to remove',
+};
@@ -0,0 +1,50 @@
+// --- Messages (Korean, English, Japanese) ---
+//
+// One flat catalog per locale, keyed by dotted names. The library, the worker and the page
+// all read the same catalogs, so an error thrown deep in the PNG parser reaches the page in
+// the language the user picked. The locale is module state: the page sets it from the
+// switcher, the worker from each request, the CLI from LANG, and tests keep the default.
+
+import en from './en.js';
+import ja from './ja.js';
+import ko from './ko.js';
+
+export const LOCALES = ['ko', 'en', 'ja'];
+export const DEFAULT_LOCALE = 'ko';
+export const LOCALE_NAMES = { ko: '한국어', en: 'English', ja: '日本語' };
+
+const CATALOGS = { ko, en, ja };
+
+let currentLocale = DEFAULT_LOCALE;
+
+export function getLocale() {
+  return currentLocale;
+}
+
+// Unknown locales are ignored, so a stale stored value can't leave the page without text
+export function setLocale(locale) {
+  if (LOCALES.includes(locale)) currentLocale = locale;
+  return currentLocale;
+}
+
+// First supported language in a navigator.languages-style list ('en-US' counts as 'en',
+// and so does a POSIX 'en_US.UTF-8')
+export function detectLocale(languages = []) {
+  for (const language of languages) {
+    const base = String(language || '').toLowerCase().split(/[-_.]/)[0];
+    if (LOCALES.includes(base)) return base;
+  }
+  return DEFAULT_LOCALE;
+}
+
+// The message for `key` with {name} placeholders filled from `params`; falls back to the
+// Korean text, then to the key itself
+export function t(key, params = {}) {
+  const message = CATALOGS[currentLocale][key] ?? ko[key] ?? key;
+  return message.replace(/\{(\w+)\}/g, (match, name) => (name in params ? String(params[name]) : match));
+}
+
+// The catalog itself, for the consistency test
+export function catalog(locale) {
+  return CATALOGS[locale];
+}
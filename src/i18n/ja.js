@@ -0,0 +1,270 @@
+// Japanese
+
+export default {
+  // --- Library errors (metadata/, library/, worker/) ---
+  'error.unsupportedFormat': 'PNG、JPG、WebP、AVIF、JPEG XL ファイルのみ対応しています。',
+  'error.png.signature': '有効な PNG ファイルではありません。',
+  'error.png.noIend': 'IEND チャンクがないまま {size} バイトでファイルが終わっています。ファイルが途中で切れているようです。',
+  'error.png.badChunkType': '{offset} バイト目のチャンクタイプが正しくありません。ファイルが破損しています。',
+  'error.png.truncatedChunk': '{type} チャンクが {size} バイトで切れています ({end} バイトまで必要です)。',
+  'error.png.crcMismatch': '{type} チャンクの CRC が一致しません ({offset} バイト目)。ファイルが破損しています。',
+  'error.png.missingIhdr': '最初のチャンクが IHDR ではなく {type} です。',
+  'error.png.badCompressedText': '{offset} バイト目の {type} チャンクを展開できません。ファイルが破損しています。',
+  'error.jpeg.exifTooLarge': 'メタデータが大きすぎて JPG の EXIF (最大 64KB) に収まりません ({size}KB)。PNG か WebP で保存してください。',
+  'error.jpeg.xmpTooLarge': 'XMP が大きすぎて JPG (最大 64KB) に収まりません ({size}KB)。XMP コピーをオフにするか、PNG か WebP で保存してください。',
+  'error.jpeg.truncated': 'JPEG ファイルが画像データのないまま {size} バイトで終わっています。ファイルが途中で切れているようです。',
+  'error.jpeg.truncatedSegment': '{offset} バイト目の JPEG セグメントが {size} バイトで切れています ({end} バイトまで必要です)。',
+  'error.webp.invalid': '有効な WebP ファイルではありません。',
+  'error.webp.noImage': 'WebP の画像データが見つかりません。',
+  'error.webp.badVp8': 'VP8 ビットストリームが破損しています。',
+  'error.webp.badVp8l': 'VP8L ビットストリームが破損しています。',
+  'error.avif.invalid': '有効な AVIF ファイルではありません。',
+  'error.avif.noMeta': 'AVIF の meta ボックスが見つかりません。ファイルが破損しています。',
+  'error.avif.sequence': 'アニメーション AVIF (画像シーケンス) にはまだメタデータを書き込めません。',
+  'error.avif.unsupportedLayout': 'AVIF の画像データの位置を移動できません。対応していないファイル構造です。',
+  'error.jxl.invalid': '有効な JPEG XL ファイルではありません。',
+  'error.isobmff.truncatedBox': '{offset} バイト目の {type} ボックスがファイルの外まで続いています。ファイルが途中で切れているか破損しています。',
+  'error.isobmff.badExifOffset': 'EXIF データの TIFF ヘッダー位置が正しくありません。',
+  'error.stealth.corrupt': 'stealth データが破損しています ({signature}、長さ {length} ビット)。',
+  'error.stealth.tooSmall': '画像が小さすぎて stealth コピーを埋め込めません (必要: {bits} ピクセル、画像: {pixels} ピクセル)。',
+  'error.stealth.encode': 'stealth コピーを埋め込んだ PNG を作成できません。',
+  'error.library.notJson': 'ライブラリの JSON ファイルではありません。',
+  'error.library.notExport': 'EXIF あり からエクスポートしたライブラリファイルではありません。',
+  'error.library.newerVersion': '新しいバージョンでエクスポートされたライブラリです。ページを再読み込みしてからもう一度お試しください。',
+  'error.worker.crashed': '画像の処理中にワーカーが停止しました。メモリが不足した可能性があります。',
+  'error.noSourceMetadata': '元画像に AI メタデータがありません。',
+
+  // --- Removed items in a scrub report ---
+  'removed.generatorTexts': '{generator} データ ({keywords})',
+  'removed.paths': 'ローカルパス {count} 件',
+  'removed.loras': 'LoRA ファイル名 {count} 件',
+  'removed.camera': 'カメラ情報 ({tags})',
+  'removed.thumbnail': 'サムネイル',
+  'removed.trailingData': 'IEND の後ろのデータ ({size} バイト)',
+  'removed.pngExif': 'eXIf (EXIF 全体)',
+  'removed.unreadableExif': '読み取れないEXIF',
+  'removed.compressedBox': 'Brotli で圧縮された {box} ボックス (全体)',
+
+  // --- Warnings returned with a read or write ---
+  'warning.exifSkipped': '{format} の EXIF を読み取れなかったため、その他のメタデータのみを読み取りました。',
+  'warning.exifRewritten': '対象の {format} EXIF を読み取れなかったため、新しく作成しました。',
+  'warning.compressedBox': 'Brotli で圧縮された JPEG XL の {box} ボックスは読み取れないため、スキップしました。',
+  'warning.compressedBoxKept': 'Brotli で圧縮された JPEG XL の {box} ボックスは読み取れないため、そのまま残しました。',
+  'warning.compressedBoxReplaced': 'Brotli で圧縮された JPEG XL の {box} ボックスは読み取れないため、新しく作成したボックスに置き換えました。',
+
+  // --- Progress and shared notes ---
+  'progress.read': 'ファイル読み込み中',
+  'progress.parse': 'メタデータ解析中',
+  'progress.write': 'ファイル書き込み中',
+  'note.dropped': '(PNG ではないため {chunks} チャンクは移せませんでした)',
+  'note.stealthSkipped': '({format} の対象には stealth コピーを入れず、元の形式のまま保存しました)',
+  'similarity.same': '同じ画像',
+  'similarity.related': '同じ画像を編集したもののようです',
+  'similarity.unrelated': '別の画像のようです',
+  'similarity.note': '元画像との類似度 {percent}% ({verdict})。',
+  'common.save': '保存',
+  'common.delete': '削除',
+  'common.cancel': 'キャンセル',
+  'common.dropOrClick': 'ここにドラッグするかクリックしてください',
+
+  // --- Batch mode ---
+  'batch.skipped': 'スキップ',
+  'batch.running': '一括復元中... ({index}/{total}) {name}',
+  'batch.done': '完了',
+  'batch.summary': '一括復元完了: 成功 {succeeded} 件、失敗 {failed} 件',
+  'batch.fileCount': '{count} ファイル',
+  'batch.dropHint': '複数のファイルまたはフォルダをドラッグしてください',
+  'batch.originals': '元画像 (プロンプトあり)',
+  'batch.edits': '編集した画像 (メタデータなし)',
+  'batch.column.edit': '編集版',
+  'batch.column.original': '元画像',
+  'batch.column.similarity': '類似度',
+  'batch.column.similarity.title': '元画像と編集版がどれだけ似ているか (トリミング・アップスケール・インペイントは通常 80% 以上)',
+  'batch.column.result': '結果',
+  'batch.skipOption': '— スキップ —',
+  'batch.suggestion': 'おすすめ: {name} ({percent}%)',
+  'batch.failed': '失敗',
+  'batch.run': '一括復元',
+  'batch.saveZip': 'ZIP を保存',
+  'batch.applySuggestions': '類似度のおすすめどおりに組み合わせる',
+  'batch.clear': 'リストをクリア',
+
+  // --- Scrub mode ---
+  'scrub.option.parameters': 'プロンプト/設定 (A1111 parameters、NovelAI・InvokeAI・Fooocus・SwarmUI のデータ)',
+  'scrub.option.comfy': 'ComfyUI prompt/workflow 全体',
+  'scrub.option.paths': 'workflow 内のローカルパス (ファイル名のみ残す)',
+  'scrub.option.loras': 'workflow 内の LoRA ファイル名',
+  'scrub.option.gps': 'GPS 位置情報',
+  'scrub.option.camera': 'カメラ/機器情報 (メーカー、モデル、シリアル番号、撮影日時)',
+  'scrub.option.thumbnail': '埋め込みサムネイル',
+  'scrub.option.xmp': 'XMP',
+  'scrub.running': 'メタデータを削除中...',
+  'scrub.removed': '[{name}] から {count} 件の項目を削除しました。',
+  'scrub.nothing': '[{name}] には削除する項目がありません。',
+  'scrub.stealthRemains': 'ただし、ピクセル内の stealth メタデータ (アルファ LSB) は残っています。',
+  'scrub.failed': '削除に失敗しました: {message}',
+  'scrub.title': '削除する項目',
+  'scrub.optionsNote': 'パス・LoRA の項目は ComfyUI 全体の削除をオフにした場合のみ適用されます。',
+  'scrub.noneRemoved': '削除した項目はありません',
+  'scrub.dropTitle': '公開する画像を',
+
+  // --- Metadata editor ---
+  'editor.badPromptJson': 'prompt JSON を解析できません。',
+  'editor.badWorkflowJson': 'workflow JSON を解析できません。',
+  'editor.noNodes': 'ノード一覧がありません。',
+  'editor.addSetting': '+ 項目を追加',
+  'editor.title': 'メタデータの確認と編集',
+  'editor.copy': '{label}をコピー',
+  'editor.copy.prompt': 'プロンプト',
+  'editor.copy.parameters': 'parameters 全体',
+  'editor.copy.workflow': 'ComfyUI workflow JSON',
+  'editor.settings': '設定 (Steps, Sampler, CFG scale, Seed, Size, Model, Lora hashes ...)',
+
+  // --- Metadata diff ---
+  'diff.group.a1111': 'Prompt',
+  'diff.group.settings': 'A1111 設定',
+  'diff.group.comfy-prompt': 'ComfyUI prompt ノード',
+  'diff.group.comfy-workflow': 'ComfyUI workflow',
+  'diff.group.texts': '生成ツールのテキスト',
+  'diff.status.changed': '相違',
+  'diff.status.added': '元画像のみ',
+  'diff.status.removed': '対象のみ',
+  'diff.choice.source': '元画像を使う',
+  'diff.choice.target': '対象を残す',
+  'diff.choice.merge': 'マージ',
+  'diff.none': '(なし)',
+  'diff.title': '既存のメタデータを比較 · {name}',
+  'diff.intro': '対象の画像にはすでにメタデータがあります。項目ごとに元画像の値を使うか、対象の値を残すかを選んでください。',
+  'diff.mergeNote': 'マージは元画像の値を使い、対象の値を設定の "{key}" に記録します。',
+  'diff.allSource': 'すべて元画像を使う',
+  'diff.allTarget': 'すべて対象を残す',
+  'diff.source': '元画像',
+  'diff.target': '対象',
+  'diff.apply': '選択どおりに書き込む',
+
+  // --- Similarity warning ---
+  'warning.title': '元画像とは別の画像のようです (類似度 {percent}%)',
+  'warning.body': '[{target}] は [{source}] と絵が大きく異なります。このまま書き込むと、他人のプロンプトやシードが無関係な画像に付いてしまう可能性があります。',
+  'warning.hint': 'トリミング・アップスケール・インペイントした画像は通常 80% 以上になるので、元画像や編集版を取り違えていないか確認してください。',
+  'warning.confirm': 'それでも書き込む',
+
+  // --- Library panel ---
+  'library.title': 'メタデータライブラリ',
+  'library.count': '{count} 件',
+  'library.import': 'インポート',
+  'library.export': 'エクスポート',
+  'library.searchPlaceholder': 'プロンプト、ファイル名 / model:名前 / seed:数字',
+  'library.empty': '元画像を読み込むと、メタデータがここに自動で保存されます。再読み込みしても残ります。',
+  'library.noResults': '検索結果がありません。',
+  'library.use': '元画像として使う',
+
+  // --- Status messages ---
+  'status.waiting': '画像ファイルを待っています...',
+  'status.extracting': 'メタデータを抽出中...',
+  'status.xmpCopy': 'XMP コピー',
+  'status.extracted': '[{name}] からメタデータ ({details}) を保存しました!',
+  'status.trailingData': 'ファイルの末尾 (IEND の後ろ) に画像と無関係なデータが {size} バイト付いています。',
+  'status.noMetadata': 'この画像には復元できる AI メタデータがありません。',
+  'status.readFailed': 'メタデータを読み込めませんでした: {message}',
+  'status.pastedTextName': '貼り付けたテキスト',
+  'status.librarySelected': 'ライブラリから [{name}] のメタデータ ({generator}) を読み込みました。',
+  'status.deleteFailed': '削除に失敗しました: {message}',
+  'status.imported': 'ライブラリに {count} 件の項目をインポートしました。',
+  'status.importFailed': 'インポートに失敗しました: {message}',
+  'status.extractFirst': '先にステップ 1 で元画像のメタデータを抽出してください!',
+  'status.checkingTarget': '対象画像の既存のメタデータを確認中...',
+  'status.unrelated': '[{target}] は元画像 [{source}] とは別の画像のようです (類似度 {percent}%)。',
+  'status.conflicts': '[{name}] にはすでに別のメタデータ ({generator}) があります。',
+  'status.chooseBelow': '下で項目ごとに選んでから書き込んでください。',
+  'status.confirmBelow': '下で確認してから書き込んでください。',
+  'status.injecting': 'メタデータを書き込み中...',
+  'status.injected': 'メタデータの復元が完了しました!下からダウンロードしてください。',
+  'status.injectFailed': '書き込みに失敗しました: {message}',
+  'status.badPastedText': '貼り付けたテキストは A1111 parameters でも ComfyUI workflow/prompt JSON でもありません。',
+  'status.pasted': '貼り付けたテキストからメタデータ ({generator}) を保存しました!',
+  'status.copied': '{label}をクリップボードにコピーしました。',
+  'status.copyFailed': 'コピーに失敗しました: {message}',
+  'status.noReceivedImages': '受け取ったファイルに PNG、JPG、WebP、AVIF、JPEG XL の画像がありません。',
+  'status.injectCancelled': '書き込みをキャンセルしました。',
+
+  // --- Header, modes and options ---
+  'app.title': 'EXIF あり',
+  'app.subtitle': 'AI 画像メタデータの保存・復元ツール',
+  'app.credit': '制作: 아카라이브 근첩A',
+  'app.language': '言語',
+  'mode.single': '1 枚ずつ',
+  'mode.batch': '一括処理',
+  'mode.scrub': '個人情報の削除',
+  'option.compress': 'PNG テキスト圧縮',
+  'option.compress.title': '長い ComfyUI workflow JSON を zTXt/iTXt に圧縮して保存します (PNG)',
+  'option.stealth': 'Stealth コピー',
+  'option.stealth.title': 'テキストチャンクを消すサイトにアップロードしても残るよう、アルファチャンネルの最下位ビット (stealth_pngcomp) にメタデータをもう一部埋め込みます。結果は PNG で保存されます。PNG、WebP、AVIF の対象にのみ適用され、JPG と JPEG XL は元の形式のまま保存されます。',
+  'option.xmp': 'XMP コピー',
+  'option.xmp.title': 'Photoshop や Lightroom は PNG テキストを消して EXIF を書き直しますが、XMP は残します。メタデータを XMP にももう一部入れておくと、編集後もステップ 1 で復元できます。',
+
+  // --- Single mode steps ---
+  'step1.title': '元画像を読み込む',
+  'step1.ready': 'データ取得済み',
+  'step1.cached': 'メタデータをキャッシュしました',
+  'step1.found': '{generator} メタデータを検出',
+  'step1.dropTitle': '元画像 (プロンプトあり) を',
+  'step1.pasteHint': 'Ctrl+V で画像や A1111 parameters・ComfyUI JSON のテキストも貼り付けられます',
+  'step2.title': '編集版に上書き',
+  'step2.another': '別のファイルを処理する',
+  'step2.dropTitle': '編集した画像 (メタデータなし) を',
+  'step2.dropHint': 'ここにドラッグして復元してください',
+  'step2.pasteHint': 'Tab でこの枠を選んでから Ctrl+V で貼り付けることもできます',
+
+  // --- Guide (**text** is shown in bold) ---
+  'guide.title': '使い方',
+  'guide.step1.title': '元画像を用意',
+  'guide.step1.body': 'メタデータが残っている**元画像** (A1111、ComfyUI、NovelAI、InvokeAI、Fooocus、SwarmUI に対応) を左の枠にドラッグします。スクリーンショットなどのクリップボード画像や、PNG Info からコピーした parameters テキスト、ComfyUI workflow JSON は Ctrl+V で貼り付けることもできます。',
+  'guide.step2.title': '編集',
+  'guide.step2.body': 'Photoshop やインペイントツールで画像を編集します。(ComfyUI の workflow や prompt の情報が消えても問題ありません。)',
+  'guide.step3.title': '復元完了',
+  'guide.step3.body': '右の枠に編集したファイルを入れると、元画像の A1111 parameters または ComfyUI workflow/prompt の情報をすべて書き戻します。PNG・JPG・WebP・AVIF・JPEG XL の間で形式が違っても移せます。',
+  'guide.privacy': '※ すべての処理はサーバーに送信せず、ブラウザ内だけで安全に行われます。',
+  'guide.install': 'アプリとしてインストールするとオフラインでも使え、ギャラリーの共有メニューや「このアプリで開く」から画像を直接送れます (2 枚まとめて送ると元画像と編集版として処理します)。',
+
+  // --- Command line (src/cli) ---
+  'cli.usage': `使い方: exif-exists <コマンド> [オプション]
+
+コマンド:
+  extract <画像...>                  メタデータを JSON で保存 (既定: <画像>.json、-o - で標準出力)
+  inject <meta.json|元画像> <対象...>  JSON または元画像のメタデータを対象に埋め込む (既定: fixed_<対象>)
+  copy <元画像> <対象...>            元画像のメタデータを対象にコピー (既定: fixed_<対象>)
+  show <画像...>                     メタデータの概要を表示
+  strip <画像...>                    個人情報を削除 (既定: clean_<画像>)
+
+画像にはファイル、ディレクトリ (サブフォルダを含む)、glob パターン ("renders/**/*.png") を指定できます。
+メッセージの言語は環境変数 LC_ALL、LC_MESSAGES、LANG に従います (ko, en, ja)。
+
+オプション:
+  -o, --output <パス>  出力ファイル。入力が複数かディレクトリを指定した場合は元のファイル名でその中に保存
+  --json               結果を JSON で出力
+  --compress           PNG の長いテキストを圧縮して保存 (zTXt/iTXt)
+  --xmp                メタデータを XMP にも保存 (Photoshop などで編集しても残る)
+  --only <項目,...>    strip で削除する項目 (既定: すべて): {options}
+  -h, --help           ヘルプ
+`,
+  'cli.error.unknownCommand': '不明なコマンドです: {command}',
+  'cli.error.noImages': '画像を 1 つ以上指定してください。',
+  'cli.error.noMatch': '一致するファイルがありません。',
+  'cli.error.sourceAndTargets': '元画像と対象の両方を指定してください。',
+  'cli.error.stdoutWithJson': '-o - と --json は同時に使えません。',
+  'cli.error.stdoutSingle': '-o - は画像が 1 つのときだけ使えます。',
+  'cli.error.unknownScrubKeys': '不明な項目です: {keys} (指定できる項目: {options})',
+  'cli.error.notMetadataJson': '{source}: 対応している画像またはメタデータ JSON ではありません。',
+  'cli.error.emptyMetadataJson': '{source}: メタデータ JSON には {fields} のいずれかが必要です。',
+  'cli.error.sourceNoMetadata': '元画像に AI メタデータがありません。',
+  'cli.error.noMetadata': 'この画像には AI メタデータがありません。',
+  'cli.error.outputClash': '出力ファイル名が他の入力と重なっています: {output}',
+  'cli.show.none': 'AI メタデータなし',
+  'cli.show.fromXmp': 'XMP のコピーから復元',
+  'cli.show.nodes': 'ノード {count} 個',
+  'cli.show.chars': '{count} 文字',
+  'cli.show.trailing': 'IEND 以降のデータ: {size} バイト',
+  'cli.result.dropped': 'PNG ではないため省いたチャンク: {keywords}',
+  'cli.result.removed': '削除: {items}',
+  'cli.result.nothingRemoved': '削除する項目なし',
+};
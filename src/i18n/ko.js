@@ -0,0 +1,270 @@
+// Korean, the original language of the app and the fallback for missing keys
+
+export default {
+  // --- Library errors (metadata/, library/, worker/) ---
+  'error.unsupportedFormat': 'PNG, JPG, WebP, AVIF, JPEG XL 파일만 지원합니다.',
+  'error.png.signature': '유효한 PNG 파일이 아닙니다.',
+  'error.png.noIend': 'IEND 청크 없이 {size}바이트에서 파일이 끝났습니다. 파일이 잘린 것 같습니다.',
+  'error.png.badChunkType': '{offset}바이트의 청크 타입이 올바르지 않습니다. 파일이 손상되었습니다.',
+  'error.png.truncatedChunk': '{type} 청크가 {size}바이트에서 잘렸습니다 ({end}바이트까지 있어야 합니다).',
+  'error.png.crcMismatch': '{type} 청크의 CRC가 일치하지 않습니다 ({offset}바이트). 파일이 손상되었습니다.',
+  'error.png.missingIhdr': '첫 청크가 IHDR가 아니라 {type}입니다.',
+  'error.png.badCompressedText': '{offset}바이트의 {type} 청크는 압축을 풀 수 없습니다. 파일이 손상되었습니다.',
+  'error.jpeg.exifTooLarge': '메타데이터가 너무 커서 JPG EXIF(최대 64KB)에 담을 수 없습니다 ({size}KB). PNG나 WebP로 저장해주세요.',
+  'error.jpeg.xmpTooLarge': 'XMP가 너무 커서 JPG(최대 64KB)에 담을 수 없습니다 ({size}KB). XMP 사본을 끄거나 PNG나 WebP로 저장해주세요.',
+  'error.jpeg.truncated': 'JPEG 파일이 이미지 데이터 없이 {size}바이트에서 끝났습니다. 파일이 잘린 것 같습니다.',
+  'error.jpeg.truncatedSegment': '{offset}바이트의 JPEG 세그먼트가 {size}바이트에서 잘렸습니다 ({end}바이트까지 있어야 합니다).',
+  'error.webp.invalid': '유효한 WebP 파일이 아닙니다.',
+  'error.webp.noImage': 'WebP 이미지 데이터를 찾을 수 없습니다.',
+  'error.webp.badVp8': '손상된 VP8 비트스트림입니다.',
+  'error.webp.badVp8l': '손상된 VP8L 비트스트림입니다.',
+  'error.avif.invalid': '유효한 AVIF 파일이 아닙니다.',
+  'error.avif.noMeta': 'AVIF의 meta 박스를 찾을 수 없습니다. 파일이 손상되었습니다.',
+  'error.avif.sequence': '애니메이션 AVIF(이미지 시퀀스)에는 아직 메타데이터를 쓸 수 없습니다.',
+  'error.avif.unsupportedLayout': 'AVIF 이미지 데이터의 위치를 옮길 수 없습니다. 지원하지 않는 파일 구조입니다.',
+  'error.jxl.invalid': '유효한 JPEG XL 파일이 아닙니다.',
+  'error.isobmff.truncatedBox': '{offset}바이트의 {type} 박스가 파일 밖으로 이어집니다. 파일이 잘렸거나 손상되었습니다.',
+  'error.isobmff.badExifOffset': 'EXIF 데이터의 TIFF 헤더 위치가 올바르지 않습니다.',
+  'error.stealth.corrupt': 'stealth 데이터가 손상되었습니다 ({signature}, 길이 {length}비트).',
+  'error.stealth.tooSmall': '이미지가 너무 작아 stealth 사본을 넣을 수 없습니다 (필요: {bits}픽셀, 이미지: {pixels}픽셀).',
+  'error.stealth.encode': 'stealth 사본을 넣은 PNG를 만들 수 없습니다.',
+  'error.library.notJson': '라이브러리 JSON 파일이 아닙니다.',
+  'error.library.notExport': 'EXIF 있음에서 내보낸 라이브러리 파일이 아닙니다.',
+  'error.library.newerVersion': '더 새로운 버전에서 내보낸 라이브러리입니다. 페이지를 새로고침한 뒤 다시 시도해주세요.',
+  'error.worker.crashed': '이미지를 처리하는 중 작업자가 중단되었습니다. 메모리가 부족했을 수 있습니다.',
+  'error.noSourceMetadata': '원본에 AI 메타데이터가 없습니다.',
+
+  // --- Removed items in a scrub report ---
+  'removed.generatorTexts': '{generator} 데이터 ({keywords})',
+  'removed.paths': '로컬 경로 {count}개',
+  'removed.loras': 'LoRA 파일명 {count}개',
+  'removed.camera': '카메라 정보 ({tags})',
+  'removed.thumbnail': '썸네일',
+  'removed.trailingData': 'IEND 뒤에 붙은 데이터 ({size}바이트)',
+  'removed.pngExif': 'eXIf (EXIF 전체)',
+  'removed.unreadableExif': '읽을 수 없는 EXIF',
+  'removed.compressedBox': 'Brotli로 압축된 {box} 박스 (전체)',
+
+  // --- Warnings returned with a read or write ---
+  'warning.exifSkipped': '{format} EXIF를 읽을 수 없어 나머지 메타데이터만 읽었습니다.',
+  'warning.exifRewritten': '대상의 {format} EXIF를 읽을 수 없어 새로 작성했습니다.',
+  'warning.compressedBox': 'Brotli로 압축된 JPEG XL {box} 박스는 읽을 수 없어 건너뛰었습니다.',
+  'warning.compressedBoxKept': 'Brotli로 압축된 JPEG XL {box} 박스는 읽을 수 없어 그대로 두었습니다.',
+  'warning.compressedBoxReplaced': 'Brotli로 압축된 JPEG XL {box} 박스는 읽을 수 없어 새로 작성한 박스로 바꿨습니다.',
+
+  // --- Progress and shared notes ---
+  'progress.read': '파일 읽는 중',
+  'progress.parse': '메타데이터 분석 중',
+  'progress.write': '파일 쓰는 중',
+  'note.dropped': '(PNG가 아니라서 {chunks} 청크는 옮기지 못했습니다)',
+  'note.stealthSkipped': '({format} 대상에는 stealth 사본을 넣지 않고 원래 형식 그대로 저장했습니다)',
+  'similarity.same': '같은 이미지',
+  'similarity.related': '편집된 같은 이미지로 보임',
+  'similarity.unrelated': '다른 이미지로 보임',
+  'similarity.note': '원본과 유사도 {percent}% ({verdict}).',
+  'common.save': '저장하기',
+  'common.delete': '삭제',
+  'common.cancel': '취소',
+  'common.dropOrClick': '여기에 드래그하거나 클릭하세요',
+
+  // --- Batch mode ---
+  'batch.skipped': '건너뜀',
+  'batch.running': '일괄 복구 중... ({index}/{total}) {name}',
+  'batch.done': '완료',
+  'batch.summary': '일괄 복구 완료: 성공 {succeeded}개, 실패 {failed}개',
+  'batch.fileCount': '{count}개 파일',
+  'batch.dropHint': '여러 파일 또는 폴더를 드래그하세요',
+  'batch.originals': '원본(프롬프트 있는) 사진들',
+  'batch.edits': '수정된(메타데이터 없는) 사진들',
+  'batch.column.edit': '수정본',
+  'batch.column.original': '원본',
+  'batch.column.similarity': '유사도',
+  'batch.column.similarity.title': '원본과 수정본 이미지가 얼마나 닮았는지 (크롭·업스케일·인페인팅은 보통 80% 이상)',
+  'batch.column.result': '결과',
+  'batch.skipOption': '— 건너뛰기 —',
+  'batch.suggestion': '추천: {name} ({percent}%)',
+  'batch.failed': '실패',
+  'batch.run': '일괄 복구',
+  'batch.saveZip': 'ZIP 저장하기',
+  'batch.applySuggestions': '유사도 추천대로 짝 맞추기',
+  'batch.clear': '목록 비우기',
+
+  // --- Scrub mode ---
+  'scrub.option.parameters': '프롬프트/설정 (A1111 parameters, NovelAI·InvokeAI·Fooocus·SwarmUI 데이터)',
+  'scrub.option.comfy': 'ComfyUI prompt/workflow 전체',
+  'scrub.option.paths': 'workflow 속 로컬 경로 (파일명만 남김)',
+  'scrub.option.loras': 'workflow 속 LoRA 파일명',
+  'scrub.option.gps': 'GPS 위치 정보',
+  'scrub.option.camera': '카메라/기기 정보 (제조사, 모델, 일련번호, 촬영 시각)',
+  'scrub.option.thumbnail': '내장 썸네일',
+  'scrub.option.xmp': 'XMP',
+  'scrub.running': '메타데이터 제거 중...',
+  'scrub.removed': '[{name}]에서 {count}개 항목을 제거했습니다.',
+  'scrub.nothing': '[{name}]에는 제거할 항목이 없습니다.',
+  'scrub.stealthRemains': '단, 픽셀 속 stealth 메타데이터(알파 LSB)는 남아 있습니다.',
+  'scrub.failed': '제거 실패: {message}',
+  'scrub.title': '제거할 항목',
+  'scrub.optionsNote': '경로·LoRA 항목은 ComfyUI 전체 제거를 끈 경우에만 적용됩니다.',
+  'scrub.noneRemoved': '제거된 항목 없음',
+  'scrub.dropTitle': '공개할 사진을',
+
+  // --- Metadata editor ---
+  'editor.badPromptJson': 'prompt JSON을 해석할 수 없습니다.',
+  'editor.badWorkflowJson': 'workflow JSON을 해석할 수 없습니다.',
+  'editor.noNodes': '노드 목록이 없습니다.',
+  'editor.addSetting': '+ 항목 추가',
+  'editor.title': '메타데이터 확인 및 수정',
+  'editor.copy': '{label} 복사',
+  'editor.copy.prompt': '프롬프트',
+  'editor.copy.parameters': '전체 parameters',
+  'editor.copy.workflow': 'ComfyUI workflow JSON',
+  'editor.settings': '설정 (Steps, Sampler, CFG scale, Seed, Size, Model, Lora hashes ...)',
+
+  // --- Metadata diff ---
+  'diff.group.a1111': 'Prompt',
+  'diff.group.settings': 'A1111 설정',
+  'diff.group.comfy-prompt': 'ComfyUI prompt 노드',
+  'diff.group.comfy-workflow': 'ComfyUI workflow',
+  'diff.group.texts': '생성기 텍스트',
+  'diff.status.changed': '다름',
+  'diff.status.added': '원본에만',
+  'diff.status.removed': '대상에만',
+  'diff.choice.source': '원본 사용',
+  'diff.choice.target': '대상 유지',
+  'diff.choice.merge': '병합',
+  'diff.none': '(없음)',
+  'diff.title': '기존 메타데이터 비교 · {name}',
+  'diff.intro': '대상 이미지에 이미 메타데이터가 있습니다. 항목마다 원본 값을 쓸지, 대상 값을 남길지 고르세요.',
+  'diff.mergeNote': '병합은 원본 값을 쓰고 대상 값은 설정의 "{key}"에 기록합니다.',
+  'diff.allSource': '모두 원본 사용',
+  'diff.allTarget': '모두 대상 유지',
+  'diff.source': '원본',
+  'diff.target': '대상',
+  'diff.apply': '선택한 대로 주입',
+
+  // --- Similarity warning ---
+  'warning.title': '원본과 다른 이미지로 보입니다 (유사도 {percent}%)',
+  'warning.body': '[{target}]은(는) [{source}]과(와) 그림이 많이 다릅니다. 이대로 주입하면 다른 사람의 프롬프트와 시드가 엉뚱한 이미지에 붙을 수 있습니다.',
+  'warning.hint': '크롭·업스케일·인페인팅한 이미지는 보통 80% 이상이 나오니, 원본이나 수정본을 잘못 고르지 않았는지 확인해주세요.',
+  'warning.confirm': '그래도 주입하기',
+
+  // --- Library panel ---
+  'library.title': '메타데이터 라이브러리',
+  'library.count': '{count}개',
+  'library.import': '가져오기',
+  'library.export': '내보내기',
+  'library.searchPlaceholder': '프롬프트, 파일 이름 / model:이름 / seed:숫자',
+  'library.empty': '원본을 불러오면 메타데이터가 여기에 자동으로 저장됩니다. 새로고침해도 남아 있습니다.',
+  'library.noResults': '검색 결과가 없습니다.',
+  'library.use': '원본으로 사용',
+
+  // --- Status messages ---
+  'status.waiting': '이미지 파일을 기다리는 중...',
+  'status.extracting': '메타데이터 추출 중...',
+  'status.xmpCopy': 'XMP 사본',
+  'status.extracted': '[{name}]에서 메타데이터({details})를 저장했습니다!',
+  'status.trailingData': '파일 끝(IEND 뒤)에 이미지와 무관한 데이터 {size}바이트가 붙어 있습니다.',
+  'status.noMetadata': '이 이미지에는 복구할 AI 메타데이터가 없습니다.',
+  'status.readFailed': '메타데이터를 읽지 못했습니다: {message}',
+  'status.pastedTextName': '붙여넣은 텍스트',
+  'status.librarySelected': '라이브러리에서 [{name}]의 메타데이터({generator})를 불러왔습니다.',
+  'status.deleteFailed': '삭제 실패: {message}',
+  'status.imported': '라이브러리에 {count}개 항목을 가져왔습니다.',
+  'status.importFailed': '가져오기 실패: {message}',
+  'status.extractFirst': '먼저 1단계에서 원본 메타데이터를 추출해주세요!',
+  'status.checkingTarget': '대상 이미지의 기존 메타데이터 확인 중...',
+  'status.unrelated': '[{target}]은(는) 원본 [{source}]과(와) 다른 이미지로 보입니다 (유사도 {percent}%).',
+  'status.conflicts': '[{name}]에 이미 다른 메타데이터({generator})가 있습니다.',
+  'status.chooseBelow': '아래에서 항목별로 고른 뒤 주입하세요.',
+  'status.confirmBelow': '아래에서 확인한 뒤 주입하세요.',
+  'status.injecting': '메타데이터 주입 중...',
+  'status.injected': '메타데이터 복구 완료! 아래에서 다운로드하세요.',
+  'status.injectFailed': '주입 실패: {message}',
+  'status.badPastedText': '붙여넣은 텍스트는 A1111 parameters나 ComfyUI workflow/prompt JSON이 아닙니다.',
+  'status.pasted': '붙여넣은 텍스트에서 메타데이터({generator})를 저장했습니다!',
+  'status.copied': '{label}을(를) 클립보드에 복사했습니다.',
+  'status.copyFailed': '복사 실패: {message}',
+  'status.noReceivedImages': '받은 파일 중 PNG, JPG, WebP, AVIF, JPEG XL 이미지가 없습니다.',
+  'status.injectCancelled': '주입을 취소했습니다.',
+
+  // --- Header, modes and options ---
+  'app.title': 'EXIF 있음',
+  'app.subtitle': 'AI 이미지 메타데이터 보존 및 복구 도구',
+  'app.credit': '제작자 : 아카라이브 근첩A',
+  'app.language': '언어',
+  'mode.single': '한 장씩',
+  'mode.batch': '일괄 처리',
+  'mode.scrub': '개인정보 제거',
+  'option.compress': 'PNG 텍스트 압축',
+  'option.compress.title': '긴 ComfyUI workflow JSON을 zTXt/iTXt로 압축해 저장합니다 (PNG)',
+  'option.stealth': 'Stealth 사본',
+  'option.stealth.title': '텍스트 청크를 지우는 사이트에 올려도 남도록 알파 채널 최하위 비트(stealth_pngcomp)에 메타데이터를 한 벌 더 심습니다. 결과는 PNG로 저장됩니다. PNG, WebP, AVIF 대상에만 적용되며, JPG와 JPEG XL은 원래 형식 그대로 저장됩니다.',
+  'option.xmp': 'XMP 사본',
+  'option.xmp.title': '포토샵·라이트룸은 PNG 텍스트를 지우고 EXIF를 다시 쓰지만 XMP는 남깁니다. 메타데이터를 XMP에도 한 벌 더 넣어두면 편집 후에도 1단계에서 복구할 수 있습니다.',
+
+  // --- Single mode steps ---
+  'step1.title': '원본 불러오기',
+  'step1.ready': '데이터 확보됨',
+  'step1.cached': '메타데이터 캐시 저장 완료',
+  'step1.found': '{generator} 메타데이터 발견',
+  'step1.dropTitle': '원본(프롬프트 있는) 사진을',
+  'step1.pasteHint': 'Ctrl+V로 이미지나 A1111 parameters·ComfyUI JSON 텍스트도 붙여넣을 수 있습니다',
+  'step2.title': '수정본 덮어쓰기',
+  'step2.another': '다른 파일 작업하기',
+  'step2.dropTitle': '수정된(메타데이터 없는) 사진을',
+  'step2.dropHint': '여기에 드래그하여 복구하세요',
+  'step2.pasteHint': 'Tab으로 이 칸을 선택한 뒤 Ctrl+V로 붙여넣어도 됩니다',
+
+  // --- Guide (**text** is shown in bold) ---
+  'guide.title': '사용 가이드',
+  'guide.step1.title': '원본 확보',
+  'guide.step1.body': '메타데이터가 살아있는 **원본 사진**(A1111, ComfyUI, NovelAI, InvokeAI, Fooocus, SwarmUI 지원)을 왼쪽 칸에 드래그합니다. 스크린샷 같은 클립보드 이미지나 PNG Info에서 복사한 parameters 텍스트, ComfyUI workflow JSON은 Ctrl+V로 붙여넣어도 됩니다.',
+  'guide.step2.title': '편집 및 수정',
+  'guide.step2.body': '포토샵이나 인페인팅 툴로 이미지를 수정합니다. (ComfyUI의 workflow나 prompt 정보가 사라져도 괜찮습니다.)',
+  'guide.step3.title': '복구 완료',
+  'guide.step3.body': '오른쪽 칸에 수정된 파일을 넣으면, 원본의 A1111 parameters 또는 ComfyUI workflow/prompt 정보를 모두 다시 심어줍니다. PNG·JPG·WebP·AVIF·JPEG XL 사이에서 형식이 달라도 옮겨 심을 수 있습니다.',
+  'guide.privacy': '※ 모든 과정은 서버 전송 없이 사용자의 브라우저 내부에서만 안전하게 처리됩니다.',
+  'guide.install': "앱으로 설치하면 오프라인에서도 쓸 수 있고, 갤러리의 공유 메뉴나 '연결 프로그램'으로 이미지를 바로 보낼 수 있습니다 (두 장을 함께 보내면 원본과 수정본으로 처리).",
+
+  // --- Command line (src/cli) ---
+  'cli.usage': `사용법: exif-exists <명령> [옵션]
+
+명령:
+  extract <이미지...>                메타데이터를 JSON으로 저장 (기본: <이미지>.json, -o - 는 표준 출력)
+  inject <meta.json|원본> <대상...>  JSON 또는 원본 이미지의 메타데이터를 대상에 주입 (기본: fixed_<대상>)
+  copy <원본> <대상...>              원본 이미지의 메타데이터를 대상에 복사 (기본: fixed_<대상>)
+  show <이미지...>                   메타데이터 요약 출력
+  strip <이미지...>                  개인정보 제거 (기본: clean_<이미지>)
+
+이미지 자리에는 파일, 디렉터리(하위 폴더 포함), glob 패턴("renders/**/*.png")을 쓸 수 있습니다.
+메시지 언어는 LC_ALL, LC_MESSAGES, LANG 환경 변수를 따릅니다 (ko, en, ja).
+
+옵션:
+  -o, --output <경로>  출력 파일. 입력이 여러 개이거나 디렉터리를 주면 원래 파일 이름으로 그 안에 저장
+  --json               결과를 JSON으로 출력
+  --compress           PNG의 긴 텍스트를 압축해서 저장 (zTXt/iTXt)
+  --xmp                메타데이터를 XMP에도 한 벌 더 저장 (포토샵 등에서 편집해도 남음)
+  --only <항목,...>    strip에서 제거할 항목 (기본: 전부): {options}
+  -h, --help           도움말
+`,
+  'cli.error.unknownCommand': '알 수 없는 명령입니다: {command}',
+  'cli.error.noImages': '이미지를 하나 이상 지정해주세요.',
+  'cli.error.noMatch': '일치하는 파일이 없습니다.',
+  'cli.error.sourceAndTargets': '원본과 대상을 모두 지정해주세요.',
+  'cli.error.stdoutWithJson': '-o - 와 --json은 함께 쓸 수 없습니다.',
+  'cli.error.stdoutSingle': '-o - 는 이미지가 하나일 때만 쓸 수 있습니다.',
+  'cli.error.unknownScrubKeys': '알 수 없는 항목입니다: {keys} (가능한 항목: {options})',
+  'cli.error.notMetadataJson': '{source}: 지원하는 이미지나 메타데이터 JSON이 아닙니다.',
+  'cli.error.emptyMetadataJson': '{source}: 메타데이터 JSON에 {fields} 중 하나가 있어야 합니다.',
+  'cli.error.sourceNoMetadata': '원본에 AI 메타데이터가 없습니다.',
+  'cli.error.noMetadata': '이 이미지에는 AI 메타데이터가 없습니다.',
+  'cli.error.outputClash': '출력 파일 이름이 다른 입력과 겹칩니다: {output}',
+  'cli.show.none': 'AI 메타데이터 없음',
+  'cli.show.fromXmp': 'XMP 사본에서 복구',
+  'cli.show.nodes': '노드 {count}개',
+  'cli.show.chars': '{count}자',
+  'cli.show.trailing': 'IEND 뒤 데이터: {size}바이트',
+  'cli.result.dropped': 'PNG가 아니라서 빠진 청크: {keywords}',
+  'cli.result.removed': '제거: {items}',
+  'cli.result.nothingRemoved': '제거할 항목 없음',
+};
@@ -0,0 +1,96 @@
+import { describe, expect, it } from 'vitest';
+import { emptyMetadata } from '../../metadata/index.js';
+import { createLibraryEntry, exportLibrary, matchesLibraryQuery, metadataKeywords, parseLibraryImport } from '../entries.js';
+
+const A1111 = {
+  ...emptyMetadata(),
+  positive: 'masterpiece, 1girl, cherry blossoms',
+  negative: 'lowres',
+  settings: 'Steps: 28, Sampler: Euler a, Seed: 1234567890, Size: 512x768, Model: animeMix_v3',
+};
+
+const COMFY = {
+  ...emptyMetadata(),
+  prompt: JSON.stringify({
+    4: { class_type: 'CheckpointLoaderSimple', inputs: { ckpt_name: 'sd_xl_base_1.0.safetensors' } },
+    6: { class_type: 'CLIPTextEncode', inputs: { text: 'a castle at night', clip: ['4', 1] } },
+    3: { class_type: 'KSampler', inputs: { seed: 42, steps: 20 } },
+  }),
+};
+
+describe('metadataKeywords', () => {
+  it('reads model and seed from A1111 settings', () => {
+    expect(metadataKeywords(A1111)).toEqual({ models: ['animeMix_v3'], seeds: ['1234567890'], texts: [] });
+  });
+
+  it('reads checkpoints, seeds and prompt texts from ComfyUI nodes', () => {
+    expect(metadataKeywords(COMFY)).toEqual({ models: ['sd_xl_base_1.0.safetensors'], seeds: ['42'], texts: ['a castle at night'] });
+  });
+
+  it('reads JSON chunks of other generators', () => {
+    const novelai = { ...emptyMetadata(), texts: { Source: 'Stable Diffusion XL C1E1DE52', Comment: JSON.stringify({ prompt: '1girl', uc: 'lowres', seed: 31 }) } };
+    const invokeai = { ...emptyMetadata(), texts: { invokeai_metadata: JSON.stringify({ positive_prompt: 'castle', seed: 9, model: { model_name: 'dreamshaper_8' } }) } };
+
+    expect(metadataKeywords(novelai)).toEqual({ models: ['Stable Diffusion XL C1E1DE52'], seeds: ['31'], texts: ['1girl', 'lowres'] });
+    expect(metadataKeywords(invokeai)).toEqual({ models: ['dreamshaper_8'], seeds: ['9'], texts: ['castle'] });
+  });
+
+  it('ignores broken prompt JSON', () => {
+    expect(metadataKeywords({ ...emptyMetadata(), prompt: '{' })).toEqual({ models: [], seeds: [], texts: [] });
+  });
+});
+
+describe('matchesLibraryQuery', () => {
+  const a1111 = createLibraryEntry({ type: 'png', metadata: A1111, sourceName: '00012-1234567890.png' });
+  const comfy = createLibraryEntry({ type: 'png', metadata: COMFY, sourceName: 'ComfyUI_00001_.png' });
+  const search = query => [a1111, comfy].filter(entry => matchesLibraryQuery(entry, query)).map(entry => entry.sourceName);
+
+  it('matches prompt text in both generators', () => {
+    expect(search('cherry')).toEqual(['00012-1234567890.png']);
+    expect(search('CASTLE')).toEqual(['ComfyUI_00001_.png']);
+    expect(search('')).toHaveLength(2);
+  });
+
+  it('matches seeds exactly and models by substring', () => {
+    expect(search('seed:42')).toEqual(['ComfyUI_00001_.png']);
+    expect(search('seed:4')).toEqual([]);
+    expect(search('model:anime')).toEqual(['00012-1234567890.png']);
+  });
+
+  it('requires every term to match', () => {
+    expect(search('1girl model:sd_xl')).toEqual([]);
+  });
+});
+
+describe('library import/export', () => {
+  const entry = { ...createLibraryEntry({ type: 'jpg', metadata: A1111, sourceName: 'a.jpg', thumbnail: 'data:image/jpeg;base64,AA==', fingerprint: ['00ff'], createdAt: 1700000000000 }), id: 7 };
+
+  it('round-trips entries without their ids', () => {
+    const [imported] = parseLibraryImport(exportLibrary([entry]));
+    const { id: _id, ...expected } = entry;
+    expect(imported).toEqual(expected);
+  });
+
+  it('skips entries that are already in the library', () => {
+    expect(parseLibraryImport(exportLibrary([entry]), [entry])).toEqual([]);
+  });
+
+  it('drops invalid fields and empty entries', () => {
+    const text = JSON.stringify({
+      format: 'exif-exists-library',
+      version: 1,
+      entries: [
+        { sourceName: 'x.png', type: 'gif', thumbnail: 'javascript:alert(1)', fingerprint: 'abc', metadata: { positive: 'cat', prompt: 5 } },
+        { sourceName: 'empty.png', metadata: {} },
+      ],
+    });
+    const [imported, ...rest] = parseLibraryImport(text);
+    expect(rest).toEqual([]);
+    expect(imported).toMatchObject({ sourceName: 'x.png', type: null, thumbnail: null, fingerprint: null, metadata: { ...emptyMetadata(), positive: 'cat' } });
+  });
+
+  it('rejects other JSON files', () => {
+    expect(() => parseLibraryImport('{"positive":"cat"}')).toThrow('EXIF 있음에서 내보낸 라이브러리 파일이 아닙니다.');
+    expect(() => parseLibraryImport('not json')).toThrow('라이브러리 JSON 파일이 아닙니다.');
+  });
+});
@@ -0,0 +1,150 @@
+// --- Metadata library entries (pure helpers; storage lives in store.js) ---
+//
+// An entry is { id, createdAt, sourceName, type, generator, metadata, thumbnail, fingerprint, models, seeds }:
+// metadata is the shared model from src/metadata, thumbnail a small JPEG data URL (or null),
+// fingerprint the source image's perceptual hashes (see metadata/similarity.js, or null),
+// models/seeds are pulled out of the metadata once so the list can show and search them.
+
+import { t } from '../i18n/index.js';
+import { describeMetadata, hasMetadata, normalizeMetadata, parseA1111Settings } from '../metadata/index.js';
+
+export const LIBRARY_EXPORT_FORMAT = 'exif-exists-library';
+export const LIBRARY_EXPORT_VERSION = 1;
+
+const COMFY_MODEL_INPUTS = ['ckpt_name', 'unet_name', 'model_name', 'lora_name'];
+const COMFY_SEED_INPUTS = ['seed', 'noise_seed'];
+const COMFY_TEXT_INPUTS = ['text', 'text_g', 'text_l'];
+// Keys in NovelAI / InvokeAI / Fooocus / SwarmUI JSON chunks (model.texts)
+const JSON_MODEL_KEYS = ['model', 'model_name', 'Base Model'];
+const JSON_SEED_KEYS = ['seed', 'Seed'];
+const JSON_TEXT_KEYS = ['prompt', 'uc', 'positive_prompt', 'negative_prompt', 'negativeprompt', 'Prompt', 'Negative Prompt'];
+const IMAGE_TYPES = ['png', 'jpg', 'webp', 'avif', 'jxl'];
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null; // Broken JSON is still kept, it just isn't searchable
+  }
+}
+
+// Collect known keys from generator JSON; settings are nested one or two levels deep
+// (SwarmUI "sui_image_params", InvokeAI "model": { "model_name" })
+function collectJsonKeywords(value, keywords, depth = 0) {
+  if (!value || typeof value !== 'object' || depth > 2) return;
+  for (const [key, item] of Object.entries(value)) {
+    if (JSON_MODEL_KEYS.includes(key) && typeof item === 'string') keywords.models.add(item);
+    else if (JSON_SEED_KEYS.includes(key) && /^\d+$/.test(String(item))) keywords.seeds.add(String(item));
+    else if (JSON_TEXT_KEYS.includes(key) && typeof item === 'string') keywords.texts.push(item);
+    else collectJsonKeywords(item, keywords, depth + 1);
+  }
+}
+
+// Checkpoint/LoRA names, seeds and prompt texts of A1111 settings, ComfyUI API prompts
+// and the JSON chunks of other generators
+export function metadataKeywords(model) {
+  const keywords = { models: new Set(), seeds: new Set(), texts: [] };
+
+  for (const [key, value] of parseA1111Settings(model.settings || '')) {
+    if (key === 'Model') keywords.models.add(value);
+    if (key === 'Seed') keywords.seeds.add(value);
+  }
+
+  const prompt = model.prompt ? parseJson(model.prompt) : null;
+  for (const node of Object.values(prompt || {})) {
+    for (const [key, value] of Object.entries(node?.inputs || {})) {
+      if (COMFY_MODEL_INPUTS.includes(key) && typeof value === 'string') keywords.models.add(value);
+      if (COMFY_SEED_INPUTS.includes(key) && typeof value === 'number') keywords.seeds.add(String(value));
+      if (COMFY_TEXT_INPUTS.includes(key) && typeof value === 'string') keywords.texts.push(value);
+    }
+  }
+
+  const texts = model.texts || {};
+  for (const text of Object.values(texts)) collectJsonKeywords(parseJson(text), keywords);
+  // NovelAI keeps the model name in Source and the prompt in Description
+  if (texts.Source) keywords.models.add(texts.Source);
+  if (texts.Description) keywords.texts.push(texts.Description);
+
+  return { models: [...keywords.models], seeds: [...keywords.seeds], texts: keywords.texts };
+}
+
+export function createLibraryEntry({ type, metadata, sourceName, thumbnail = null, fingerprint = null, createdAt = Date.now() }) {
+  const { models, seeds } = metadataKeywords(metadata);
+  return {
+    createdAt,
+    sourceName,
+    type,
+    generator: describeMetadata(metadata),
+    metadata,
+    thumbnail,
+    fingerprint,
+    models,
+    seeds,
+  };
+}
+
+// Whitespace separated terms that must all match. "seed:123" matches a seed exactly,
+// "model:anime" a checkpoint/LoRA name, anything else prompt texts, file name or model names.
+export function matchesLibraryQuery(entry, query) {
+  const terms = query.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return true;
+
+  const { texts } = metadataKeywords(entry.metadata);
+  const haystack = [
+    entry.sourceName, entry.metadata.positive, entry.metadata.negative, ...texts, ...entry.models, ...entry.seeds,
+  ].join('\n').toLowerCase();
+
+  return terms.every((term) => {
+    const [, field, value] = term.match(/^(seed|model):(.+)$/) || [];
+    if (field === 'seed') return entry.seeds.includes(value);
+    if (field === 'model') return entry.models.some(name => name.toLowerCase().includes(value));
+    return haystack.includes(term);
+  });
+}
+
+export function exportLibrary(entries) {
+  return JSON.stringify({
+    format: LIBRARY_EXPORT_FORMAT,
+    version: LIBRARY_EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    entries: entries.map(({ createdAt, sourceName, type, metadata, thumbnail, fingerprint }) => ({ createdAt, sourceName, type, metadata, thumbnail, fingerprint })),
+  }, null, 2);
+}
+
+// Parse an exported library file into new entries (without ids).
+// Entries already in `existing` (same file name and time) and entries without metadata are skipped.
+export function parseLibraryImport(text, existing = []) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    throw new Error(t('error.library.notJson'));
+  }
+  if (json?.format !== LIBRARY_EXPORT_FORMAT || !Array.isArray(json.entries)) {
+    throw new Error(t('error.library.notExport'));
+  }
+  if (json.version > LIBRARY_EXPORT_VERSION) {
+    throw new Error(t('error.library.newerVersion'));
+  }
+
+  const seen = new Set(existing.map(entry => `${entry.createdAt}\n${entry.sourceName}`));
+  const entries = [];
+  for (const item of json.entries) {
+    const metadata = normalizeMetadata(item?.metadata);
+    const createdAt = Number.isFinite(item?.createdAt) ? item.createdAt : Date.now();
+    const sourceName = typeof item?.sourceName === 'string' ? item.sourceName : '';
+    const key = `${createdAt}\n${sourceName}`;
+    if (!hasMetadata(metadata) || seen.has(key)) continue;
+    seen.add(key);
+
+    entries.push(createLibraryEntry({
+      type: IMAGE_TYPES.includes(item.type) ? item.type : null,
+      metadata,
+      sourceName,
+      thumbnail: typeof item.thumbnail === 'string' && item.thumbnail.startsWith('data:image/') ? item.thumbnail : null,
+      fingerprint: Array.isArray(item.fingerprint) && item.fingerprint.every(hash => /^[0-9a-f]+$/.test(hash)) ? item.fingerprint : null,
+      createdAt,
+    }));
+  }
+  return entries;
+}
@@ -0,0 +1,61 @@
+// --- Metadata library storage (IndexedDB) ---
+//
+// One object store keyed by an auto-increment id. Everything returns promises;
+// they reject when IndexedDB is unavailable (e.g. some private browsing modes).
+
+const DB_NAME = 'exif-exists';
+const DB_VERSION = 1;
+const STORE_NAME = 'library';
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null; // Allow a retry later
+    });
+  }
+  return dbPromise;
+}
+
+// Run `fn(store)` in one transaction; resolves with the result of the request it returns
+async function transact(mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = fn(tx.objectStore(STORE_NAME));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Newest first
+export async function listLibraryEntries() {
+  const entries = await transact('readonly', store => store.getAll());
+  return entries.sort((a, b) => b.createdAt - a.createdAt);
+}
+
+// Resolves with the new id
+export function addLibraryEntry(entry) {
+  return transact('readwrite', store => store.add(entry));
+}
+
+export function addLibraryEntries(entries) {
+  return transact('readwrite', (store) => {
+    for (const entry of entries) store.add(entry);
+  });
+}
+
+export function deleteLibraryEntry(id) {
+  return transact('readwrite', store => store.delete(id));
+}
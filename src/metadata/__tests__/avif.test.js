@@ -0,0 +1,125 @@
+import piexif from 'piexifjs';
+import { describe, expect, it } from 'vitest';
+import { concatBytes } from '../binary.js';
+import { extractAvifMetadata, injectAvifMetadata, readAvifItemData, readAvifMeta, scrubAvifMetadata } from '../avif.js';
+import { extractJpgMetadata } from '../jpeg.js';
+import { createBox, exifPayloadToBinaryString } from '../isobmff.js';
+import { emptyMetadata } from '../model.js';
+import { XMP_NAMESPACE } from '../xmp.js';
+import { fixture } from './fixtures.js';
+
+// The injected file joined from its parts
+const inject = async (...args) => concatBytes(await injectAvifMetadata(...args));
+
+const MODEL = { ...emptyMetadata(), positive: '1girl', negative: 'lowres', settings: 'Steps: 20, Seed: 1, Size: 1x1' };
+
+// Bytes of every image item (AV1 images, alpha planes, grid descriptors and tiles),
+// which must survive every rewrite unchanged
+function imageData(bytes) {
+  const meta = readAvifMeta(bytes);
+  return meta.items
+    .filter(item => item.type !== 'Exif' && item.type !== 'mime')
+    .map(item => [item.id, item.type, readAvifItemData(bytes, meta, item.id)]);
+}
+
+describe('extractAvifMetadata', () => {
+  it('finds nothing in a plain image', async () => {
+    expect(await extractAvifMetadata(fixture('plain.avif'))).toBeNull();
+  });
+
+  it('reads the A1111 parameters from the Exif item', async () => {
+    const { data } = await extractJpgMetadata(fixture('a1111.jpg'));
+    expect(await extractAvifMetadata(fixture('a1111.avif'))).toEqual({ type: 'avif', data });
+  });
+});
+
+describe('injectAvifMetadata', () => {
+  it.each(['plain.avif', 'a1111.avif', 'libheif-alpha.avif', 'grid.avif'])('round-trips the model through %s without touching the image', async name => {
+    const output = await inject(fixture(name), MODEL, { xmp: true });
+
+    expect(await extractAvifMetadata(output)).toEqual({ type: 'avif', data: { ...MODEL, xmp: expect.stringContaining(XMP_NAMESPACE) } });
+    expect(imageData(output)).toEqual(imageData(fixture(name)));
+  });
+
+  it('links the new items to the primary image', async () => {
+    const meta = readAvifMeta(await inject(fixture('plain.avif'), MODEL, { xmp: true }));
+    const items = meta.items.filter(item => item.id !== meta.primary);
+
+    expect(items.map(item => [item.type, item.contentType])).toEqual([['Exif', null], ['mime', 'application/rdf+xml']]);
+    expect(meta.references).toEqual(items.map(item => ({ type: 'cdsc', from: item.id, to: [meta.primary] })));
+  });
+
+  it('replaces metadata instead of appending it', async () => {
+    const first = await inject(fixture('plain.avif'), MODEL, { xmp: true });
+    const second = await inject(first, MODEL, { xmp: true });
+    const third = await inject(second, { ...emptyMetadata(), positive: 'again' });
+
+    // The mdat that only held the old items is dropped
+    expect(second.length).toBe(first.length);
+    expect(readAvifMeta(third).boxes.map(box => box.type)).toEqual(['ftyp', 'meta', 'mdat', 'mdat']);
+    const { data } = await extractAvifMetadata(third);
+    expect(data.positive).toBe('again');
+    // Without the XMP option the stale copy goes, and the packet held nothing else
+    expect(data.xmp).toBeNull();
+    expect(imageData(third)).toEqual(imageData(fixture('plain.avif')));
+  });
+
+  it("keeps a libheif file's alpha plane, EXIF and XMP", async () => {
+    // Encoded by libheif 1.23 (via libvips): an alpha auxiliary item, a hidden Exif item and XMP
+    const target = fixture('libheif-alpha.avif');
+    expect(await extractAvifMetadata(target)).toBeNull();
+
+    const output = await inject(target, MODEL, { xmp: true });
+    const meta = readAvifMeta(output);
+    expect(meta.references).toContainEqual({ type: 'auxl', from: 2, to: [meta.primary] });
+    const { data } = await extractAvifMetadata(output);
+    expect(data.xmp).toContain('xmp:CreatorTool="libvips"');
+    const exif = piexif.load(exifPayloadToBinaryString(readAvifItemData(output, meta, meta.items.find(item => item.type === 'Exif').id)));
+    expect(exif['0th'][piexif.ImageIFD.ImageDescription]).toBe('edited in an image editor');
+  });
+
+  it('moves grid tiles split over several extents and leaves the idat grid alone', async () => {
+    // Tiles encoded by libheif, assembled into a 2x1 grid: the grid item lives in 'idat'
+    // (construction method 1) and the first tile is stored as two extents
+    const target = fixture('grid.avif');
+    const output = await inject(target, MODEL, { xmp: true });
+
+    const meta = readAvifMeta(output);
+    expect(meta.primary).toBe(1);
+    expect(meta.items.map(item => item.type)).toEqual(['grid', 'av01', 'av01', 'Exif', 'mime']);
+    expect(meta.references).toContainEqual({ type: 'dimg', from: 1, to: [2, 3] });
+    expect(imageData(output)).toEqual(imageData(target));
+    expect((await extractAvifMetadata(output)).data.positive).toBe(MODEL.positive);
+  });
+
+  it('refuses image sequences', async () => {
+    const sequence = concatBytes([fixture('plain.avif'), createBox('moov', new Uint8Array(8))]);
+    await expect(inject(sequence, MODEL)).rejects.toThrow('애니메이션 AVIF');
+  });
+});
+
+describe('scrubAvifMetadata', () => {
+  it('removes the parameters and keeps the image', async () => {
+    const { parts, removed } = await scrubAvifMetadata(fixture('a1111.avif'), { parameters: true });
+    const output = concatBytes(parts);
+
+    expect(removed).toContain('A1111 parameters');
+    expect(await extractAvifMetadata(output)).toBeNull();
+    expect(imageData(output)).toEqual(imageData(fixture('a1111.avif')));
+  });
+
+  it('drops an Exif item it cannot read', async () => {
+    // a1111.avif with the TIFF header of its Exif item overwritten, so piexif cannot load it
+    const corrupt = fixture('a1111.avif');
+    const meta = readAvifMeta(corrupt);
+    const exif = readAvifItemData(corrupt, meta, meta.items.find(item => item.type === 'Exif').id);
+    // The payload starts with the offset of the TIFF header
+    exif.set([0x58, 0x58, 0x58, 0x58], 4 + new DataView(exif.buffer, exif.byteOffset).getUint32(0));
+
+    const { parts, removed } = await scrubAvifMetadata(corrupt, {});
+    const output = concatBytes(parts);
+    expect(removed).toEqual(['읽을 수 없는 EXIF']);
+    expect(readAvifMeta(output).items.some(item => item.type === 'Exif')).toBe(false);
+    expect(imageData(output)).toEqual(imageData(corrupt));
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, expect, it } from 'vitest';
+import { EDIT_HISTORY_KEY, diffMetadata, mergeMetadata } from '../diff.js';
+import { readMetadata } from '../index.js';
+import { emptyMetadata, parseA1111Settings } from '../model.js';
+import { fixture } from './fixtures.js';
+
+const source = {
+  ...emptyMetadata(),
+  positive: 'a cat',
+  negative: 'blurry',
+  settings: 'Steps: 20, Seed: 1234, Size: 512x512, Model: base',
+};
+
+const inpaint = {
+  ...emptyMetadata(),
+  positive: 'a cat wearing a hat',
+  negative: 'blurry',
+  settings: 'Steps: 20, Seed: 5678, Size: 512x512, Denoising strength: 0.4',
+};
+
+const byId = items => Object.fromEntries(items.map(item => [item.id, item]));
+
+describe('diffMetadata', () => {
+  it('compares A1111 settings field by field', () => {
+    const items = byId(diffMetadata(source, inpaint));
+    expect(items.positive).toMatchObject({ status: 'changed', choices: ['source', 'target', 'merge'] });
+    expect(items.negative.status).toBe('same');
+    expect(items['setting:Steps'].status).toBe('same');
+    expect(items['setting:Seed']).toMatchObject({ status: 'changed', source: '1234', target: '5678' });
+    expect(items['setting:Model']).toMatchObject({ status: 'added', choices: ['source', 'target'] });
+    expect(items['setting:Denoising strength']).toMatchObject({ status: 'removed', target: '0.4' });
+  });
+
+  it('compares ComfyUI prompts node by node', () => {
+    const prompt = { 3: { class_type: 'KSampler', inputs: { seed: 1, steps: 20 } }, 9: { class_type: 'SaveImage', inputs: {} } };
+    const edited = { 3: { class_type: 'KSampler', inputs: { seed: 2, steps: 20 } }, 10: { class_type: 'LoraLoader', inputs: {} } };
+    const items = byId(diffMetadata(
+      { ...emptyMetadata(), prompt: JSON.stringify(prompt) },
+      { ...emptyMetadata(), prompt: JSON.stringify(edited) },
+    ));
+
+    expect(items['prompt:3']).toMatchObject({ label: '#3 KSampler', status: 'changed', details: ['seed: 2 → 1'] });
+    expect(items['prompt:9']).toMatchObject({ label: '#9 SaveImage', status: 'added' });
+    expect(items['prompt:10']).toMatchObject({ label: '#10 LoraLoader', status: 'removed' });
+  });
+
+  it('summarizes workflow changes by node', () => {
+    const workflow = nodes => JSON.stringify({ nodes, links: [] });
+    const [item] = diffMetadata(
+      { ...emptyMetadata(), workflow: workflow([{ id: 1, type: 'KSampler', widgets_values: [1] }, { id: 2, type: 'SaveImage' }]) },
+      { ...emptyMetadata(), workflow: workflow([{ id: 1, type: 'KSampler', widgets_values: [2] }, { id: 5, type: 'LoraLoader' }]) },
+    ).filter(entry => entry.id === 'workflow');
+
+    expect(item.details).toEqual(['~ #1 KSampler', '+ #2 SaveImage', '- #5 LoraLoader']);
+  });
+
+  it('finds nothing to decide between identical images', async () => {
+    const { data } = await readMetadata(fixture('comfyui.png'));
+    expect(diffMetadata(data, data).every(item => item.status === 'same')).toBe(true);
+  });
+});
+
+describe('mergeMetadata', () => {
+  it('takes the source by default, as a plain inject would', () => {
+    const merged = mergeMetadata(source, inpaint);
+    expect(merged.positive).toBe('a cat');
+    expect(merged.settings).toBe(source.settings);
+  });
+
+  it('keeps target fields that were chosen', () => {
+    const merged = mergeMetadata(source, inpaint, { 'setting:Seed': 'target', 'setting:Denoising strength': 'target', 'setting:Model': 'target' });
+    expect(parseA1111Settings(merged.settings)).toEqual([
+      ['Steps', '20'], ['Seed', '5678'], ['Size', '512x512'], ['Denoising strength', '0.4'],
+    ]);
+  });
+
+  it('records merged target values as an edit history setting', () => {
+    const merged = mergeMetadata(source, inpaint, { positive: 'merge', 'setting:Seed': 'merge' });
+    const settings = new Map(parseA1111Settings(merged.settings));
+
+    expect(merged.positive).toBe('a cat');
+    expect(settings.get('Seed')).toBe('1234');
+    expect(JSON.parse(settings.get(EDIT_HISTORY_KEY))).toBe('Prompt: a cat wearing a hat, Seed: 5678');
+  });
+
+  it('appends to the edit history when merging again', () => {
+    const first = mergeMetadata(source, inpaint, { 'setting:Seed': 'merge' });
+    const next = { ...source, settings: 'Steps: 30, Seed: 42, Size: 512x512' };
+    const items = diffMetadata(next, first);
+    expect(items.map(item => item.id)).not.toContain(`setting:${EDIT_HISTORY_KEY}`);
+
+    const second = mergeMetadata(next, first, { 'setting:Seed': 'merge', 'setting:Steps': 'merge' });
+    const settings = parseA1111Settings(second.settings);
+    expect(settings.filter(([key]) => key === EDIT_HISTORY_KEY)).toHaveLength(1);
+    expect(JSON.parse(new Map(settings).get(EDIT_HISTORY_KEY))).toBe('Seed: 5678, Steps: 20, Seed: 1234');
+
+    // Taking everything from a source that already has the history keeps it once
+    expect(mergeMetadata(first, first)).toMatchObject({ settings: first.settings });
+  });
+
+  it('ignores choices an item does not offer', () => {
+    const merged = mergeMetadata(source, inpaint, { 'setting:Model': 'merge', 'setting:Steps': 'target' });
+    expect(merged.settings).toBe(source.settings);
+  });
+
+  it('builds the ComfyUI prompt from the chosen nodes', () => {
+    const sourcePrompt = JSON.stringify({ 3: { class_type: 'KSampler', inputs: { seed: 1 } } }, null, 2);
+    const targetPrompt = JSON.stringify({ 3: { class_type: 'KSampler', inputs: { seed: 2 } }, 10: { class_type: 'LoraLoader', inputs: {} } });
+    const a = { ...emptyMetadata(), prompt: sourcePrompt };
+    const b = { ...emptyMetadata(), prompt: targetPrompt };
+
+    expect(mergeMetadata(a, b).prompt).toBe(sourcePrompt);
+    expect(JSON.parse(mergeMetadata(a, b, { 'prompt:10': 'target' }).prompt)).toEqual({
+      3: { class_type: 'KSampler', inputs: { seed: 1 } },
+      10: { class_type: 'LoraLoader', inputs: {} },
+    });
+  });
+
+  it('keeps generator texts per keyword', () => {
+    const a = { ...emptyMetadata(), texts: { Comment: '{"seed":1}' } };
+    const b = { ...emptyMetadata(), texts: { Comment: '{"seed":2}', Source: 'NovelAI' } };
+    expect(mergeMetadata(a, b, { 'text:Source': 'target' })).toMatchObject({
+      texts: { Comment: '{"seed":1}', Source: 'NovelAI' },
+    });
+  });
+
+  it("leaves the XMP packet out, since inject keeps the target's own", () => {
+    const target = { ...source, xmp: '<x/>' };
+    expect(diffMetadata({ ...source, xmp: '<a/>' }, target).find(item => item.group === 'xmp')).toBeUndefined();
+  });
+});
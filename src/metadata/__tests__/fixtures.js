@@ -0,0 +1,6 @@
+import { readFileSync } from 'node:fs';
+
+// Fixture images live next to the tests; see fixtures/ for what each one contains
+export function fixture(name) {
+  return new Uint8Array(readFileSync(new URL(`./fixtures/${name}`, import.meta.url)));
+}
@@ -0,0 +1,104 @@
+import { describe, expect, it } from 'vitest';
+import { describeMetadata, detectGenerators, parseMetadataText, registerGenerator } from '../generators.js';
+import { droppedKeywords, readMetadata, scrubMetadata, writeMetadata } from '../index.js';
+import { emptyMetadata } from '../model.js';
+import { fixture } from './fixtures.js';
+
+describe('built-in detectors', () => {
+  it.each([
+    ['novelai.png', 'NovelAI', ['Title', 'Description', 'Software', 'Source', 'Generation time', 'Comment']],
+    ['invokeai.png', 'InvokeAI', ['invokeai_metadata', 'invokeai_graph']],
+    ['fooocus.png', 'Fooocus', ['parameters', 'fooocus_scheme']],
+    ['swarmui.png', 'SwarmUI', ['parameters']],
+  ])('recognizes %s', async (name, label, keywords) => {
+    const { data } = await readMetadata(fixture(name));
+    expect(describeMetadata(data)).toBe(label);
+    expect(Object.keys(data.texts)).toEqual(keywords);
+    expect(data.positive).toBe('');
+  });
+
+  it('keeps A1111 and ComfyUI in their own fields', async () => {
+    const a1111 = (await readMetadata(fixture('a1111.png'))).data;
+    const comfy = (await readMetadata(fixture('comfyui.png'))).data;
+    expect([describeMetadata(a1111), describeMetadata(comfy)]).toEqual(['A1111', 'ComfyUI']);
+    expect([a1111.texts, comfy.texts]).toEqual([{}, {}]);
+  });
+
+  it('labels models by their most specific generator', () => {
+    expect(describeMetadata({ ...emptyMetadata(), positive: 'a', prompt: '{}' })).toBe('ComfyUI');
+    expect(describeMetadata({ ...emptyMetadata(), positive: 'a' })).toBe('A1111');
+    expect(describeMetadata({ ...emptyMetadata(), xmp: '<x/>' })).toBe('XMP');
+  });
+
+  it('does not claim a lone Software chunk', () => {
+    expect(detectGenerators({ Software: 'GIMP 2.10' })).toEqual([]);
+  });
+});
+
+describe('carrying generator chunks', () => {
+  it.each(['novelai.png', 'invokeai.png', 'fooocus.png', 'swarmui.png'])('moves %s into another PNG unchanged', async (name) => {
+    const source = await readMetadata(fixture(name));
+    const output = await writeMetadata(fixture('a1111.png'), source.data);
+    expect((await readMetadata(output)).data).toEqual(source.data);
+  });
+
+  it('replaces a NovelAI target instead of leaving stale chunks', async () => {
+    const source = await readMetadata(fixture('a1111.png'));
+    const output = await writeMetadata(fixture('novelai.png'), source.data);
+
+    const { data } = await readMetadata(output);
+    expect(data.texts).toEqual({});
+    expect(new TextDecoder('latin1').decode(output)).not.toContain('NovelAI');
+  });
+
+  it('writes JSON parameters to the JPEG UserComment and reports what it cannot carry', async () => {
+    const swarm = (await readMetadata(fixture('swarmui.png'))).data;
+    const jpeg = await writeMetadata(fixture('plain.jpg'), swarm);
+    expect((await readMetadata(jpeg)).data).toEqual(swarm);
+    expect(droppedKeywords(swarm, 'jpg')).toEqual([]);
+
+    const novelai = (await readMetadata(fixture('novelai.png'))).data;
+    expect(droppedKeywords(novelai, 'webp')).toEqual(['Title', 'Source', 'Generation time']);
+    expect(droppedKeywords(novelai, 'png')).toEqual([]);
+  });
+
+  it('scrubs generator chunks with the parameters option', async () => {
+    const { bytes, removed } = await scrubMetadata(fixture('invokeai.png'), { parameters: true });
+    expect(removed).toEqual(['InvokeAI 데이터 (invokeai_metadata, invokeai_graph)']);
+    expect(await readMetadata(bytes)).toBeNull();
+  });
+});
+
+describe('parseMetadataText', () => {
+  it('reads A1111 parameters as copied from PNG Info', () => {
+    expect(parseMetadataText('1girl, smile\nNegative prompt: lowres\nSteps: 20, Sampler: Euler a, Seed: 1\n')).toEqual({
+      ...emptyMetadata(),
+      positive: '1girl, smile',
+      negative: 'lowres',
+      settings: 'Steps: 20, Sampler: Euler a, Seed: 1',
+    });
+  });
+
+  it('tells a ComfyUI workflow from an API prompt', async () => {
+    const { data } = await readMetadata(fixture('comfyui.png'));
+    expect(parseMetadataText(data.workflow)).toEqual({ ...emptyMetadata(), workflow: data.workflow });
+    expect(parseMetadataText(data.prompt)).toEqual({ ...emptyMetadata(), prompt: data.prompt });
+  });
+
+  it('ignores text that is not metadata', () => {
+    expect(parseMetadataText('just a sentence, copied by accident')).toBeNull();
+    expect(parseMetadataText('{"name":"not a workflow"}')).toBeNull();
+  });
+});
+
+describe('registerGenerator', () => {
+  it('lets new generators claim their own chunks', async () => {
+    registerGenerator({ id: 'custom', label: 'Custom', keywords: ['custom_meta'], detect: texts => Boolean(texts.custom_meta) });
+    const model = { ...emptyMetadata(), texts: { custom_meta: '{"seed":1}' } };
+    const output = await writeMetadata(fixture('a1111.png'), model);
+
+    const { data } = await readMetadata(output);
+    expect(describeMetadata(data)).toBe('Custom');
+    expect(data.texts).toEqual({ custom_meta: '{"seed":1}' });
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, expect, it } from 'vitest';
+import { detectFormat, readMetadata, scrubMetadata, writeMetadata, writeMetadataParts } from '../index.js';
+import { fixture } from './fixtures.js';
+
+const ALL_OPTIONS = { parameters: true, comfy: true, paths: true, loras: true, gps: true, camera: true, thumbnail: true, xmp: true };
+
+describe('detectFormat', () => {
+  it('looks at the magic bytes, not the name', () => {
+    expect(detectFormat(fixture('a1111.png'))).toBe('png');
+    expect(detectFormat(fixture('a1111.jpg'))).toBe('jpg');
+    expect(detectFormat(fixture('plain.webp'))).toBe('webp');
+    expect(detectFormat(fixture('plain.avif'))).toBe('avif');
+    expect(detectFormat(fixture('plain.jxl'))).toBe('jxl');
+    expect(detectFormat(fixture('not-an-image.png'))).toBeNull();
+  });
+});
+
+describe('readMetadata / writeMetadata', () => {
+  it('rejects unsupported files', async () => {
+    await expect(readMetadata(fixture('not-an-image.png'))).rejects.toThrow('PNG, JPG, WebP, AVIF, JPEG XL 파일만 지원합니다.');
+  });
+
+  it.each(['plain.jpg', 'plain.webp', 'plain.avif', 'plain.jxl'])('moves PNG metadata into %s', async target => {
+    const source = await readMetadata(fixture('a1111.png'));
+    const output = await writeMetadata(fixture(target), source.data);
+
+    expect((await readMetadata(output)).data).toEqual(source.data);
+  });
+
+  it('moves JPG metadata into a PNG', async () => {
+    const source = await readMetadata(fixture('a1111.jpg'));
+    const output = await writeMetadata(fixture('comfyui.png'), source.data);
+
+    const result = await readMetadata(output);
+    expect(result.type).toBe('png');
+    expect(result.data.positive).toBe(source.data.positive);
+    expect(result.data.prompt).toBeNull();
+  });
+
+  it.each(['a1111.png', 'a1111.jpg', 'plain.webp', 'a1111.avif', 'plain.jxl'])('reuses the image data of %s instead of copying it', async target => {
+    const model = { ...(await readMetadata(fixture('a1111.png'))).data, positive: 'new' };
+    const bytes = fixture(target);
+    const { parts } = await writeMetadataParts(bytes, model);
+
+    expect(parts.some(part => part.buffer === bytes.buffer && part.length > 0)).toBe(true);
+    expect(new Uint8Array(await new Blob(parts).arrayBuffer())).toEqual(await writeMetadata(bytes, model));
+  });
+});
+
+describe('scrubMetadata', () => {
+  it('strips local paths and LoRA names from ComfyUI JSON', async () => {
+    const { bytes, removed } = await scrubMetadata(fixture('comfyui.png'), { paths: true, loras: true });
+    expect(removed).toEqual(['로컬 경로 2개', 'LoRA 파일명 2개']);
+
+    const { data } = await readMetadata(bytes);
+    expect(data.prompt).not.toContain('C:\\\\Users');
+    expect(data.prompt).toContain('pose.png');
+    expect(data.prompt).not.toContain('myStyle.safetensors');
+  });
+
+  it('reports every removed JPG field', async () => {
+    const { bytes, removed } = await scrubMetadata(fixture('a1111.jpg'), ALL_OPTIONS);
+    expect(removed).toEqual(['A1111 parameters', 'GPS', '카메라 정보 (Make, Model)']);
+    expect(await readMetadata(bytes)).toBeNull();
+  });
+
+  it('leaves a clean file alone', async () => {
+    const { removed } = await scrubMetadata(fixture('plain.webp'), ALL_OPTIONS);
+    expect(removed).toEqual([]);
+  });
+});
@@ -0,0 +1,131 @@
+import piexif from 'piexifjs';
+import { describe, expect, it } from 'vitest';
+import { binaryStringToBytes, bytesToBinaryString, concatBytes } from '../binary.js';
+import { extractJpgMetadata, injectJpgMetadata, scrubJpgMetadata } from '../jpeg.js';
+import { emptyMetadata } from '../model.js';
+import { fixture } from './fixtures.js';
+
+const loadExif = bytes => piexif.load(bytesToBinaryString(bytes));
+
+// The injected file joined from its parts
+const inject = async (...args) => concatBytes(await injectJpgMetadata(...args));
+
+const segment = (marker, payload) => String.fromCharCode(0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff) + payload;
+const ICC_SEGMENT = segment(0xe2, 'ICC_PROFILE\x00\x01\x01fake-profile');
+const EDITOR_XMP = '<x:xmpmeta><dc:title>kept</dc:title></x:xmpmeta>';
+const XMP_SEGMENT = segment(0xe1, `http://ns.adobe.com/xap/1.0/\x00${EDITOR_XMP}`);
+
+// plain.jpg after an editor: ICC profile, XMP, orientation/resolution and a thumbnail of the old pixels
+function editedJpeg() {
+  const plain = bytesToBinaryString(fixture('plain.jpg'));
+  const jfifEnd = 4 + ((plain.charCodeAt(4) << 8) | plain.charCodeAt(5));
+  const jpeg = plain.slice(0, jfifEnd) + ICC_SEGMENT + XMP_SEGMENT + plain.slice(jfifEnd);
+  const exif = {
+    '0th': { [piexif.ImageIFD.Orientation]: 6, [piexif.ImageIFD.XResolution]: [300, 1], [piexif.ImageIFD.Software]: 'Adobe Photoshop 25.0' },
+    'Exif': {}, 'GPS': {}, 'Interop': {}, '1st': { [piexif.ImageIFD.Compression]: 6 }, 'thumbnail': plain,
+  };
+  return binaryStringToBytes(piexif.insert(piexif.dump(exif), jpeg));
+}
+
+describe('extractJpgMetadata', () => {
+  it('reads the A1111 UTF-16 UserComment', async () => {
+    const { type, data } = await extractJpgMetadata(fixture('a1111.jpg'));
+    expect(type).toBe('jpg');
+    expect(data.positive).toBe('masterpiece, best quality, 1girl, <lora:detail:0.6>');
+    expect(data.negative).toBe('lowres, bad anatomy');
+    expect(data.settings).toContain('Seed: 1234567890');
+  });
+
+  it('returns null for a plain photo', async () => {
+    expect(await extractJpgMetadata(fixture('plain.jpg'))).toBeNull();
+  });
+});
+
+describe('injectJpgMetadata', () => {
+  it('round-trips non-ASCII prompts and ComfyUI JSON', async () => {
+    const model = { ...emptyMetadata(), positive: '벚꽃, 1girl', settings: 'Steps: 20, Seed: 1, Size: 1x1', prompt: '{"1":{}}', workflow: '{"nodes":[]}' };
+    const output = await inject(fixture('plain.jpg'), model);
+
+    expect((await extractJpgMetadata(output)).data).toEqual(model);
+  });
+
+  it('keeps the camera tags of the target', async () => {
+    const model = { ...emptyMetadata(), positive: 'new prompt' };
+    const output = await inject(fixture('a1111.jpg'), model);
+
+    const exif = loadExif(output);
+    expect(exif['0th'][piexif.ImageIFD.Make]).toBe('Canon');
+    expect(Object.keys(exif['GPS']).length).toBeGreaterThan(0);
+    expect((await extractJpgMetadata(output)).data.positive).toBe('new prompt');
+  });
+
+  it('only touches the AI tags and keeps the ICC profile and XMP segments', async () => {
+    const model = { ...emptyMetadata(), positive: 'a cat', settings: 'Steps: 20, Seed: 1, Size: 1x1' };
+    const output = await inject(editedJpeg(), model);
+    const binary = bytesToBinaryString(output);
+
+    expect(binary).toContain(ICC_SEGMENT);
+    expect(binary).toContain(XMP_SEGMENT);
+    expect(binary).toContain('JFIF');
+    const exif = loadExif(output);
+    expect(exif['0th'][piexif.ImageIFD.Orientation]).toBe(6);
+    expect(exif['0th'][piexif.ImageIFD.XResolution]).toEqual([300, 1]);
+    expect(exif['0th'][piexif.ImageIFD.Software]).toBe('Adobe Photoshop 25.0');
+    expect((await extractJpgMetadata(output)).data).toEqual({ ...model, xmp: EDITOR_XMP });
+  });
+
+  it('drops the old thumbnail unless a new one is given', async () => {
+    const model = { ...emptyMetadata(), positive: 'a cat' };
+    const dropped = loadExif(await inject(editedJpeg(), model));
+    expect(dropped['thumbnail']).toBeNull();
+    expect(dropped['1st']).toEqual({});
+
+    // piexif stores the thumbnail without its APPn segments
+    const replaced = loadExif(await inject(fixture('a1111.jpg'), model, { thumbnail: fixture('plain.jpg') }));
+    expect(replaced['thumbnail'].startsWith('\xff\xd8\xff\xdb')).toBe(true);
+    expect(replaced['1st'][piexif.ImageIFD.Compression]).toBe(6);
+  });
+
+  it('carries NovelAI Description, Software and Comment in EXIF tags', async () => {
+    const model = {
+      ...emptyMetadata(),
+      texts: { Description: '1girl, 벚꽃', Software: 'NovelAI', Comment: '{"prompt":"1girl, 벚꽃","seed":5}' },
+    };
+    const output = await inject(editedJpeg(), model);
+    const exif = loadExif(output);
+
+    expect(exif['0th'][piexif.ImageIFD.Software]).toBe('NovelAI');
+    expect(Array.isArray(exif['0th'][piexif.ImageIFD.XPComment])).toBe(true);
+    expect((await extractJpgMetadata(output)).data).toEqual({ ...model, xmp: EDITOR_XMP });
+
+    // Injecting A1111 over it removes the stale NovelAI tags
+    const a1111 = { ...emptyMetadata(), positive: 'a cat' };
+    const replaced = loadExif(await inject(output, a1111));
+    expect(replaced['0th'][piexif.ImageIFD.Software]).toBeUndefined();
+    expect(replaced['0th'][piexif.ImageIFD.XPComment]).toBeUndefined();
+    expect((await extractJpgMetadata(await inject(output, a1111))).data).toEqual({ ...a1111, xmp: EDITOR_XMP });
+  });
+
+  it('refuses a truncated file', async () => {
+    const model = { ...emptyMetadata(), positive: 'a cat' };
+    await expect(inject(fixture('a1111.jpg').subarray(0, 100), model)).rejects.toThrow('JPEG 세그먼트가 100바이트에서 잘렸습니다');
+    await expect(inject(fixture('plain.jpg').subarray(0, 2), model)).rejects.toThrow('이미지 데이터 없이 2바이트에서 끝났습니다');
+  });
+
+  it('refuses metadata that does not fit in one APP1 segment', async () => {
+    const model = { ...emptyMetadata(), workflow: JSON.stringify({ nodes: 'x'.repeat(70000) }) };
+    await expect(inject(fixture('plain.jpg'), model)).rejects.toThrow('최대 64KB');
+  });
+});
+
+describe('scrubJpgMetadata', () => {
+  it('reports the EXIF it cannot read and replaces it', async () => {
+    // a1111.jpg with its EXIF TIFF header overwritten, so piexif cannot load it
+    const corrupt = fixture('a1111.jpg');
+    corrupt.set([0x58, 0x58, 0x58, 0x58], bytesToBinaryString(corrupt).indexOf('Exif\x00\x00') + 6);
+
+    const { parts, removed } = await scrubJpgMetadata(corrupt, {});
+    expect(removed).toEqual(['읽을 수 없는 EXIF']);
+    expect(await extractJpgMetadata(concatBytes(parts))).toBeNull();
+  });
+});
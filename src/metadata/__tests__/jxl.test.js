@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { concatBytes } from '../binary.js';
+import { boxPayload } from '../isobmff.js';
+import { extractJxlMetadata, injectJxlMetadata, readJxlBoxes, scrubJxlMetadata } from '../jxl.js';
+import { emptyMetadata } from '../model.js';
+import { XMP_NAMESPACE } from '../xmp.js';
+import { fixture } from './fixtures.js';
+
+// The injected file joined from its parts
+const inject = async (...args) => concatBytes(await injectJxlMetadata(...args));
+
+const MODEL = { ...emptyMetadata(), positive: '1girl', negative: 'lowres', settings: 'Steps: 20, Seed: 1, Size: 1x1' };
+
+describe('injectJxlMetadata', () => {
+  it('wraps a bare codestream in a container', async () => {
+    const codestream = fixture('plain.jxl');
+    expect(await extractJxlMetadata(codestream)).toBeNull();
+
+    const output = await inject(codestream, MODEL, { xmp: true });
+    const boxes = readJxlBoxes(output);
+    expect(boxes.map(box => box.type)).toEqual(['JXL ', 'ftyp', 'Exif', 'xml ', 'jxlc']);
+    expect(boxPayload(output, boxes[4])).toEqual(codestream);
+    expect(await extractJxlMetadata(output)).toEqual({ type: 'jxl', data: { ...MODEL, xmp: expect.stringContaining(XMP_NAMESPACE) } });
+  });
+
+  it('wraps a libjxl codestream without touching it', async () => {
+    // Encoded by libjxl (lossy VarDCT, 64x48)
+    const codestream = fixture('libjxl.jxl');
+    const output = await inject(codestream, MODEL);
+
+    const boxes = readJxlBoxes(output);
+    expect(boxes.map(box => box.type)).toEqual(['JXL ', 'ftyp', 'Exif', 'jxlc']);
+    expect(boxPayload(output, boxes[3])).toEqual(codestream);
+    expect(await extractJxlMetadata(output)).toEqual({ type: 'jxl', data: MODEL });
+  });
+
+  it('replaces metadata instead of appending it', async () => {
+    const first = await inject(fixture('plain.jxl'), MODEL, { xmp: true });
+    const second = await inject(first, { ...emptyMetadata(), positive: 'again' });
+
+    expect(readJxlBoxes(second).map(box => box.type)).toEqual(['JXL ', 'ftyp', 'Exif', 'jxlc']);
+    const { data } = await extractJxlMetadata(second);
+    expect(data.positive).toBe('again');
+    // Without the XMP option the stale copy goes, and the packet held nothing else
+    expect(data.xmp).toBeNull();
+  });
+
+});
+
+describe('scrubJxlMetadata', () => {
+  it('drops an Exif box it cannot read', async () => {
+    // The injected Exif box with its TIFF header overwritten, so piexif cannot load it
+    const corrupt = await inject(fixture('plain.jxl'), MODEL);
+    const exif = readJxlBoxes(corrupt).find(box => box.type === 'Exif');
+    boxPayload(corrupt, exif).set([0x58, 0x58, 0x58, 0x58], 4);
+
+    const { parts, removed } = await scrubJxlMetadata(corrupt, {});
+    expect(removed).toEqual(['읽을 수 없는 EXIF']);
+    expect(readJxlBoxes(concatBytes(parts)).map(box => box.type)).toEqual(['JXL ', 'ftyp', 'jxlc']);
+  });
+});
+
+describe('Brotli-compressed metadata boxes', () => {
+  // libjxl.jxl in a container with its EXIF and XMP in 'brob' boxes, as cjxl --compress_boxes writes them
+  const compressed = fixture('brob.jxl');
+  const brobBoxes = bytes => readJxlBoxes(bytes).filter(box => box.type === 'brob').map(box => bytes.subarray(box.start, box.end));
+
+  it('are skipped when reading', async () => {
+    const warnings = [];
+    expect(await extractJxlMetadata(compressed, warnings)).toBeNull();
+    expect(warnings).toEqual([
+      'Brotli로 압축된 JPEG XL Exif 박스는 읽을 수 없어 건너뛰었습니다.',
+      'Brotli로 압축된 JPEG XL xml 박스는 읽을 수 없어 건너뛰었습니다.',
+    ]);
+  });
+
+  it('are kept on inject unless a new box of their type is written', async () => {
+    const warnings = [];
+    const output = concatBytes(await injectJxlMetadata(compressed, MODEL, {}, warnings));
+    expect(readJxlBoxes(output).map(box => box.type)).toEqual(['JXL ', 'ftyp', 'Exif', 'brob', 'jxlc']);
+    expect(brobBoxes(output)).toEqual([brobBoxes(compressed)[1]]);
+    expect(await extractJxlMetadata(output)).toEqual({ type: 'jxl', data: MODEL });
+    expect(warnings).toEqual([
+      'Brotli로 압축된 JPEG XL Exif 박스는 읽을 수 없어 새로 작성한 박스로 바꿨습니다.',
+      'Brotli로 압축된 JPEG XL xml 박스는 읽을 수 없어 그대로 두었습니다.',
+    ]);
+  });
+
+  it('are replaced by the XMP copy when it is written', async () => {
+    const output = await inject(compressed, MODEL, { xmp: true });
+    expect(readJxlBoxes(output).map(box => box.type)).toEqual(['JXL ', 'ftyp', 'Exif', 'xml ', 'jxlc']);
+  });
+
+  it('are dropped by scrub, as a whole, when an option reaches into them', async () => {
+    const { parts, removed } = await scrubJxlMetadata(compressed, { gps: true });
+    expect(removed).toEqual(['Brotli로 압축된 Exif 박스 (전체)']);
+    const output = concatBytes(parts);
+    expect(readJxlBoxes(output).map(box => box.type)).toEqual(['JXL ', 'ftyp', 'brob', 'jxlc']);
+    expect(brobBoxes(output)).toEqual([brobBoxes(compressed)[1]]);
+
+    const all = await scrubJxlMetadata(compressed, { parameters: true, xmp: true });
+    expect(all.removed).toEqual(['Brotli로 압축된 Exif 박스 (전체)', 'Brotli로 압축된 xml 박스 (전체)']);
+    expect(readJxlBoxes(concatBytes(all.parts)).map(box => box.type)).toEqual(['JXL ', 'ftyp', 'jxlc']);
+  });
+});
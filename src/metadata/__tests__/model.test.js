@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import {
+  emptyMetadata, formatA1111Parameters, formatA1111Settings, hasMetadata,
+  normalizeMetadata, parseA1111Parameters, parseA1111Settings,
+} from '../model.js';
+
+const PARAMETERS = 'masterpiece, 1girl\nwith a second line\nNegative prompt: lowres\nSteps: 20, Sampler: Euler a, CFG scale: 7, Seed: 1';
+
+describe('parseA1111Parameters', () => {
+  it('splits prompt, negative prompt and the settings line', () => {
+    expect(parseA1111Parameters(PARAMETERS)).toEqual({
+      positive: 'masterpiece, 1girl\nwith a second line',
+      negative: 'lowres',
+      settings: 'Steps: 20, Sampler: Euler a, CFG scale: 7, Seed: 1',
+    });
+  });
+
+  it('keeps a last line that does not look like settings in the prompt', () => {
+    expect(parseA1111Parameters('a cat, sitting')).toEqual({ positive: 'a cat, sitting', negative: '', settings: '' });
+  });
+
+  it('formats back to the same text', () => {
+    expect(formatA1111Parameters(parseA1111Parameters(PARAMETERS))).toBe(PARAMETERS);
+  });
+});
+
+describe('A1111 settings', () => {
+  it('keeps quoted values intact', () => {
+    const settings = 'Steps: 20, Lora hashes: "a: 123, b: 456", Size: 512x768';
+    const pairs = parseA1111Settings(settings);
+    expect(pairs).toEqual([['Steps', '20'], ['Lora hashes', '"a: 123, b: 456"'], ['Size', '512x768']]);
+    expect(formatA1111Settings(pairs)).toBe(settings);
+  });
+
+  it('quotes new values containing a comma and skips empty keys', () => {
+    expect(formatA1111Settings([['Note', 'inpainted, upscaled'], ['', 'x']])).toBe('Note: "inpainted, upscaled"');
+  });
+});
+
+describe('model helpers', () => {
+  it('reports whether anything is set', () => {
+    expect(hasMetadata(emptyMetadata())).toBe(false);
+    expect(hasMetadata({ ...emptyMetadata(), workflow: '{}' })).toBe(true);
+  });
+
+  it('counts generator chunks as metadata', () => {
+    expect(hasMetadata({ ...emptyMetadata(), texts: { Comment: '{}' } })).toBe(true);
+  });
+
+  it('counts XMP only when it holds our namespace', () => {
+    const photoshop = '<rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmp:CreatorTool="Adobe Photoshop 25.0"/>';
+    expect(hasMetadata({ ...emptyMetadata(), xmp: photoshop })).toBe(false);
+
+    const copy = '<rdf:Description rdf:about="" xmlns:exifexists="http://ns.exif-exists/ai/1.0/" exifexists:Prompt="1girl"/>';
+    expect(hasMetadata({ ...emptyMetadata(), xmp: copy })).toBe(true);
+  });
+
+  it('normalizes untrusted JSON', () => {
+    expect(normalizeMetadata({ positive: 'a', prompt: { 1: {} }, xmp: 5, texts: { Comment: 'x', Bad: 1 }, extra: 'y' }))
+      .toEqual({ ...emptyMetadata(), positive: 'a', prompt: '{"1":{}}', texts: { Comment: 'x' } });
+    expect(normalizeMetadata(null)).toEqual(emptyMetadata());
+  });
+});
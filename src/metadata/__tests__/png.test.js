@@ -0,0 +1,181 @@
+import { describe, expect, it } from 'vitest';
+import { concatBytes, readAscii } from '../binary.js';
+import { emptyMetadata } from '../model.js';
+import { PngFormatError, createPngChunk, extractPngMetadata, injectPngMetadata, readPngChunks, scrubPngMetadata } from '../png.js';
+import { fixture } from './fixtures.js';
+
+// The injected file joined from its parts
+const inject = async (...args) => concatBytes(await injectPngMetadata(...args));
+
+// Chunk types in file order
+function chunkTypes(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const types = [];
+  for (let offset = 8; offset < bytes.length; offset += 12 + view.getUint32(offset)) {
+    types.push(readAscii(bytes, offset + 4, 4));
+  }
+  return types;
+}
+
+describe('extractPngMetadata', () => {
+  it('reads A1111 parameters from tEXt', async () => {
+    const result = await extractPngMetadata(fixture('a1111.png'));
+    expect(result.type).toBe('png');
+    expect(result.data.positive).toBe('masterpiece, best quality, 1girl, <lora:detail:0.6>');
+    expect(result.data.negative).toBe('lowres, bad anatomy');
+    expect(result.data.settings).toMatch(/^Steps: 28, Sampler: DPM\+\+ 2M Karras/);
+  });
+
+  it('reads ComfyUI prompt and workflow', async () => {
+    const { data } = await extractPngMetadata(fixture('comfyui.png'));
+    expect(JSON.parse(data.prompt)['3'].class_type).toBe('KSampler');
+    expect(JSON.parse(data.workflow).nodes).toHaveLength(3);
+    expect(data.positive).toBe('');
+  });
+
+  it('reads compressed UTF-8 iTXt', async () => {
+    const { data } = await extractPngMetadata(fixture('itxt-compressed.png'));
+    expect(data.positive).toBe('한국어 프롬프트, 벚꽃, 1girl');
+    expect(data.negative).toBe('저화질');
+  });
+
+  it('returns null without AI metadata', async () => {
+    const bytes = await inject(fixture('a1111.png'), emptyMetadata());
+    expect(await extractPngMetadata(bytes)).toBeNull();
+  });
+
+  it('rejects files that are not PNG', async () => {
+    await expect(extractPngMetadata(fixture('not-an-image.png'))).rejects.toThrow('유효한 PNG 파일이 아닙니다.');
+  });
+
+  it('reports data appended after IEND', async () => {
+    const png = fixture('a1111.png');
+    const result = await extractPngMetadata(new Uint8Array([...png, 0x50, 0x4b, 0x03, 0x04]));
+    expect(result.trailingBytes).toBe(4);
+    expect((await extractPngMetadata(png)).trailingBytes).toBeUndefined();
+  });
+});
+
+describe('readPngChunks', () => {
+  const png = fixture('a1111.png');
+
+  // Error thrown by readPngChunks, as { code, chunkType, message }
+  function failure(bytes) {
+    try {
+      readPngChunks(bytes);
+    } catch (err) {
+      expect(err).toBeInstanceOf(PngFormatError);
+      return { code: err.code, chunkType: err.chunkType, message: err.message };
+    }
+    throw new Error('readPngChunks did not throw');
+  }
+
+  it('stops at IEND', () => {
+    const { chunks, end } = readPngChunks(new Uint8Array([...png, 1, 2, 3]));
+    expect(chunks.map(c => c.type)).toEqual(['IHDR', 'tEXt', 'IDAT', 'IEND']);
+    expect(end).toBe(png.length);
+  });
+
+  it('names the chunk that was cut off', () => {
+    expect(failure(png.subarray(0, 60))).toEqual({
+      code: 'truncated',
+      chunkType: 'tEXt',
+      message: expect.stringContaining('tEXt 청크가 60바이트에서 잘렸습니다'),
+    });
+  });
+
+  it('rejects a file that ends before IEND', () => {
+    const { chunks } = readPngChunks(png);
+    const iend = chunks[chunks.length - 1];
+    expect(failure(png.subarray(0, iend.offset)).code).toBe('truncated');
+  });
+
+  it('checks every CRC', () => {
+    const corrupt = png.slice();
+    corrupt[20] ^= 0xff; // IHDR width
+    expect(failure(corrupt)).toEqual({
+      code: 'crc-mismatch',
+      chunkType: 'IHDR',
+      message: expect.stringContaining('IHDR 청크의 CRC가 일치하지 않습니다'),
+    });
+  });
+
+  it('rejects garbage where a chunk header should be', () => {
+    const corrupt = png.slice();
+    corrupt.set([0, 0, 0, 0], 37); // type of the chunk after IHDR
+    expect(failure(corrupt).code).toBe('bad-chunk-type');
+  });
+});
+
+describe('corrupt compressed text', () => {
+  // a1111.png with a zTXt chunk after IHDR whose deflate stream is garbage
+  const png = fixture('a1111.png');
+  const ztxt = createPngChunk('zTXt', concatBytes([new TextEncoder().encode('parameters'), new Uint8Array([0, 0]), new Uint8Array([1, 2, 3, 4])]));
+  const corrupt = concatBytes([png.subarray(0, 33), ztxt, png.subarray(33)]);
+  const error = {
+    name: 'PngFormatError',
+    code: 'bad-compressed-text',
+    chunkType: 'zTXt',
+    offset: 33,
+    message: '33바이트의 zTXt 청크는 압축을 풀 수 없습니다. 파일이 손상되었습니다.',
+  };
+
+  it('is a PngFormatError naming the chunk when reading, injecting and scrubbing', async () => {
+    await expect(extractPngMetadata(corrupt)).rejects.toMatchObject(error);
+    await expect(injectPngMetadata(corrupt, emptyMetadata())).rejects.toMatchObject(error);
+    await expect(scrubPngMetadata(corrupt, { parameters: true })).rejects.toMatchObject(error);
+  });
+});
+
+describe('injectPngMetadata', () => {
+  it('replaces the old metadata right after IHDR', async () => {
+    const { data } = await extractPngMetadata(fixture('comfyui.png'));
+    const output = await inject(fixture('a1111.png'), data);
+
+    expect(chunkTypes(output)).toEqual(['IHDR', 'tEXt', 'tEXt', 'IDAT', 'IEND']);
+    const result = await extractPngMetadata(output);
+    expect(result.data).toEqual(data);
+  });
+
+  it('writes non-Latin-1 text as iTXt', async () => {
+    const model = { ...emptyMetadata(), positive: '벚꽃 아래의 소녀' };
+    const output = await inject(fixture('a1111.png'), model);
+
+    expect(chunkTypes(output)).toEqual(['IHDR', 'iTXt', 'IDAT', 'IEND']);
+    expect((await extractPngMetadata(output)).data.positive).toBe('벚꽃 아래의 소녀');
+  });
+
+  it('compresses long texts only when asked', async () => {
+    const model = { ...emptyMetadata(), positive: 'short', workflow: JSON.stringify({ nodes: 'x'.repeat(4000) }) };
+    const output = await inject(fixture('a1111.png'), model, { compress: true });
+
+    expect(chunkTypes(output)).toEqual(['IHDR', 'tEXt', 'zTXt', 'IDAT', 'IEND']);
+    expect(output.length).toBeLessThan(1000);
+    expect((await extractPngMetadata(output)).data.workflow).toBe(model.workflow);
+  });
+
+  it('keeps data appended after IEND', async () => {
+    const output = await inject(new Uint8Array([...fixture('a1111.png'), 9, 9]), { ...emptyMetadata(), positive: 'new' });
+    expect([...output.subarray(-2)]).toEqual([9, 9]);
+  });
+
+  it('keeps unrelated chunks untouched', async () => {
+    const png = fixture('a1111.png');
+    const gamma = createPngChunk('gAMA', new Uint8Array([0, 0, 0xb1, 0x8f]));
+    const withGamma = new Uint8Array([...png.subarray(0, 33), ...gamma, ...png.subarray(33)]);
+
+    const output = await inject(withGamma, { ...emptyMetadata(), positive: 'new' });
+    expect(chunkTypes(output)).toEqual(['IHDR', 'tEXt', 'gAMA', 'IDAT', 'IEND']);
+  });
+});
+
+describe('scrubPngMetadata', () => {
+  it('drops and reports data appended after IEND', async () => {
+    const png = fixture('a1111.png');
+    const { parts, removed } = await scrubPngMetadata(new Uint8Array([...png, 1, 2, 3]), {});
+    const bytes = concatBytes(parts);
+
+    expect(removed).toEqual(['IEND 뒤에 붙은 데이터 (3바이트)']);
+    expect(readPngChunks(bytes).end).toBe(bytes.length);
+  });
+});
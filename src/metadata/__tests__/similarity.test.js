@@ -0,0 +1,56 @@
+import { describe, expect, it } from 'vitest';
+import { compareFingerprints, imageFingerprint, similarityVerdict } from '../similarity.js';
+
+// A smooth "picture" of coloured blobs, rendered at any size and through any viewport
+// ([x, y, w, h] in picture coordinates), like a canvas downscale of a crop or an upscale
+function scene(seed) {
+  let state = seed;
+  const random = () => (state = (state * 1103515245 + 12345) % 2147483648) / 2147483648;
+  return Array.from({ length: 12 }, () => ({ x: random(), y: random(), size: 0.05 + random() * 0.25, color: [random(), random(), random()] }));
+}
+
+function render(blobs, width, height, [vx, vy, vw, vh] = [0, 0, 1, 1]) {
+  const pixels = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const u = vx + ((x + 0.5) / width) * vw;
+      const v = vy + ((y + 0.5) / height) * vh;
+      const offset = (y * width + x) * 4;
+      for (let c = 0; c < 3; c++) {
+        const value = blobs.reduce((acc, b) => acc + (b.color[c] - 0.5) * Math.exp(-((u - b.x) ** 2 + (v - b.y) ** 2) / b.size ** 2), 0.5);
+        pixels[offset + c] = value * 255;
+      }
+      pixels[offset + 3] = 255;
+    }
+  }
+  return pixels;
+}
+
+const fingerprint = (blobs, width, height, viewport) => imageFingerprint(render(blobs, width, height, viewport), width, height);
+
+describe('image similarity', () => {
+  const source = scene(7);
+  const original = fingerprint(source, 96, 72);
+
+  it('fingerprints the whole image and a grid of crops', () => {
+    expect(original).toHaveLength(19);
+    expect(original.every(hash => /^[0-9a-f]{64}$/.test(hash))).toBe(true);
+  });
+
+  it('sees the same picture at another size', () => {
+    expect(similarityVerdict(compareFingerprints(original, fingerprint(source, 64, 48)))).toBe('same');
+  });
+
+  it('allows for crops and outpainting', () => {
+    expect(similarityVerdict(compareFingerprints(original, fingerprint(source, 96, 72, [0.1, 0.05, 0.8, 0.8])))).not.toBe('unrelated');
+    expect(similarityVerdict(compareFingerprints(original, fingerprint(source, 96, 72, [-0.1, -0.1, 1.2, 1.2])))).not.toBe('unrelated');
+  });
+
+  it('flags a different picture', () => {
+    expect(similarityVerdict(compareFingerprints(original, fingerprint(scene(11), 96, 72)))).toBe('unrelated');
+  });
+
+  it('has no score without both fingerprints', () => {
+    expect(compareFingerprints(original, null)).toBeNull();
+  });
+});
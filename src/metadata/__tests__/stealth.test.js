@@ -0,0 +1,81 @@
+import { describe, expect, it } from 'vitest';
+import { emptyMetadata } from '../model.js';
+import { embedStealthMetadata, readStealthMetadata } from '../stealth.js';
+
+const WIDTH = 64;
+const HEIGHT = 48;
+
+// Opaque noise, like a decoded canvas
+function pixels() {
+  const data = new Uint8ClampedArray(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < data.length; i++) data[i] = (i * 131 + 7) % 256;
+  for (let i = 3; i < data.length; i += 4) data[i] = 255;
+  return data;
+}
+
+// Write `text` uncompressed into the R, G, B LSBs ('stealth_rgbinfo'), column by column
+function writeRgbInfo(data, text) {
+  const body = new TextEncoder().encode(text);
+  const payload = new Uint8Array([...new TextEncoder().encode('stealth_rgbinfo'), 0, 0, 0, 0, ...body]);
+  new DataView(payload.buffer).setUint32(15, body.length * 8);
+  for (let i = 0; i < payload.length * 8; i++) {
+    const pixel = Math.floor(i / 3);
+    const offset = ((pixel % HEIGHT) * WIDTH + Math.floor(pixel / HEIGHT)) * 4 + (i % 3);
+    data[offset] = (data[offset] & 0xfe) | ((payload[i >> 3] >> (7 - (i & 7))) & 1);
+  }
+}
+
+// Offset of the alpha byte holding the bit-th hidden bit
+function bitAlpha(bit) {
+  return ((bit % HEIGHT) * WIDTH + Math.floor(bit / HEIGHT)) * 4 + 3;
+}
+
+const A1111 = { ...emptyMetadata(), positive: '1girl, 벚꽃', negative: 'lowres', settings: 'Steps: 20, Seed: 1, Size: 64x48' };
+
+describe('stealth metadata', () => {
+  it('finds nothing in ordinary pixels', async () => {
+    expect(await readStealthMetadata(pixels(), WIDTH, HEIGHT)).toBeNull();
+  });
+
+  it('round-trips A1111 parameters through the alpha LSBs', async () => {
+    const output = await embedStealthMetadata(pixels(), WIDTH, HEIGHT, A1111);
+    expect(await readStealthMetadata(output, WIDTH, HEIGHT)).toEqual(A1111);
+  });
+
+  it('only touches alpha LSBs, column by column', async () => {
+    const input = pixels();
+    const output = await embedStealthMetadata(input, WIDTH, HEIGHT, A1111);
+
+    for (let i = 0; i < input.length; i++) {
+      if (i % 4 !== 3) expect(output[i]).toBe(input[i]);
+      else expect(output[i] >> 1).toBe(input[i] >> 1);
+    }
+    // "s" = 0x73 = 0111 0011: bits go down the first column
+    const firstColumn = Array.from({ length: 8 }, (_, y) => output[y * WIDTH * 4 + 3] & 1);
+    expect(firstColumn).toEqual([0, 1, 1, 1, 0, 0, 1, 1]);
+  });
+
+  it('carries other generators as NovelAI-style JSON', async () => {
+    const novelai = { ...emptyMetadata(), texts: { Software: 'NovelAI', Comment: '{"prompt":"1girl","seed":5}' } };
+    const output = await embedStealthMetadata(pixels(), WIDTH, HEIGHT, novelai);
+    expect(await readStealthMetadata(output, WIDTH, HEIGHT)).toEqual(novelai);
+  });
+
+  it('reads the uncompressed RGB variant', async () => {
+    const data = pixels();
+    writeRgbInfo(data, 'a cat\nSteps: 20, Sampler: Euler, Seed: 3');
+    expect(await readStealthMetadata(data, WIDTH, HEIGHT)).toEqual({
+      ...emptyMetadata(), positive: 'a cat', settings: 'Steps: 20, Sampler: Euler, Seed: 3',
+    });
+  });
+
+  it('refuses images that are too small', async () => {
+    await expect(embedStealthMetadata(new Uint8ClampedArray(8 * 8 * 4), 8, 8, A1111)).rejects.toThrow('이미지가 너무 작아');
+  });
+
+  it('reports a damaged length field', async () => {
+    const output = await embedStealthMetadata(pixels(), WIDTH, HEIGHT, A1111);
+    output[bitAlpha(120)] |= 1; // Top bit of the 32-bit length
+    await expect(readStealthMetadata(output, WIDTH, HEIGHT)).rejects.toThrow('stealth 데이터가 손상되었습니다');
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, expect, it } from 'vitest';
+import { concatBytes } from '../binary.js';
+import { emptyMetadata } from '../model.js';
+import { extractWebpMetadata, injectWebpMetadata, readWebpChunks, scrubWebpMetadata } from '../webp.js';
+import { XMP_NAMESPACE } from '../xmp.js';
+import { fixture } from './fixtures.js';
+
+// The injected file joined from its parts
+const inject = async (...args) => concatBytes(await injectWebpMetadata(...args));
+
+// `bytes` with the EXIF chunk's TIFF header overwritten, so piexif cannot load it
+function corruptExif(bytes) {
+  const copy = bytes.slice();
+  const exif = readWebpChunks(copy).find(c => c.type === 'EXIF');
+  copy.set([0x58, 0x58, 0x58, 0x58], exif.offset + 8);
+  return copy;
+}
+
+const MODEL = { ...emptyMetadata(), positive: '1girl', negative: 'lowres', settings: 'Steps: 20, Seed: 1, Size: 1x1' };
+
+describe.each([
+  ['plain.webp', 'VP8L'],
+  ['plain-lossy.webp', 'VP8 '],
+])('%s', (name, bitstream) => {
+  it('has no metadata', async () => {
+    expect(await extractWebpMetadata(fixture(name))).toBeNull();
+  });
+
+  it('is promoted to VP8X when metadata is added', async () => {
+    const output = await inject(fixture(name), MODEL, { xmp: true });
+    const chunks = readWebpChunks(output);
+    expect(chunks.map(c => c.type)).toEqual(['VP8X', bitstream, 'EXIF', 'XMP ']);
+
+    // Flags: EXIF | XMP, canvas 1x1 (stored minus one)
+    const vp8x = output.subarray(chunks[0].offset + 8, chunks[0].offset + 18);
+    expect(vp8x[0] & 0x0c).toBe(0x0c);
+    expect([...vp8x.subarray(4)]).toEqual([0, 0, 0, 0, 0, 0]);
+
+    // RIFF size covers the whole file
+    expect(new DataView(output.buffer).getUint32(4, true)).toBe(output.length - 8);
+  });
+
+  it('round-trips the model', async () => {
+    const output = await inject(fixture(name), MODEL, { xmp: true });
+    expect(await extractWebpMetadata(output)).toEqual({ type: 'webp', data: { ...MODEL, xmp: expect.stringContaining(XMP_NAMESPACE) } });
+  });
+});
+
+describe('injectWebpMetadata', () => {
+  it('replaces metadata instead of appending it', async () => {
+    const first = await inject(fixture('plain.webp'), MODEL, { xmp: true });
+    const second = await inject(first, { ...emptyMetadata(), positive: 'again' });
+
+    expect(readWebpChunks(second).map(c => c.type)).toEqual(['VP8X', 'VP8L', 'EXIF']);
+    const { data } = await extractWebpMetadata(second);
+    expect(data.positive).toBe('again');
+    // Without the XMP option the stale copy goes, and the packet held nothing else
+    expect(data.xmp).toBeNull();
+  });
+
+  it('rewrites a corrupt EXIF chunk from the model', async () => {
+    const warnings = [];
+    const output = concatBytes(await injectWebpMetadata(corruptExif(await inject(fixture('plain.webp'), MODEL)), MODEL, {}, warnings));
+    expect(await extractWebpMetadata(output)).toEqual({ type: 'webp', data: MODEL });
+    expect(warnings).toEqual(['대상의 WebP EXIF를 읽을 수 없어 새로 작성했습니다.']);
+  });
+});
+
+describe('corrupt EXIF', () => {
+  it('is skipped when reading, keeping the other chunks', async () => {
+    const output = corruptExif(await inject(fixture('plain.webp'), MODEL, { xmp: true }));
+    const warnings = [];
+    const { data } = await extractWebpMetadata(output, warnings);
+    expect(data.positive).toBe('');
+    expect(data.xmp).toContain(XMP_NAMESPACE);
+    expect(warnings).toEqual(['WebP EXIF를 읽을 수 없어 나머지 메타데이터만 읽었습니다.']);
+  });
+
+  it('is dropped by scrub', async () => {
+    const { parts, removed } = await scrubWebpMetadata(corruptExif(await inject(fixture('plain.webp'), MODEL)), {});
+    expect(removed).toEqual(['읽을 수 없는 EXIF']);
+    expect(readWebpChunks(concatBytes(parts)).map(c => c.type)).toEqual(['VP8X', 'VP8L']);
+  });
+});
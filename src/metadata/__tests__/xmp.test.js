@@ -0,0 +1,147 @@
+import piexif from 'piexifjs';
+import { describe, expect, it } from 'vitest';
+import { binaryStringToBytes, bytesToBinaryString, concatBytes } from '../binary.js';
+import { readMetadata, scrubMetadata, writeMetadata } from '../index.js';
+import { emptyMetadata } from '../model.js';
+import { readPngChunks } from '../png.js';
+import { readWebpChunks } from '../webp.js';
+import { XMP_NAMESPACE, readXmpMetadata, stripXmpMetadata, writeXmpMetadata } from '../xmp.js';
+import { fixture } from './fixtures.js';
+
+const MODEL = {
+  ...emptyMetadata(),
+  positive: 'masterpiece, <lora:detail:0.6> & "quotes"\nsecond line',
+  negative: 'lowres',
+  settings: 'Steps: 20, Seed: 1, Size: 1x1',
+  texts: { Comment: '{"seed":1}' },
+};
+
+// What Photoshop leaves in an exported file: its own namespaces, all in attribute form
+const PHOTOSHOP_XMP = `<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>
+<x:xmpmeta xmlns:x="adobe:ns:meta/" x:xmptk="Adobe XMP Core 9.1-c002">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmp:CreatorTool="Adobe Photoshop 25.0"/>
+ </rdf:RDF>
+</x:xmpmeta>
+<?xpacket end="w"?>`;
+
+// What another editor left in the source image
+const SOURCE_XMP = `<x:xmpmeta xmlns:x="adobe:ns:meta/">
+ <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+  <rdf:Description rdf:about="" xmlns:xmp="http://ns.adobe.com/xap/1.0/" xmp:CreatorTool="GIMP 2.10"/>
+ </rdf:RDF>
+</x:xmpmeta>`;
+
+// Copy of `bytes` without the chunks of the given types, as an editor exporting it would
+function dropPngChunks(bytes, types) {
+  const { chunks } = readPngChunks(bytes);
+  return concatBytes([bytes.subarray(0, 8), ...chunks
+    .filter(chunk => !types.includes(chunk.type))
+    .map(chunk => bytes.subarray(chunk.offset, chunk.offset + 12 + chunk.length))]);
+}
+
+// Copy of a WebP with an 'XMP ' chunk holding `packet` appended
+function appendWebpXmp(bytes, packet) {
+  const data = new TextEncoder().encode(packet);
+  const chunk = new Uint8Array(8 + data.length + (data.length & 1));
+  const view = new DataView(chunk.buffer);
+  chunk.set(new TextEncoder().encode('XMP '), 0);
+  view.setUint32(4, data.length, true);
+  chunk.set(data, 8);
+
+  const output = concatBytes([bytes, chunk]);
+  new DataView(output.buffer).setUint32(4, output.length - 8, true);
+  return output;
+}
+
+describe('XMP packets', () => {
+  it('round-trips the model through our namespace', () => {
+    const packet = writeXmpMetadata(null, MODEL);
+    expect(packet).toContain(`xmlns:exifexists="${XMP_NAMESPACE}"`);
+    expect(packet).toContain('<exifexists:Generator>A1111</exifexists:Generator>');
+    expect(readXmpMetadata(packet)).toEqual(MODEL);
+  });
+
+  it('reads the attribute form under any prefix', () => {
+    const packet = `<rdf:Description rdf:about="" xmlns:ai="${XMP_NAMESPACE}" ai:Prompt="a &amp; b&#xA;c" ai:Settings='Steps: 20'/>`;
+    expect(readXmpMetadata(packet)).toMatchObject({ positive: 'a & b\nc', settings: 'Steps: 20' });
+  });
+
+  it('adds to and removes from an existing packet, keeping other namespaces', () => {
+    const packet = writeXmpMetadata(PHOTOSHOP_XMP, MODEL);
+    expect(packet).toContain('xmp:CreatorTool="Adobe Photoshop 25.0"');
+    expect(readXmpMetadata(packet)).toEqual(MODEL);
+
+    // Rewriting replaces the old copy instead of adding a second one
+    const again = writeXmpMetadata(packet, { ...emptyMetadata(), positive: 'new' });
+    expect(again.match(/exifexists:Prompt>/g)).toHaveLength(2);
+    expect(readXmpMetadata(again).positive).toBe('new');
+
+    expect(stripXmpMetadata(packet)).toBe(PHOTOSHOP_XMP);
+    expect(stripXmpMetadata(writeXmpMetadata(null, MODEL))).toBeNull();
+    expect(readXmpMetadata(PHOTOSHOP_XMP)).toBeNull();
+  });
+});
+
+describe('XMP copy in images', () => {
+  it('is recovered from PNG when the text chunks are gone', async () => {
+    const output = await writeMetadata(fixture('a1111.png'), MODEL, { xmp: true });
+    const exported = dropPngChunks(output, ['tEXt', 'zTXt']);
+
+    const result = await readMetadata(exported);
+    expect(result.fromXmp).toBe(true);
+    expect(result.data).toMatchObject({ positive: MODEL.positive, settings: MODEL.settings, texts: MODEL.texts });
+  });
+
+  it('is recovered from JPEG when EXIF is gone', async () => {
+    const output = await writeMetadata(fixture('plain.jpg'), MODEL, { xmp: true });
+    const withoutExif = binaryStringToBytes(piexif.remove(bytesToBinaryString(output)));
+
+    const result = await readMetadata(withoutExif);
+    expect(result.fromXmp).toBe(true);
+    expect(result.data.positive).toBe(MODEL.positive);
+
+    // The APP1 header and packet are where Photoshop looks for them
+    expect(new TextDecoder('latin1').decode(output)).toContain('http://ns.adobe.com/xap/1.0/\0<?xpacket');
+  });
+
+  it('is written to the WebP XMP chunk and merged into the target packet', async () => {
+    const target = appendWebpXmp(await writeMetadata(fixture('plain.webp'), emptyMetadata()), PHOTOSHOP_XMP);
+    const output = await writeMetadata(target, MODEL, { xmp: true });
+
+    expect(readWebpChunks(output).map(c => c.type)).toContain('XMP ');
+    const { data } = await readMetadata(output);
+    expect(data.xmp).toContain('Adobe Photoshop 25.0');
+    expect(readXmpMetadata(data.xmp)).toEqual(MODEL);
+  });
+
+  it("keeps the target's packet instead of carrying the source's over", async () => {
+    const target = appendWebpXmp(await writeMetadata(fixture('plain.webp'), emptyMetadata()), PHOTOSHOP_XMP);
+    const source = { ...MODEL, xmp: SOURCE_XMP };
+
+    const plain = await readMetadata(await writeMetadata(target, source));
+    expect(plain.data.xmp).toBe(PHOTOSHOP_XMP);
+
+    const { data } = await readMetadata(await writeMetadata(target, source, { xmp: true }));
+    expect(data.xmp).toContain('Adobe Photoshop 25.0');
+    expect(data.xmp).not.toContain('GIMP');
+    expect(readXmpMetadata(data.xmp)).toEqual(MODEL);
+  });
+
+  it('is only written when asked, and a stale copy is removed', async () => {
+    const plain = await writeMetadata(fixture('plain.jpg'), MODEL);
+    expect((await readMetadata(plain)).data.xmp).toBeNull();
+
+    const withCopy = await writeMetadata(fixture('plain.jpg'), MODEL, { xmp: true });
+    const replaced = await writeMetadata(withCopy, { ...emptyMetadata(), positive: 'other' });
+    expect((await readMetadata(replaced)).data.xmp).toBeNull();
+  });
+
+  it('is scrubbed together with the fields it mirrors', async () => {
+    const output = await writeMetadata(fixture('a1111.png'), MODEL, { xmp: true });
+    const { bytes, removed } = await scrubMetadata(output, { parameters: true });
+
+    expect(removed).toEqual(['A1111 parameters', 'A1111 데이터 (Comment)']);
+    expect(await readMetadata(bytes)).toBeNull();
+  });
+});
@@ -0,0 +1,386 @@
+// --- AVIF Helpers (HEIF items: Exif / XMP metadata items in the 'meta' box) ---
+//
+// The image and its metadata are items of the top-level 'meta' box: 'iinf' names each item
+// (type 'av01', 'Exif', or 'mime' with content type application/rdf+xml for XMP), 'iloc' says
+// where its bytes are (usually file offsets into 'mdat'), and 'iref' 'cdsc' links metadata to
+// the image it describes. Writing replaces the Exif / XMP items: their bytes go into a new
+// 'mdat' at the end of the file, and the file offsets of the other items follow the boxes they
+// point into when 'meta' grows or an 'mdat' that only held the old metadata is dropped.
+// The AV1 data itself is never decoded or copied.
+
+import piexif from 'piexifjs';
+import { t } from '../i18n/index.js';
+import { concatBytes, readAscii, viewOf } from './binary.js';
+import { applyMetadataToExif, emptyExif, exifToModel, scrubExif } from './exif.js';
+import {
+  binaryStringToExifPayload, boxHeader, boxPayload, createBox, createFullBox, encodeAscii, encodeCString,
+  exifPayloadToBinaryString, readBoxes, readCString, readUint, uintBytes,
+} from './isobmff.js';
+import { emptyMetadata, hasMetadata } from './model.js';
+import { scrubModel, scrubXmpPacket } from './scrub.js';
+import { xmpPacketFor } from './xmp.js';
+
+const AVIF_BRANDS = ['avif', 'avis'];
+const XMP_CONTENT_TYPE = 'application/rdf+xml';
+
+// 'ftyp' with avif (still image) or avis (sequence) as the major or a compatible brand
+export function isAvif(bytes) {
+  if (bytes.length < 16 || readAscii(bytes, 4, 4) !== 'ftyp') return false;
+  const end = Math.min(bytes.length, viewOf(bytes).getUint32(0));
+  for (let offset = 8; offset + 4 <= end; offset += 4) {
+    if (offset !== 12 && AVIF_BRANDS.includes(readAscii(bytes, offset, 4))) return true; // 12: minor_version
+  }
+  return false;
+}
+
+function readItemInfo(bytes, box) {
+  const payload = boxPayload(bytes, box);
+  const view = viewOf(payload);
+  const version = payload[0];
+  const idSize = version === 3 ? 4 : 2;
+  const id = readUint(view, 4, idSize);
+  let offset = 4 + idSize + 2; // item_protection_index
+
+  // Versions 0 and 1 predate item types and describe MIME items only
+  let type = 'mime';
+  if (version >= 2) {
+    type = readAscii(payload, offset, 4);
+    offset += 4;
+  }
+  const name = readCString(payload, offset);
+  const contentType = type === 'mime' ? readCString(payload, name.next).text : null;
+
+  return { id, type, contentType, raw: bytes.subarray(box.start, box.end) };
+}
+
+function readItemInfos(bytes, box) {
+  if (!box) return [];
+  const version = bytes[box.start + box.headerSize];
+  const entriesStart = box.start + box.headerSize + 4 + (version === 0 ? 2 : 4);
+  return readBoxes(bytes, entriesStart, box.end)
+    .filter(entry => entry.type === 'infe')
+    .map(entry => readItemInfo(bytes, entry));
+}
+
+// Item locations with each extent's offset made absolute (base_offset + extent_offset), relative
+// to the file for construction method 0 and to the 'idat' payload for method 1
+function readItemLocations(bytes, box) {
+  if (!box) return { version: 0, indexSize: 0, locations: [] };
+  const payload = boxPayload(bytes, box);
+  const view = viewOf(payload);
+  const version = payload[0];
+  const offsetSize = payload[4] >> 4;
+  const lengthSize = payload[4] & 0x0f;
+  const baseOffsetSize = payload[5] >> 4;
+  const indexSize = version > 0 ? payload[5] & 0x0f : 0;
+  const idSize = version < 2 ? 2 : 4;
+
+  let offset = 6;
+  const count = readUint(view, offset, idSize);
+  offset += idSize;
+
+  const locations = [];
+  for (let i = 0; i < count; i++) {
+    const id = readUint(view, offset, idSize);
+    offset += idSize;
+    let method = 0;
+    if (version > 0) {
+      method = view.getUint16(offset) & 0x0f;
+      offset += 2;
+    }
+    const dataReferenceIndex = view.getUint16(offset);
+    const baseOffset = readUint(view, offset + 2, baseOffsetSize);
+    offset += 2 + baseOffsetSize;
+    const extentCount = view.getUint16(offset);
+    offset += 2;
+
+    const extents = [];
+    for (let e = 0; e < extentCount; e++) {
+      const index = readUint(view, offset, indexSize);
+      const extentOffset = readUint(view, offset + indexSize, offsetSize);
+      const length = readUint(view, offset + indexSize + offsetSize, lengthSize);
+      offset += indexSize + offsetSize + lengthSize;
+      extents.push({ index, offset: baseOffset + extentOffset, length });
+    }
+    locations.push({ id, method, dataReferenceIndex, extents });
+  }
+
+  return { version, indexSize, locations };
+}
+
+function readItemReferences(bytes, box) {
+  if (!box) return [];
+  const idSize = bytes[box.start + box.headerSize] === 0 ? 2 : 4;
+  return readBoxes(bytes, box.start + box.headerSize + 4, box.end).map(reference => {
+    const view = viewOf(boxPayload(bytes, reference));
+    const count = view.getUint16(idSize);
+    const to = [];
+    for (let i = 0; i < count; i++) to.push(readUint(view, idSize + 2 + i * idSize, idSize));
+    return { type: reference.type, from: readUint(view, 0, idSize), to };
+  });
+}
+
+function readPrimaryItem(bytes, box) {
+  if (!box) return null;
+  return readUint(viewOf(boxPayload(bytes, box)), 4, bytes[box.start + box.headerSize] === 0 ? 2 : 4);
+}
+
+// Top-level boxes and the parsed 'meta' box
+export function readAvifMeta(bytes) {
+  if (!isAvif(bytes)) throw new Error(t('error.avif.invalid'));
+  const boxes = readBoxes(bytes);
+  const box = boxes.find(b => b.type === 'meta');
+  if (!box) throw new Error(t('error.avif.noMeta'));
+
+  const children = readBoxes(bytes, box.start + box.headerSize + 4, box.end);
+  const child = type => children.find(c => c.type === type) || null;
+  const iloc = readItemLocations(bytes, child('iloc'));
+
+  return {
+    boxes,
+    box,
+    children,
+    items: readItemInfos(bytes, child('iinf')),
+    iloc,
+    references: readItemReferences(bytes, child('iref')),
+    primary: readPrimaryItem(bytes, child('pitm')),
+    idat: child('idat'),
+  };
+}
+
+// Bytes of an item; null when they live somewhere this reader does not follow
+// (another file, or construction method 2)
+export function readAvifItemData(bytes, meta, id) {
+  const location = meta.iloc.locations.find(l => l.id === id);
+  if (!location || location.method > 1 || location.dataReferenceIndex !== 0) return null;
+  const source = location.method === 1 ? meta.idat && boxPayload(bytes, meta.idat) : bytes;
+  if (!source) return null;
+
+  const extents = location.extents.map(e => source.subarray(e.offset, e.length ? e.offset + e.length : source.length));
+  return extents.length === 1 ? extents[0] : concatBytes(extents);
+}
+
+const isExifItem = item => item.type === 'Exif';
+const isXmpItem = item => item.type === 'mime' && item.contentType === XMP_CONTENT_TYPE;
+
+// The Exif and XMP items, preferring the ones that describe the primary image
+function metadataItems(meta) {
+  const describesPrimary = item => meta.references.some(r => r.type === 'cdsc' && r.from === item.id && r.to.includes(meta.primary));
+  const pick = test => {
+    const items = meta.items.filter(test);
+    return items.find(describesPrimary) || items[0] || null;
+  };
+  return { exif: pick(isExifItem), xmp: pick(isXmpItem) };
+}
+
+function decodeXmp(data) {
+  return new TextDecoder('utf-8').decode(data);
+}
+
+export async function extractAvifMetadata(bytes, warnings = []) {
+  const meta = readAvifMeta(bytes);
+  const { exif, xmp } = metadataItems(meta);
+
+  let model = emptyMetadata();
+  const exifData = exif && readAvifItemData(bytes, meta, exif.id);
+  if (exifData) {
+    try {
+      model = exifToModel(piexif.load(exifPayloadToBinaryString(exifData)));
+    } catch {
+      warnings.push(t('warning.exifSkipped', { format: 'AVIF' }));
+    }
+  }
+  const xmpData = xmp && readAvifItemData(bytes, meta, xmp.id);
+  model.xmp = xmpData ? decodeXmp(xmpData) : null;
+
+  return hasMetadata(model) ? { type: 'avif', data: model } : null;
+}
+
+function createItemInfo(item) {
+  const version = item.id > 0xffff ? 3 : 2;
+  return createFullBox(
+    'infe', version, 0,
+    uintBytes(item.id, version === 3 ? 4 : 2), uintBytes(0, 2), encodeAscii(item.type), encodeCString(''),
+    ...(item.contentType ? [encodeCString(item.contentType)] : []),
+  );
+}
+
+function createItemInfos(keptItems, addedItems) {
+  const count = keptItems.length + addedItems.length;
+  const version = count > 0xffff ? 1 : 0;
+  return createFullBox('iinf', version, 0, uintBytes(count, version === 0 ? 2 : 4), ...keptItems.map(item => item.raw), ...addedItems.map(createItemInfo));
+}
+
+// Offsets are written as absolute extent offsets (base_offset_size 0) of `fieldSize` bytes
+function createItemLocations(iloc, locations, fieldSize) {
+  const version = iloc.version < 2 && locations.some(l => l.id > 0xffff) ? 2 : iloc.version;
+  const idSize = version < 2 ? 2 : 4;
+  const indexSize = version > 0 ? iloc.indexSize : 0;
+
+  const parts = [new Uint8Array([(fieldSize << 4) | fieldSize, indexSize]), uintBytes(locations.length, idSize)];
+  for (const location of locations) {
+    parts.push(uintBytes(location.id, idSize));
+    if (version > 0) parts.push(uintBytes(location.method, 2));
+    parts.push(uintBytes(location.dataReferenceIndex, 2), uintBytes(location.extents.length, 2));
+    for (const extent of location.extents) {
+      parts.push(uintBytes(extent.index, indexSize), uintBytes(extent.offset, fieldSize), uintBytes(extent.length, fieldSize));
+    }
+  }
+  return createFullBox('iloc', version, 0, ...parts);
+}
+
+function createItemReferences(references) {
+  const version = references.some(r => r.from > 0xffff || r.to.some(id => id > 0xffff)) ? 1 : 0;
+  const idSize = version === 0 ? 2 : 4;
+  return createFullBox('iref', version, 0, ...references.map(r => createBox(
+    r.type, uintBytes(r.from, idSize), uintBytes(r.to.length, 2), ...r.to.map(id => uintBytes(id, idSize)),
+  )));
+}
+
+// The AVIF as a list of parts with its Exif / XMP items replaced by `newItems`
+// ({ type, contentType, data }), which describe the primary image
+function assembleAvif(bytes, meta, newItems) {
+  if (meta.boxes.some(box => box.type === 'moov')) {
+    throw new Error(t('error.avif.sequence'));
+  }
+
+  const removedIds = new Set(meta.items.filter(item => isExifItem(item) || isXmpItem(item)).map(item => item.id));
+  const keptItems = meta.items.filter(item => !removedIds.has(item.id));
+  const keptLocations = meta.iloc.locations.filter(l => !removedIds.has(l.id));
+  let nextId = Math.max(0, ...meta.items.map(item => item.id), ...meta.iloc.locations.map(l => l.id)) + 1;
+  const addedItems = newItems.map(item => ({ ...item, id: nextId++ }));
+
+  const references = meta.references
+    .filter(r => !removedIds.has(r.from))
+    .map(r => ({ ...r, to: r.to.filter(id => !removedIds.has(id)) }))
+    .filter(r => r.to.length > 0);
+  if (meta.primary != null) {
+    for (const item of addedItems) references.push({ type: 'cdsc', from: item.id, to: [meta.primary] });
+  }
+
+  // An 'mdat' that only holds the old metadata (e.g. from an earlier write) is dropped
+  const fileExtents = locations => locations.filter(l => l.method === 0).flatMap(l => l.extents);
+  const keptExtents = fileExtents(keptLocations);
+  const removedExtents = fileExtents(meta.iloc.locations.filter(l => removedIds.has(l.id)));
+  const holds = (box, extents) => extents.some(e => e.offset >= box.start && e.offset < box.end);
+  const topBoxes = meta.boxes.filter(box => !(box.type === 'mdat' && holds(box, removedExtents) && !holds(box, keptExtents)));
+
+  const newDataLength = addedItems.reduce((acc, item) => acc + item.data.length, 0);
+  const fieldSize = bytes.length + newDataLength + 0x10000 > 0xffffffff ? 8 : 4;
+  const metaStart = meta.box.start + meta.box.headerSize;
+
+  const buildMeta = (mapOffset, dataStart) => {
+    let offset = dataStart;
+    const locations = [
+      ...keptLocations.map(l => (l.method === 0 ? { ...l, extents: l.extents.map(e => ({ ...e, offset: mapOffset(e.offset) })) } : l)),
+      ...addedItems.map(item => {
+        const extent = { index: 0, offset, length: item.data.length };
+        offset += item.data.length;
+        return { id: item.id, method: 0, dataReferenceIndex: 0, extents: [extent] };
+      }),
+    ];
+
+    const children = [];
+    const hasReferences = meta.children.some(c => c.type === 'iref');
+    for (const child of meta.children) {
+      if (child.type === 'iinf') {
+        children.push(createItemInfos(keptItems, addedItems));
+        if (!hasReferences && references.length > 0) children.push(createItemReferences(references));
+      } else if (child.type === 'iloc') {
+        children.push(createItemLocations(meta.iloc, locations, fieldSize));
+      } else if (child.type === 'iref') {
+        if (references.length > 0) children.push(createItemReferences(references));
+      } else {
+        children.push(bytes.subarray(child.start, child.end));
+      }
+    }
+    return createBox('meta', bytes.subarray(metaStart, metaStart + 4), ...children);
+  };
+
+  // A size-0 box ran to the end of the file; it gets an explicit size now that something follows
+  const boxParts = box => (box.toEnd
+    ? [boxHeader(box.type, box.end - box.start - box.headerSize), bytes.subarray(box.start + box.headerSize, box.end)]
+    : [bytes.subarray(box.start, box.end)]);
+
+  // The meta box's length does not depend on the offsets in it, so a first pass sizes it
+  const metaLength = buildMeta(() => 0, 0).length;
+  const starts = new Map();
+  let position = 0;
+  for (const box of topBoxes) {
+    starts.set(box, position);
+    position += box === meta.box ? metaLength : boxParts(box).reduce((acc, part) => acc + part.length, 0);
+  }
+
+  const mapOffset = offset => {
+    const box = topBoxes.find(b => offset >= b.start && offset < b.end);
+    if (!box || box === meta.box) throw new Error(t('error.avif.unsupportedLayout'));
+    return starts.get(box) + (offset - box.start) + (box.toEnd ? boxParts(box)[0].length - box.headerSize : 0);
+  };
+  const mdat = createBox('mdat', ...addedItems.map(item => item.data));
+  const metaBox = buildMeta(mapOffset, position + (mdat.length - newDataLength));
+
+  return [...topBoxes.flatMap(box => (box === meta.box ? [metaBox] : boxParts(box))), ...(addedItems.length > 0 ? [mdat] : [])];
+}
+
+// Merge the model into the target's own EXIF and return the parts of the new file.
+// The XMP item keeps the target's bytes unless the packet changes (see xmpPacketFor).
+export async function injectAvifMetadata(bytes, model, options = {}, warnings = []) {
+  const meta = readAvifMeta(bytes);
+  const { exif, xmp } = metadataItems(meta);
+
+  let baseExif = null;
+  const exifData = exif && readAvifItemData(bytes, meta, exif.id);
+  if (exifData) {
+    try {
+      baseExif = piexif.load(exifPayloadToBinaryString(exifData));
+    } catch {
+      warnings.push(t('warning.exifRewritten', { format: 'AVIF' }));
+    }
+  }
+
+  const exifStr = piexif.dump(applyMetadataToExif(baseExif || emptyExif(), model));
+  const newItems = [{ type: 'Exif', data: binaryStringToExifPayload(exifStr) }];
+  const targetXmpBytes = xmp && readAvifItemData(bytes, meta, xmp.id);
+  const targetXmp = targetXmpBytes ? decodeXmp(targetXmpBytes) : null;
+  const packet = xmpPacketFor(model, targetXmp, options);
+  if (packet) {
+    const data = packet === targetXmp ? targetXmpBytes : new TextEncoder().encode(packet);
+    newItems.push({ type: 'mime', contentType: XMP_CONTENT_TYPE, data });
+  }
+
+  return assembleAvif(bytes, meta, newItems);
+}
+
+export async function scrubAvifMetadata(bytes, options) {
+  const removed = [];
+  const meta = readAvifMeta(bytes);
+  const { exif, xmp } = metadataItems(meta);
+  if (!exif && !xmp) return { parts: [bytes], removed };
+
+  const newItems = [];
+  const exifData = exif && readAvifItemData(bytes, meta, exif.id);
+  let exifObj = null;
+  if (exifData) {
+    try {
+      exifObj = piexif.load(exifPayloadToBinaryString(exifData));
+    } catch {
+      // Unreadable EXIF cannot be scrubbed selectively, so it is dropped as a whole
+      removed.push(t('removed.unreadableExif'));
+    }
+  }
+  if (exifObj) {
+    const model = scrubModel(exifToModel(exifObj), options, removed);
+    const scrubbed = applyMetadataToExif(scrubExif(exifObj, options, removed), model);
+    newItems.push({ type: 'Exif', data: binaryStringToExifPayload(piexif.dump(scrubbed)) });
+  }
+
+  const xmpData = xmp && readAvifItemData(bytes, meta, xmp.id);
+  const packet = xmpData ? decodeXmp(xmpData) : null;
+  const scrubbedXmp = scrubXmpPacket(packet, options, removed);
+  if (scrubbedXmp) {
+    const data = scrubbedXmp === packet ? xmpData : new TextEncoder().encode(scrubbedXmp);
+    newItems.push({ type: 'mime', contentType: XMP_CONTENT_TYPE, data });
+  }
+
+  return { parts: assembleAvif(bytes, meta, newItems), removed };
+}
@@ -0,0 +1,84 @@
+// --- Binary helpers shared by every format ---
+// Everything works on Uint8Array so the same code runs in the browser and in Node.
+
+const crcTable = [];
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    if (c & 1) c = 0xedb88320 ^ (c >>> 1);
+    else c = c >>> 1;
+  }
+  crcTable[n] = c;
+}
+
+export function crc32(buf) {
+  let c = 0xffffffff;
+  for (let n = 0; n < buf.length; n++) {
+    c = crcTable[(c ^ buf[n]) & 0xff] ^ (c >>> 8);
+  }
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// DataView over exactly the bytes of a (possibly offset) Uint8Array
+export function viewOf(bytes) {
+  return new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+}
+
+export function writeString(view, offset, string) {
+  for (let i = 0; i < string.length; i++) {
+    view.setUint8(offset + i, string.charCodeAt(i));
+  }
+}
+
+export function readAscii(bytes, offset, length) {
+  return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+export function concatBytes(parts) {
+  const totalSize = parts.reduce((acc, part) => acc + part.length, 0);
+  const result = new Uint8Array(totalSize);
+
+  let currentPos = 0;
+  for (const part of parts) {
+    result.set(part, currentPos);
+    currentPos += part.length;
+  }
+  return result;
+}
+
+// piexif works on "binary strings" (one char per byte)
+export function bytesToBinaryString(bytes) {
+  let str = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    str += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return str;
+}
+
+export function binaryStringToBytes(str) {
+  const bytes = new Uint8Array(str.length);
+  for (let i = 0; i < str.length; i++) bytes[i] = str.charCodeAt(i);
+  return bytes;
+}
+
+// zlib streams (PNG compression method 0) via the built-in Compression Streams API
+export async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function inflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// gzip members (stealth LSB metadata)
+export async function gzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+export async function gunzip(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
@@ -0,0 +1,190 @@
+// --- Metadata diff (source being injected vs. what the target already has) ---
+//
+// diffMetadata() lists the fields of both models as items:
+//   { id, group, label, source, target, status, choices, details }
+// status: 'same' | 'changed' | 'added' (only in the source) | 'removed' (only in the target).
+// mergeMetadata() builds the model to inject from a { [id]: choice } map; every item defaults
+// to 'source', which is what inject does without asking (the target's data is replaced).
+//
+// Choices: 'source' takes the source value, 'target' keeps the target's.
+// 'merge' (A1111 fields) takes the source value and records the target's in an
+// "Edit history" setting, so e.g. an inpaint pass's seed and denoising strength are not lost.
+// The history itself is not an item: merging again appends to it instead of replacing it.
+
+import { formatA1111Settings, parseA1111Settings } from './model.js';
+
+export const EDIT_HISTORY_KEY = 'Edit history';
+
+const BOTH_CHOICES = ['source', 'target'];
+const MERGE_CHOICES = ['source', 'target', 'merge'];
+
+function parseJsonObject(text) {
+  if (!text) return null;
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+function statusOf(source, target) {
+  if (source === target) return 'same';
+  if (target === undefined) return 'added';
+  if (source === undefined) return 'removed';
+  return 'changed';
+}
+
+function item(id, group, label, source, target, { mergeable = false, details = [] } = {}) {
+  const status = statusOf(source, target);
+  const choices = status === 'same' ? [] : status === 'changed' && mergeable ? MERGE_CHOICES : BOTH_CHOICES;
+  return { id, group, label, source, target, status, choices, details };
+}
+
+// undefined for empty values, so "missing" and "empty" compare equal
+function present(value) {
+  return value === null || value === undefined || value === '' ? undefined : value;
+}
+
+function settingsMap(settings) {
+  return new Map(parseA1111Settings(settings || ''));
+}
+
+// The "Edit history" setting as [key, value] pairs (A1111 quotes it as a JSON string)
+function historyPairs(settings) {
+  const value = settingsMap(settings).get(EDIT_HISTORY_KEY);
+  if (!value) return [];
+  try {
+    return parseA1111Settings(/^".*"$/.test(value) ? JSON.parse(value) : value);
+  } catch {
+    return parseA1111Settings(value);
+  }
+}
+
+// Keys in first-seen order across both sides
+function unionKeys(a, b) {
+  return [...new Set([...a, ...b])];
+}
+
+// Inputs whose values differ between two ComfyUI API prompt nodes
+function describeNodeChanges(source, target) {
+  const keys = unionKeys(Object.keys(source.inputs || {}), Object.keys(target.inputs || {}));
+  return keys
+    .filter(key => JSON.stringify(source.inputs?.[key]) !== JSON.stringify(target.inputs?.[key]))
+    .map(key => `${key}: ${JSON.stringify(target.inputs?.[key])} → ${JSON.stringify(source.inputs?.[key])}`);
+}
+
+function diffPrompt(source, target) {
+  const sourceNodes = parseJsonObject(source);
+  const targetNodes = parseJsonObject(target);
+  if ((source && !sourceNodes) || (target && !targetNodes)) {
+    // Not valid JSON on one side: compare the text as a whole
+    return [item('prompt', 'comfy-prompt', 'prompt', present(source), present(target))];
+  }
+
+  const ids = unionKeys(Object.keys(sourceNodes || {}), Object.keys(targetNodes || {}));
+  return ids.map((id) => {
+    const s = sourceNodes?.[id];
+    const t = targetNodes?.[id];
+    const label = `#${id} ${(s || t).class_type || ''}`.trim();
+    const details = s && t ? describeNodeChanges(s, t) : [];
+    return item(`prompt:${id}`, 'comfy-prompt', label, s && JSON.stringify(s), t && JSON.stringify(t), { details });
+  });
+}
+
+// Node-level summary of two UI workflows ("+ #5 LoraLoader", "- #7 SaveImage", "~ #3 KSampler")
+function describeWorkflowChanges(source, target) {
+  const sourceNodes = new Map((parseJsonObject(source)?.nodes || []).map(node => [node.id, node]));
+  const targetNodes = new Map((parseJsonObject(target)?.nodes || []).map(node => [node.id, node]));
+  const details = [];
+
+  for (const id of unionKeys(sourceNodes.keys(), targetNodes.keys())) {
+    const s = sourceNodes.get(id);
+    const t = targetNodes.get(id);
+    if (!t) details.push(`+ #${id} ${s.type}`);
+    else if (!s) details.push(`- #${id} ${t.type}`);
+    else if (s.type !== t.type || JSON.stringify(s.widgets_values) !== JSON.stringify(t.widgets_values) || s.mode !== t.mode) {
+      details.push(`~ #${id} ${s.type}`);
+    }
+  }
+  return details;
+}
+
+export function diffMetadata(source, target) {
+  const items = [
+    item('positive', 'a1111', 'Prompt', present(source.positive), present(target.positive), { mergeable: true }),
+    item('negative', 'a1111', 'Negative prompt', present(source.negative), present(target.negative), { mergeable: true }),
+  ];
+
+  const sourceSettings = settingsMap(source.settings);
+  const targetSettings = settingsMap(target.settings);
+  for (const key of unionKeys(sourceSettings.keys(), targetSettings.keys())) {
+    if (key === EDIT_HISTORY_KEY) continue;
+    items.push(item(`setting:${key}`, 'settings', key, sourceSettings.get(key), targetSettings.get(key), { mergeable: true }));
+  }
+
+  items.push(...diffPrompt(source.prompt, target.prompt));
+
+  const workflow = item('workflow', 'comfy-workflow', 'workflow', present(source.workflow), present(target.workflow));
+  if (workflow.status === 'changed') workflow.details = describeWorkflowChanges(source.workflow, target.workflow);
+  items.push(workflow);
+
+  for (const keyword of unionKeys(Object.keys(source.texts || {}), Object.keys(target.texts || {}))) {
+    items.push(item(`text:${keyword}`, 'texts', keyword, present(source.texts?.[keyword]), present(target.texts?.[keyword])));
+  }
+  // No XMP item: inject always keeps the target's own packet (see xmpPacketFor)
+
+  return items;
+}
+
+export function mergeMetadata(source, target, choices = {}) {
+  const items = diffMetadata(source, target);
+  const choiceOf = entry => (entry.choices.includes(choices[entry.id]) ? choices[entry.id] : 'source');
+  const pick = entry => (choiceOf(entry) === 'target' ? entry.target : entry.source);
+  const byId = new Map(items.map(entry => [entry.id, entry]));
+  const history = [];
+
+  const model = { ...source, texts: {} };
+
+  for (const field of ['positive', 'negative']) {
+    const entry = byId.get(field);
+    model[field] = pick(entry) ?? '';
+    if (choiceOf(entry) === 'merge') history.push([entry.label, entry.target.replace(/\s*\n\s*/g, ' ')]);
+  }
+
+  const settings = [];
+  for (const entry of items.filter(e => e.group === 'settings')) {
+    const value = pick(entry);
+    if (value !== undefined) settings.push([entry.label, value]);
+    if (choiceOf(entry) === 'merge') history.push([entry.label, entry.target]);
+  }
+  // Earlier passes come first: the source's own history, then the target's when its values are recorded now
+  const sourceHistory = historyPairs(source.settings);
+  const targetHistory = history.length > 0 ? historyPairs(target.settings) : [];
+  const sameHistory = formatA1111Settings(targetHistory) === formatA1111Settings(sourceHistory);
+  const allHistory = [...sourceHistory, ...(sameHistory ? [] : targetHistory), ...history];
+  if (allHistory.length > 0) settings.push([EDIT_HISTORY_KEY, formatA1111Settings(allHistory)]);
+  model.settings = formatA1111Settings(settings);
+
+  const promptItems = items.filter(e => e.group === 'comfy-prompt');
+  if (promptItems.length === 1 && promptItems[0].id === 'prompt') {
+    model.prompt = pick(promptItems[0]) ?? null;
+  } else if (promptItems.every(e => pick(e) === e.source) && promptItems.some(e => e.source !== undefined)) {
+    model.prompt = source.prompt; // Untouched: keep the source text byte for byte
+  } else {
+    const nodes = {};
+    for (const entry of promptItems) {
+      const value = pick(entry);
+      if (value !== undefined) nodes[entry.id.slice('prompt:'.length)] = JSON.parse(value);
+    }
+    model.prompt = Object.keys(nodes).length > 0 ? JSON.stringify(nodes) : null;
+  }
+
+  model.workflow = pick(byId.get('workflow')) ?? null;
+  for (const entry of items.filter(e => e.group === 'texts')) {
+    const value = pick(entry);
+    if (value !== undefined) model.texts[entry.label] = value;
+  }
+
+  return model;
+}
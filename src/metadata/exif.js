@@ -0,0 +1,183 @@
+// --- EXIF Helpers (piexif objects, used by JPG and WebP) ---
+
+import { t } from '../i18n/index.js';
+import { binaryStringToBytes, bytesToBinaryString } from './binary.js';
+import { isA1111Text, ownedKeywords, parametersText } from './generators.js';
+import { emptyMetadata, parseA1111Parameters } from './model.js';
+
+const EXIF_TAG_IMAGE_DESCRIPTION = 270;
+const EXIF_TAG_MAKE = 271;
+const EXIF_TAG_MODEL = 272;
+const EXIF_TAG_SOFTWARE = 305;
+const EXIF_TAG_XP_COMMENT = 40092;
+const EXIF_TAG_USER_COMMENT = 37510;
+const COMFY_EXIF_PATTERN = /^(prompt|workflow):/i;
+
+// Generator texts with an EXIF home, the way NovelAI writes its JPEGs. Other model.texts
+// keywords only exist as PNG chunks.
+const EXIF_TEXT_TAGS = { Description: EXIF_TAG_IMAGE_DESCRIPTION, Software: EXIF_TAG_SOFTWARE, Comment: EXIF_TAG_XP_COMMENT };
+export const EXIF_TEXT_KEYWORDS = Object.keys(EXIF_TEXT_TAGS);
+
+const CAMERA_TAGS = {
+  '0th': { 271: 'Make', 272: 'Model', 305: 'Software', 306: 'DateTime', 315: 'Artist', 316: 'HostComputer' },
+  'Exif': {
+    36867: 'DateTimeOriginal', 36868: 'DateTimeDigitized', 37500: 'MakerNote', 42032: 'CameraOwnerName',
+    42033: 'BodySerialNumber', 42034: 'LensSpecification', 42035: 'LensMake', 42036: 'LensModel', 42037: 'LensSerialNumber',
+  },
+};
+
+export function emptyExif() {
+  return { '0th': {}, 'Exif': {}, 'GPS': {}, 'Interop': {}, '1st': {}, 'thumbnail': null };
+}
+
+// UserComment = 8-byte charset prefix + payload. A1111 writes "UNICODE\0" + UTF-16BE.
+export function decodeUserComment(value) {
+  const prefix = value.slice(0, 8);
+  const body = binaryStringToBytes(value.slice(8));
+
+  if (prefix === 'UNICODE\x00') {
+    // Mostly-ASCII prompts have their zero bytes first in big-endian; some tools write little-endian
+    let evenZeros = 0;
+    let oddZeros = 0;
+    for (let i = 0; i < Math.min(body.length, 256); i++) {
+      if (body[i] === 0) (i % 2 === 0 ? evenZeros++ : oddZeros++);
+    }
+    return new TextDecoder(oddZeros > evenZeros ? 'utf-16le' : 'utf-16be').decode(body);
+  }
+  return new TextDecoder('utf-8').decode(body).replace(/\0+$/, '');
+}
+
+export function encodeUserComment(text) {
+  let str = 'UNICODE\x00';
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    str += String.fromCharCode(code >> 8, code & 0xff);
+  }
+  return str;
+}
+
+// XP* tags are BYTE arrays of NUL-terminated UTF-16LE
+function decodeXpString(value) {
+  return new TextDecoder('utf-16le').decode(Uint8Array.from(value)).replace(/\0+$/, '');
+}
+
+function encodeXpString(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i++) bytes.push(text.charCodeAt(i) & 0xff, text.charCodeAt(i) >> 8);
+  return [...bytes, 0, 0];
+}
+
+function decodeUtf8(value) {
+  return new TextDecoder('utf-8').decode(binaryStringToBytes(value));
+}
+
+function encodeUtf8(text) {
+  return bytesToBinaryString(new TextEncoder().encode(text));
+}
+
+// ImageDescription / Software / XPComment as generator texts; ownership is decided in exifToModel
+function readExifTexts(zeroth) {
+  const texts = {};
+  for (const [keyword, tag] of Object.entries(EXIF_TEXT_TAGS)) {
+    const value = zeroth[tag];
+    const text = tag === EXIF_TAG_XP_COMMENT
+      ? (Array.isArray(value) ? decodeXpString(value) : '')
+      : (typeof value === 'string' ? decodeUtf8(value) : '');
+    if (text && !COMFY_EXIF_PATTERN.test(text)) texts[keyword] = text;
+  }
+  return texts;
+}
+
+export function exifToModel(exifObj) {
+  const model = emptyMetadata();
+
+  const comment = exifObj['Exif'] && exifObj['Exif'][EXIF_TAG_USER_COMMENT];
+  const parameters = typeof comment === 'string' && comment.length > 8 ? decodeUserComment(comment) : '';
+  if (parameters) {
+    // A1111 text, or Fooocus / SwarmUI JSON which is kept verbatim
+    if (isA1111Text(parameters)) Object.assign(model, parseA1111Parameters(parameters));
+    else model.texts.parameters = parameters;
+  }
+
+  // Description / Software / Comment only count when a generator claims them:
+  // "Adobe Photoshop" in Software belongs to the target, "NovelAI" is metadata
+  const texts = readExifTexts(exifObj['0th'] || {});
+  for (const keyword of ownedKeywords({ parameters, ...texts })) {
+    if (keyword in texts) model.texts[keyword] = texts[keyword];
+  }
+
+  // ComfyUI stores "prompt:{...}" in Model and "workflow:{...}" in Make (ImageDescription on older builds)
+  for (const tag of [EXIF_TAG_MODEL, EXIF_TAG_MAKE, EXIF_TAG_IMAGE_DESCRIPTION]) {
+    const value = exifObj['0th'] && exifObj['0th'][tag];
+    if (typeof value !== 'string') continue;
+    const text = decodeUtf8(value);
+    const match = COMFY_EXIF_PATTERN.exec(text);
+    if (match) model[match[1].toLowerCase()] = text.slice(match[0].length);
+  }
+
+  return model;
+}
+
+// Returns a copy of exifObj with stale AI tags replaced by the model's.
+// Everything else (orientation, resolution, camera and editor tags) stays as the target had it.
+export function applyMetadataToExif(exifObj, model) {
+  const stale = exifToModel(exifObj).texts;
+  const exif = { ...emptyExif(), ...exifObj };
+  exif['0th'] = { ...exif['0th'] };
+  exif['Exif'] = { ...exif['Exif'] };
+
+  const parameters = parametersText(model);
+  if (parameters) exif['Exif'][EXIF_TAG_USER_COMMENT] = encodeUserComment(parameters);
+  else delete exif['Exif'][EXIF_TAG_USER_COMMENT];
+
+  for (const tag of [EXIF_TAG_MODEL, EXIF_TAG_MAKE, EXIF_TAG_IMAGE_DESCRIPTION]) {
+    const value = exif['0th'][tag];
+    if (typeof value === 'string' && COMFY_EXIF_PATTERN.test(value)) delete exif['0th'][tag];
+  }
+  if (model.prompt) exif['0th'][EXIF_TAG_MODEL] = encodeUtf8(`prompt:${model.prompt}`);
+  if (model.workflow) exif['0th'][EXIF_TAG_MAKE] = encodeUtf8(`workflow:${model.workflow}`);
+
+  for (const [keyword, tag] of Object.entries(EXIF_TEXT_TAGS)) {
+    const text = model.texts?.[keyword];
+    if (text) exif['0th'][tag] = tag === EXIF_TAG_XP_COMMENT ? encodeXpString(text) : encodeUtf8(text);
+    else if (keyword in stale) delete exif['0th'][tag];
+  }
+
+  return exif;
+}
+
+// GPS / camera / thumbnail parts of a piexif object (AI tags are handled by scrubModel)
+export function scrubExif(exifObj, options, removed) {
+  const exif = { ...emptyExif(), ...exifObj };
+
+  if (options.gps && Object.keys(exif['GPS']).length > 0) {
+    exif['GPS'] = {};
+    removed.push('GPS');
+  }
+
+  if (options.camera) {
+    const names = [];
+    // Software may name the generator (NovelAI); that goes with the AI metadata, not here
+    const aiTags = Object.keys(exifToModel(exif).texts).map(keyword => EXIF_TEXT_TAGS[keyword]);
+    for (const ifd of Object.keys(CAMERA_TAGS)) {
+      exif[ifd] = { ...exif[ifd] };
+      for (const [tag, name] of Object.entries(CAMERA_TAGS[ifd])) {
+        const value = exif[ifd][tag];
+        // Make/Model may carry ComfyUI data instead of a camera name
+        if (value === undefined || (typeof value === 'string' && COMFY_EXIF_PATTERN.test(value))) continue;
+        if (ifd === '0th' && aiTags.includes(Number(tag))) continue;
+        delete exif[ifd][tag];
+        names.push(name);
+      }
+    }
+    if (names.length > 0) removed.push(t('removed.camera', { tags: names.join(', ') }));
+  }
+
+  if (options.thumbnail && (exif['thumbnail'] || Object.keys(exif['1st']).length > 0)) {
+    exif['1st'] = {};
+    exif['thumbnail'] = null;
+    removed.push(t('removed.thumbnail'));
+  }
+
+  return exif;
+}
@@ -0,0 +1,136 @@
+// --- Generator detectors ---
+//
+// Each detector recognizes one generator from the text chunks of an image ({ keyword: text })
+// and lists the PNG keywords it owns. Owned chunks are carried as a whole: extract reads them
+// into the model and inject replaces every one of them, so none survive as stale duplicates.
+// A1111 'parameters' and ComfyUI 'prompt'/'workflow' have their own model fields, every other
+// owned chunk goes verbatim into model.texts.
+//
+// Detectors are tried in order and the first match names the image. registerGenerator()
+// puts new detectors in front of the built-in ones.
+
+import { emptyMetadata, formatA1111Parameters, parseA1111Parameters } from './model.js';
+
+function parseJsonObject(text) {
+  try {
+    const value = JSON.parse(text);
+    return value && typeof value === 'object' ? value : null;
+  } catch {
+    return null;
+  }
+}
+
+const generators = [
+  {
+    id: 'novelai',
+    label: 'NovelAI',
+    keywords: ['Title', 'Description', 'Software', 'Source', 'Generation time', 'Comment'],
+    // Title is "NovelAI generated image" on older images, "AI generated image" on newer ones
+    detect: texts => /^NovelAI/.test(texts.Software || '') || (/AI generated image$/.test(texts.Title || '') && Boolean(texts.Comment)),
+  },
+  {
+    id: 'invokeai',
+    label: 'InvokeAI',
+    keywords: ['invokeai_metadata', 'invokeai_graph', 'invokeai_workflow', 'sd-metadata', 'Dream'],
+    detect: texts => Boolean(texts.invokeai_metadata || texts['sd-metadata'] || texts.Dream),
+  },
+  {
+    id: 'fooocus',
+    label: 'Fooocus',
+    keywords: ['fooocus_scheme', 'parameters'],
+    detect: texts => Boolean(texts.fooocus_scheme),
+  },
+  {
+    id: 'swarmui',
+    label: 'SwarmUI',
+    keywords: ['parameters'],
+    detect: texts => Boolean(parseJsonObject(texts.parameters || '')?.sui_image_params),
+  },
+  {
+    id: 'comfyui',
+    label: 'ComfyUI',
+    keywords: ['prompt', 'workflow'],
+    detect: texts => Boolean(texts.prompt || texts.workflow),
+  },
+  {
+    id: 'a1111',
+    label: 'A1111',
+    keywords: ['parameters'],
+    detect: texts => Boolean(texts.parameters),
+  },
+];
+
+export function registerGenerator(detector) {
+  generators.unshift(detector);
+}
+
+// Every keyword some detector may own; only these chunks need decoding
+export function generatorKeywords() {
+  return [...new Set(generators.flatMap(g => g.keywords))];
+}
+
+// Detectors matching the texts, most specific first
+export function detectGenerators(texts) {
+  return generators.filter(g => g.detect(texts));
+}
+
+// Keywords of `texts` owned by any matching detector
+export function ownedKeywords(texts) {
+  const owned = new Set(detectGenerators(texts).flatMap(g => g.keywords));
+  return Object.keys(texts).filter(keyword => owned.has(keyword));
+}
+
+// Whether 'parameters' holds A1111 text rather than JSON (Fooocus / SwarmUI, which is kept verbatim)
+export function isA1111Text(text) {
+  return parseJsonObject(text) === null;
+}
+
+// The model's 'parameters' text, whichever way it is stored
+export function parametersText(model) {
+  return formatA1111Parameters(model) || model.texts?.parameters || '';
+}
+
+// The model as keyword -> text, the same view detectors get from PNG chunks:
+// 'parameters', 'prompt', 'workflow', then the other generator chunks
+export function metadataTexts(model) {
+  const texts = { parameters: parametersText(model), prompt: model.prompt, workflow: model.workflow };
+  for (const [keyword, text] of Object.entries(model.texts || {})) {
+    if (!(keyword in texts)) texts[keyword] = text;
+  }
+  return Object.fromEntries(Object.entries(texts).filter(([, text]) => text));
+}
+
+// Build the model from raw texts, keeping only the chunks a detector owns
+export function textsToModel(texts) {
+  const model = emptyMetadata();
+  for (const keyword of ownedKeywords(texts)) {
+    const text = texts[keyword];
+    if (keyword === 'parameters' && isA1111Text(text)) Object.assign(model, parseA1111Parameters(text));
+    else if (keyword === 'prompt' || keyword === 'workflow') model[keyword] = text;
+    else model.texts[keyword] = text;
+  }
+  return model;
+}
+
+// Pasted text as a model: A1111 "PNG Info" parameters (with their settings line), a ComfyUI
+// workflow or API prompt JSON, or SwarmUI parameters JSON. Null for anything else, so a
+// stray clipboard sentence is not mistaken for metadata.
+export function parseMetadataText(text) {
+  const trimmed = text.trim();
+  const json = parseJsonObject(trimmed);
+
+  if (!json) {
+    const model = textsToModel({ parameters: trimmed });
+    return model.settings ? model : null;
+  }
+  if (Array.isArray(json.nodes)) return textsToModel({ workflow: trimmed });
+  if (Object.values(json).some(node => typeof node?.class_type === 'string')) return textsToModel({ prompt: trimmed });
+  if (json.sui_image_params) return textsToModel({ parameters: trimmed });
+  return null;
+}
+
+export function describeMetadata(model) {
+  const [generator] = detectGenerators(metadataTexts(model));
+  if (generator) return generator.label;
+  return 'XMP';
+}
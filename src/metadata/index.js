@@ -0,0 +1,115 @@
+// --- Metadata library: format-agnostic entry points ---
+//
+// All functions take and return Uint8Array, so they work the same in the browser
+// (file.arrayBuffer()) and in Node (fs.readFileSync()).
+
+import { t } from '../i18n/index.js';
+import { extractAvifMetadata, injectAvifMetadata, isAvif, scrubAvifMetadata } from './avif.js';
+import { concatBytes } from './binary.js';
+import { EXIF_TEXT_KEYWORDS } from './exif.js';
+import { extractJpgMetadata, injectJpgMetadata, isJpeg, scrubJpgMetadata } from './jpeg.js';
+import { extractJxlMetadata, injectJxlMetadata, isJxl, scrubJxlMetadata } from './jxl.js';
+import { extractPngMetadata, injectPngMetadata, isPng, scrubPngMetadata } from './png.js';
+import { extractWebpMetadata, injectWebpMetadata, isWebp, scrubWebpMetadata } from './webp.js';
+import { recoverFromXmp } from './xmp.js';
+
+export * from './model.js';
+export { describeMetadata, detectGenerators, parametersText, parseMetadataText, registerGenerator } from './generators.js';
+export { EDIT_HISTORY_KEY, diffMetadata, mergeMetadata } from './diff.js';
+export { SCRUB_OPTION_KEYS } from './scrub.js';
+export { embedStealthMetadata, readStealthMetadata } from './stealth.js';
+export { SIMILARITY_THRESHOLDS, compareFingerprints, imageFingerprint, similarityVerdict } from './similarity.js';
+export { XMP_NAMESPACE, readXmpMetadata, writeXmpMetadata } from './xmp.js';
+
+export const FORMAT_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jxl: 'image/jxl',
+};
+
+// Detect the container from its magic bytes ('png' | 'jpg' | 'webp' | 'avif' | 'jxl' | null)
+export function detectFormat(bytes) {
+  if (isPng(bytes)) return 'png';
+  if (isJpeg(bytes)) return 'jpg';
+  if (isWebp(bytes)) return 'webp';
+  if (isAvif(bytes)) return 'avif';
+  if (isJxl(bytes)) return 'jxl';
+  return null;
+}
+
+function requireFormat(bytes) {
+  const format = detectFormat(bytes);
+  if (!format) throw new Error(t('error.unsupportedFormat'));
+  return format;
+}
+
+// Generator chunks other than 'parameters' and the NovelAI Description / Software / Comment
+// trio (ImageDescription / Software / XPComment in EXIF) only exist as PNG text chunks.
+// Lists the model.texts keywords writeMetadata has no place for in a `format` image.
+export function droppedKeywords(model, format) {
+  if (format === 'png') return [];
+  return Object.keys(model.texts || {}).filter(keyword => keyword !== 'parameters' && !EXIF_TEXT_KEYWORDS.includes(keyword));
+}
+
+async function extractMetadata(bytes, warnings) {
+  const format = requireFormat(bytes);
+  if (format === 'png') return extractPngMetadata(bytes, warnings);
+  if (format === 'jpg') return extractJpgMetadata(bytes, warnings);
+  if (format === 'avif') return extractAvifMetadata(bytes, warnings);
+  if (format === 'jxl') return extractJxlMetadata(bytes, warnings);
+  return extractWebpMetadata(bytes, warnings);
+}
+
+// Returns { type: 'png' | 'jpg' | 'webp' | 'avif' | 'jxl', data: model } or null when there is no AI metadata.
+// fromXmp is set when the other metadata was gone and the model came from the XMP copy.
+// warnings lists the parts that could not be read (an unreadable EXIF block, a compressed box),
+// as localized messages; it is only set when there are any.
+export async function readMetadata(bytes) {
+  const warnings = [];
+  let result = await extractMetadata(bytes, warnings);
+  const recovered = result && recoverFromXmp(result.data);
+  if (recovered) result = { ...result, data: recovered, fromXmp: true };
+  return result && warnings.length > 0 ? { ...result, warnings } : result;
+}
+
+// Returns { parts, warnings }: the target image with its AI metadata replaced by `model`, as a
+// list of Uint8Array parts, and what had to be given up on the way (e.g. the target's unreadable
+// EXIF) as localized messages. Unchanged chunks and the image data are subarrays of `bytes`
+// rather than copies, so `new Blob(parts)` builds the file without another full-size buffer.
+// options.compress: deflate long PNG text chunks.
+// options.thumbnail: JPEG bytes for a JPG target's EXIF thumbnail (dropped when not given).
+// options.xmp: also store the model in the XMP packet (see xmp.js).
+export async function writeMetadataParts(bytes, model, options = {}) {
+  const format = requireFormat(bytes);
+  const warnings = [];
+  let parts;
+  if (format === 'png') parts = await injectPngMetadata(bytes, model, options, warnings);
+  else if (format === 'jpg') parts = await injectJpgMetadata(bytes, model, options, warnings);
+  else if (format === 'avif') parts = await injectAvifMetadata(bytes, model, options, warnings);
+  else if (format === 'jxl') parts = await injectJxlMetadata(bytes, model, options, warnings);
+  else parts = await injectWebpMetadata(bytes, model, options, warnings);
+  return { parts, warnings };
+}
+
+// The parts of writeMetadataParts() joined into one Uint8Array
+export async function writeMetadata(bytes, model, options = {}) {
+  return concatBytes((await writeMetadataParts(bytes, model, options)).parts);
+}
+
+// Returns { parts, removed }; see scrub.js for the options
+export async function scrubMetadataParts(bytes, options) {
+  const format = requireFormat(bytes);
+  if (format === 'png') return scrubPngMetadata(bytes, options);
+  if (format === 'jpg') return scrubJpgMetadata(bytes, options);
+  if (format === 'avif') return scrubAvifMetadata(bytes, options);
+  if (format === 'jxl') return scrubJxlMetadata(bytes, options);
+  return scrubWebpMetadata(bytes, options);
+}
+
+// Returns { bytes, removed }
+export async function scrubMetadata(bytes, options) {
+  const { parts, removed } = await scrubMetadataParts(bytes, options);
+  return { bytes: concatBytes(parts), removed };
+}
@@ -0,0 +1,121 @@
+// --- ISOBMFF box helpers (shared by AVIF and the JPEG XL container) ---
+//
+// A box is size(32) + type(4) + payload, big-endian. Size 1 means a 64-bit size follows the
+// type, size 0 that the box runs to the end of the file. Full boxes start their payload with
+// version(8) + flags(24).
+
+import { t } from '../i18n/index.js';
+import { binaryStringToBytes, bytesToBinaryString, readAscii, viewOf } from './binary.js';
+
+// Unsigned big-endian integer of 0, 2, 4 or 8 bytes (iloc fields come in all of these)
+export function readUint(view, offset, size) {
+  if (size === 0) return 0;
+  if (size === 2) return view.getUint16(offset);
+  if (size === 4) return view.getUint32(offset);
+  return Number(view.getBigUint64(offset));
+}
+
+export function uintBytes(value, size) {
+  const bytes = new Uint8Array(size);
+  const view = viewOf(bytes);
+  if (size === 2) view.setUint16(0, value);
+  else if (size === 4) view.setUint32(0, value);
+  else if (size === 8) view.setBigUint64(0, BigInt(value));
+  return bytes;
+}
+
+// Boxes between `start` and `end` as { type, start, headerSize, end, toEnd };
+// toEnd marks a size-0 box, whose length is only known from the end of the file
+export function readBoxes(bytes, start = 0, end = bytes.length) {
+  const view = viewOf(bytes);
+  const boxes = [];
+  let offset = start;
+
+  while (offset + 8 <= end) {
+    let size = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    let headerSize = 8;
+    if (size === 1) {
+      if (offset + 16 > end) break;
+      size = Number(view.getBigUint64(offset + 8));
+      headerSize = 16;
+    }
+    const toEnd = size === 0;
+    if (toEnd) size = end - offset;
+    if (size < headerSize || offset + size > end) {
+      throw new Error(t('error.isobmff.truncatedBox', { offset, type }));
+    }
+
+    boxes.push({ type, start: offset, headerSize, end: offset + size, toEnd });
+    offset += size;
+  }
+
+  return boxes;
+}
+
+export function boxPayload(bytes, box) {
+  return bytes.subarray(box.start + box.headerSize, box.end);
+}
+
+// Size + type for a payload of `length` bytes, in the short form when it fits
+export function boxHeader(type, length) {
+  const short = length + 8 <= 0xffffffff;
+  const header = new Uint8Array(short ? 8 : 16);
+  const view = viewOf(header);
+  view.setUint32(0, short ? length + 8 : 1);
+  for (let i = 0; i < 4; i++) header[4 + i] = type.charCodeAt(i);
+  if (!short) view.setBigUint64(8, BigInt(length + 16));
+  return header;
+}
+
+export function createBox(type, ...payload) {
+  const length = payload.reduce((acc, part) => acc + part.length, 0);
+  const header = boxHeader(type, length);
+  const box = new Uint8Array(header.length + length);
+  box.set(header);
+  let offset = header.length;
+  for (const part of payload) {
+    box.set(part, offset);
+    offset += part.length;
+  }
+  return box;
+}
+
+export function createFullBox(type, version, flags, ...payload) {
+  return createBox(type, new Uint8Array([version, (flags >> 16) & 0xff, (flags >> 8) & 0xff, flags & 0xff]), ...payload);
+}
+
+export function encodeAscii(text) {
+  return Uint8Array.from(text, char => char.charCodeAt(0));
+}
+
+// NUL-terminated UTF-8 string and the offset after it
+export function readCString(bytes, offset) {
+  const end = bytes.indexOf(0, offset);
+  const stop = end < 0 ? bytes.length : end;
+  return { text: new TextDecoder('utf-8').decode(bytes.subarray(offset, stop)), next: stop + 1 };
+}
+
+export function encodeCString(text) {
+  const encoded = new TextEncoder().encode(text);
+  const bytes = new Uint8Array(encoded.length + 1);
+  bytes.set(encoded);
+  return bytes;
+}
+
+// HEIF Exif items and JPEG XL 'Exif' boxes: exif_tiff_header_offset(32) + data with the TIFF
+// header at that offset (0 for a bare TIFF, 6 after an "Exif\0\0" prefix).
+// Returns the "Exif\0\0" + TIFF binary string piexif loads.
+export function exifPayloadToBinaryString(data) {
+  const offset = data.length >= 4 ? viewOf(data).getUint32(0) : -1;
+  if (offset < 0 || 4 + offset > data.length) throw new Error(t('error.isobmff.badExifOffset'));
+  return "Exif\x00\x00" + bytesToBinaryString(data.subarray(4 + offset));
+}
+
+// piexif.dump() output ("Exif\0\0" + TIFF) as such a payload
+export function binaryStringToExifPayload(exifStr) {
+  const tiff = binaryStringToBytes(exifStr.slice(6));
+  const payload = new Uint8Array(4 + tiff.length);
+  payload.set(tiff, 4);
+  return payload;
+}
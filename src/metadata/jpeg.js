@@ -0,0 +1,190 @@
+// --- JPG Helpers (segment level; piexif only sees the Exif APP1) ---
+//
+// The file is never turned into a binary string: segments are located on the bytes, piexif
+// loads and dumps just the Exif payload (< 64KB), and the output is a list of parts that
+// reuses the untouched segments and image data as subarrays (see writeMetadataParts).
+
+import piexif from 'piexifjs';
+import { t } from '../i18n/index.js';
+import { binaryStringToBytes, bytesToBinaryString, readAscii } from './binary.js';
+import { applyMetadataToExif, emptyExif, exifToModel, scrubExif } from './exif.js';
+import { emptyMetadata, hasMetadata } from './model.js';
+import { scrubModel, scrubXmpPacket } from './scrub.js';
+import { xmpPacketFor } from './xmp.js';
+
+// A segment length is 16 bits, so "Exif\0\0" + TIFF (or the XMP header + packet) must
+// stay below 64KB. piexif does not check this and would write a corrupt segment.
+const JPEG_MAX_SEGMENT_LENGTH = 0xffff - 2;
+const EXIF_APP1_HEADER = 'Exif\x00\x00';
+const XMP_APP1_HEADER = 'http://ns.adobe.com/xap/1.0/\x00';
+
+export function isJpeg(bytes) {
+  return bytes.length >= 3 && bytes[0] === 0xff && bytes[1] === 0xd8 && bytes[2] === 0xff;
+}
+
+// Marker segments before the image data, as { marker, start, end } byte offsets.
+// A segment running past the end of the file, or a file ending before the image data, is truncated.
+function readJpegSegments(bytes) {
+  const segments = [];
+  let offset = 2;
+  while (true) {
+    if (offset + 4 > bytes.length) {
+      throw new Error(t('error.jpeg.truncated', { size: bytes.length }));
+    }
+    if (bytes[offset] !== 0xff) break;
+    const marker = bytes[offset + 1];
+    if (marker === 0xda) break; // Start of scan: the rest is image data
+    const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+    if (offset + 2 + length > bytes.length) {
+      throw new Error(t('error.jpeg.truncatedSegment', { offset, size: bytes.length, end: offset + 2 + length }));
+    }
+    segments.push({ marker, start: offset, end: offset + 2 + length });
+    offset += 2 + length;
+  }
+  return segments;
+}
+
+function isApp1(bytes, segment, header) {
+  return segment.marker === 0xe1 && segment.end - segment.start >= 4 + header.length
+    && readAscii(bytes, segment.start + 4, header.length) === header;
+}
+
+const isExifSegment = (bytes, segment) => isApp1(bytes, segment, EXIF_APP1_HEADER);
+const isXmpSegment = (bytes, segment) => isApp1(bytes, segment, XMP_APP1_HEADER);
+
+// Marker + length + payload
+function createSegment(marker, payload) {
+  const segment = new Uint8Array(4 + payload.length);
+  segment.set([0xff, marker, (payload.length + 2) >> 8, (payload.length + 2) & 0xff]);
+  segment.set(payload, 4);
+  return segment;
+}
+
+function createExifSegment(exif) {
+  const exifStr = piexif.dump(exif);
+  if (exifStr.length > JPEG_MAX_SEGMENT_LENGTH) {
+    throw new Error(t('error.jpeg.exifTooLarge', { size: Math.ceil(exifStr.length / 1024) }));
+  }
+  return createSegment(0xe1, binaryStringToBytes(exifStr));
+}
+
+function createXmpSegment(packet) {
+  const header = new TextEncoder().encode(XMP_APP1_HEADER);
+  const data = new TextEncoder().encode(packet);
+  if (header.length + data.length > JPEG_MAX_SEGMENT_LENGTH) {
+    throw new Error(t('error.jpeg.xmpTooLarge', { size: Math.ceil((header.length + data.length) / 1024) }));
+  }
+  const payload = new Uint8Array(header.length + data.length);
+  payload.set(header);
+  payload.set(data, header.length);
+  return createSegment(0xe1, payload);
+}
+
+// piexif object of the Exif APP1; null when there is none
+function readJpegExif(bytes, segments) {
+  const segment = segments.find(s => isExifSegment(bytes, s));
+  return segment ? piexif.load(bytesToBinaryString(bytes.subarray(segment.start + 4, segment.end))) : null;
+}
+
+// The target's EXIF to merge into; unreadable EXIF is replaced by an empty one
+function loadExif(bytes, segments, warnings = []) {
+  try {
+    return readJpegExif(bytes, segments) || emptyExif();
+  } catch {
+    warnings.push(t('warning.exifRewritten', { format: 'JPEG' }));
+    return emptyExif();
+  }
+}
+
+function readJpegXmp(bytes, segments) {
+  const segment = segments.find(s => isXmpSegment(bytes, s));
+  if (!segment) return null;
+  return new TextDecoder('utf-8').decode(bytes.subarray(segment.start + 4 + XMP_APP1_HEADER.length, segment.end));
+}
+
+// The JPEG as a list of parts with the Exif APP1 replaced by `exifSegment` (inserted after SOI
+// when there was none, as piexif does). With `xmpSegment` given (null = none), the XMP APP1
+// is replaced as well and goes right after the Exif one.
+function assembleJpeg(bytes, segments, exifSegment, xmpSegment) {
+  const replaceXmp = xmpSegment !== undefined;
+  const parts = [bytes.subarray(0, 2)];
+  let written = false;
+  const writeMetadataSegments = () => {
+    parts.push(exifSegment);
+    if (replaceXmp && xmpSegment) parts.push(xmpSegment);
+    written = true;
+  };
+
+  if (!segments.some(s => isExifSegment(bytes, s))) writeMetadataSegments();
+  for (const segment of segments) {
+    if (isExifSegment(bytes, segment)) {
+      if (!written) writeMetadataSegments();
+    } else if (!(replaceXmp && isXmpSegment(bytes, segment))) {
+      parts.push(bytes.subarray(segment.start, segment.end));
+    }
+  }
+
+  const dataStart = segments.length > 0 ? segments[segments.length - 1].end : 2;
+  parts.push(bytes.subarray(dataStart));
+  return parts;
+}
+
+export async function extractJpgMetadata(bytes, warnings = []) {
+  const segments = readJpegSegments(bytes);
+  let model = emptyMetadata();
+  try {
+    const exif = readJpegExif(bytes, segments);
+    if (exif) model = exifToModel(exif);
+  } catch {
+    warnings.push(t('warning.exifSkipped', { format: 'JPEG' }));
+  }
+  model.xmp = readJpegXmp(bytes, segments);
+  return hasMetadata(model) ? { type: 'jpg', data: model } : null;
+}
+
+// The target's thumbnail may show the image before its last edit (or the source's, when a tool
+// copied the whole EXIF block), so it is replaced by `thumbnail` (JPEG bytes) or dropped.
+function replaceThumbnail(exif, thumbnail) {
+  exif['1st'] = thumbnail ? { [piexif.ImageIFD.Compression]: 6 } : {};
+  exif['thumbnail'] = thumbnail ? bytesToBinaryString(thumbnail) : null;
+  return exif;
+}
+
+// Merge the model into the target's own EXIF and return the JPEG parts. Only the AI tags
+// (UserComment, ImageDescription, XPComment, Software, ComfyUI Make/Model) change; orientation,
+// resolution and camera tags stay, and the other segments (JFIF, ICC APP2) are kept as they are.
+// The XMP APP1 is only rewritten when the packet changes (see xmpPacketFor).
+export async function injectJpgMetadata(bytes, model, options = {}, warnings = []) {
+  const segments = readJpegSegments(bytes);
+  const exif = replaceThumbnail(applyMetadataToExif(loadExif(bytes, segments, warnings), model), options.thumbnail);
+  const exifSegment = createExifSegment(exif);
+
+  const targetXmp = readJpegXmp(bytes, segments);
+  const xmp = xmpPacketFor(model, targetXmp, options);
+  if (xmp === targetXmp) return assembleJpeg(bytes, segments, exifSegment);
+  return assembleJpeg(bytes, segments, exifSegment, xmp ? createXmpSegment(xmp) : null);
+}
+
+export async function scrubJpgMetadata(bytes, options) {
+  const removed = [];
+  const segments = readJpegSegments(bytes);
+
+  let exifObj;
+  try {
+    exifObj = readJpegExif(bytes, segments) || emptyExif();
+  } catch {
+    // Unreadable EXIF cannot be scrubbed selectively, so it is replaced by an empty one
+    removed.push(t('removed.unreadableExif'));
+    exifObj = emptyExif();
+  }
+  const model = scrubModel(exifToModel(exifObj), options, removed);
+  const exifSegment = createExifSegment(applyMetadataToExif(scrubExif(exifObj, options, removed), model));
+
+  const xmp = readJpegXmp(bytes, segments);
+  const scrubbedXmp = scrubXmpPacket(xmp, options, removed);
+  const parts = scrubbedXmp === xmp
+    ? assembleJpeg(bytes, segments, exifSegment)
+    : assembleJpeg(bytes, segments, exifSegment, scrubbedXmp ? createXmpSegment(scrubbedXmp) : null);
+
+  return { parts, removed };
+}
@@ -0,0 +1,166 @@
+// --- JPEG XL Helpers (ISOBMFF container: 'Exif' / 'xml ' boxes) ---
+//
+// A JPEG XL file is either a bare codestream (FF 0A) or a box container holding it in 'jxlc'
+// (or split over 'jxlp' boxes). Metadata only fits in the container, so a bare codestream is
+// wrapped in one when metadata is written; the codestream itself is never touched.
+
+import piexif from 'piexifjs';
+import { t } from '../i18n/index.js';
+import { applyMetadataToExif, emptyExif, exifToModel, scrubExif } from './exif.js';
+import {
+  binaryStringToExifPayload, boxHeader, boxPayload, createBox, encodeAscii, exifPayloadToBinaryString, readBoxes,
+} from './isobmff.js';
+import { emptyMetadata, hasMetadata } from './model.js';
+import { scrubModel, scrubXmpPacket } from './scrub.js';
+import { xmpPacketFor } from './xmp.js';
+
+const JXL_SIGNATURE_BOX = new Uint8Array([0, 0, 0, 0x0c, 0x4a, 0x58, 0x4c, 0x20, 0x0d, 0x0a, 0x87, 0x0a]);
+const JXL_META_BOXES = ['Exif', 'xml '];
+// Boxes that must come before the metadata: signature, file type and codestream level
+const JXL_HEADER_BOXES = ['JXL ', 'ftyp', 'jxll'];
+// Scrub options that reach into each metadata box (the XMP box holds a copy of the model)
+const JXL_BOX_SCRUB_OPTIONS = {
+  'Exif': ['parameters', 'comfy', 'paths', 'loras', 'gps', 'camera', 'thumbnail'],
+  'xml ': ['parameters', 'comfy', 'paths', 'loras', 'xmp'],
+};
+
+function isJxlContainer(bytes) {
+  return bytes.length >= JXL_SIGNATURE_BOX.length && JXL_SIGNATURE_BOX.every((byte, i) => bytes[i] === byte);
+}
+
+function isJxlCodestream(bytes) {
+  return bytes.length >= 2 && bytes[0] === 0xff && bytes[1] === 0x0a;
+}
+
+export function isJxl(bytes) {
+  return isJxlContainer(bytes) || isJxlCodestream(bytes);
+}
+
+// Top-level boxes; [] for a bare codestream
+export function readJxlBoxes(bytes) {
+  if (!isJxl(bytes)) throw new Error(t('error.jxl.invalid'));
+  return isJxlContainer(bytes) ? readBoxes(bytes) : [];
+}
+
+// A 'brob' box holds another box Brotli-compressed, its type in the first 4 bytes
+function brobInnerType(bytes, box) {
+  const payload = boxPayload(bytes, box);
+  return String.fromCharCode(...payload.subarray(0, 4));
+}
+
+// compressed: the types of the Brotli-compressed metadata boxes, which can't be read here
+function readJxlMetadataBoxes(bytes, boxes) {
+  let exif = null;
+  let xmp = null;
+  const compressed = [];
+  for (const box of boxes) {
+    if (box.type === 'Exif' && !exif) exif = boxPayload(bytes, box);
+    else if (box.type === 'xml ' && !xmp) xmp = boxPayload(bytes, box);
+    else if (box.type === 'brob' && JXL_META_BOXES.includes(brobInnerType(bytes, box))) compressed.push(brobInnerType(bytes, box));
+  }
+  return { exif, xmp, compressed };
+}
+
+function decodeXmp(data) {
+  return new TextDecoder('utf-8').decode(data);
+}
+
+export async function extractJxlMetadata(bytes, warnings = []) {
+  const { exif, xmp, compressed } = readJxlMetadataBoxes(bytes, readJxlBoxes(bytes));
+  for (const type of compressed) warnings.push(t('warning.compressedBox', { box: type.trim() }));
+  let model = emptyMetadata();
+  if (exif) {
+    try {
+      model = exifToModel(piexif.load(exifPayloadToBinaryString(exif)));
+    } catch {
+      warnings.push(t('warning.exifSkipped', { format: 'JPEG XL' }));
+    }
+  }
+  model.xmp = xmp && decodeXmp(xmp);
+  return hasMetadata(model) ? { type: 'jxl', data: model } : null;
+}
+
+// The file as a list of parts with the metadata boxes replaced by `metaBoxes`, right after the
+// header boxes. Compressed ('brob') metadata boxes are kept, except those holding one of the
+// `droppedTypes`. A bare codestream goes into a new container's 'jxlc' box.
+function assembleJxl(bytes, boxes, metaBoxes, droppedTypes) {
+  const isDropped = box => JXL_META_BOXES.includes(box.type)
+    || (box.type === 'brob' && droppedTypes.includes(brobInnerType(bytes, box)));
+
+  if (!isJxlContainer(bytes)) {
+    const ftyp = createBox('ftyp', encodeAscii('jxl '), new Uint8Array(4), encodeAscii('jxl '));
+    return [JXL_SIGNATURE_BOX, ftyp, ...metaBoxes, boxHeader('jxlc', bytes.length), bytes];
+  }
+
+  const parts = [];
+  let written = false;
+  for (const box of boxes) {
+    if (!written && !JXL_HEADER_BOXES.includes(box.type)) {
+      parts.push(...metaBoxes);
+      written = true;
+    }
+    if (!isDropped(box)) parts.push(bytes.subarray(box.start, box.end));
+  }
+  if (!written) parts.push(...metaBoxes);
+  return parts;
+}
+
+// Merge the model into the target's own EXIF and return the parts of the new file.
+// The XMP box is only rewritten when the packet changes (see xmpPacketFor). A compressed
+// EXIF or XMP box is left as it is unless a new box of its type is written.
+export async function injectJxlMetadata(bytes, model, options = {}, warnings = []) {
+  const boxes = readJxlBoxes(bytes);
+  const { exif, xmp: targetXmpBytes, compressed } = readJxlMetadataBoxes(bytes, boxes);
+
+  let baseExif = null;
+  if (exif) {
+    try {
+      baseExif = piexif.load(exifPayloadToBinaryString(exif));
+    } catch {
+      warnings.push(t('warning.exifRewritten', { format: 'JPEG XL' }));
+    }
+  }
+
+  const metaBoxes = [createBox('Exif', binaryStringToExifPayload(piexif.dump(applyMetadataToExif(baseExif || emptyExif(), model))))];
+  const targetXmp = targetXmpBytes && decodeXmp(targetXmpBytes);
+  const xmp = xmpPacketFor(model, targetXmp, options);
+  if (xmp) metaBoxes.push(createBox('xml ', xmp === targetXmp ? targetXmpBytes : new TextEncoder().encode(xmp)));
+
+  const written = xmp ? JXL_META_BOXES : ['Exif'];
+  for (const type of compressed) {
+    warnings.push(t(written.includes(type) ? 'warning.compressedBoxReplaced' : 'warning.compressedBoxKept', { box: type.trim() }));
+  }
+  return assembleJxl(bytes, boxes, metaBoxes, written);
+}
+
+export async function scrubJxlMetadata(bytes, options) {
+  const removed = [];
+  const boxes = readJxlBoxes(bytes);
+  const { exif, xmp, compressed } = readJxlMetadataBoxes(bytes, boxes);
+  // A compressed box can't be scrubbed selectively, so it goes as a whole when an option reaches into it
+  const droppedTypes = JXL_META_BOXES.filter(type => compressed.includes(type) && JXL_BOX_SCRUB_OPTIONS[type].some(key => options[key]));
+  for (const type of droppedTypes) removed.push(t('removed.compressedBox', { box: type.trim() }));
+  if (!exif && !xmp && droppedTypes.length === 0) return { parts: [bytes], removed };
+
+  const metaBoxes = [];
+  let exifObj = null;
+  if (exif) {
+    try {
+      exifObj = piexif.load(exifPayloadToBinaryString(exif));
+    } catch {
+      // Unreadable EXIF cannot be scrubbed selectively, so it is dropped as a whole
+      removed.push(t('removed.unreadableExif'));
+    }
+  }
+  if (exifObj) {
+    const model = scrubModel(exifToModel(exifObj), options, removed);
+    const scrubbed = applyMetadataToExif(scrubExif(exifObj, options, removed), model);
+    metaBoxes.push(createBox('Exif', binaryStringToExifPayload(piexif.dump(scrubbed))));
+  }
+
+  const packet = xmp && decodeXmp(xmp);
+  const scrubbedXmp = scrubXmpPacket(packet, options, removed);
+  if (scrubbedXmp) metaBoxes.push(createBox('xml ', scrubbedXmp === packet ? xmp : new TextEncoder().encode(scrubbedXmp)));
+
+  return { parts: assembleJxl(bytes, boxes, metaBoxes, droppedTypes), removed };
+}
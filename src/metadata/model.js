@@ -0,0 +1,90 @@
+// --- Metadata Model (shared by PNG / JPG / WebP) ---
+//
+// Every extractor produces the same shape and every injector consumes it,
+// so metadata can move between formats:
+//   positive, negative, settings  - A1111 'parameters' text, split into its parts
+//   prompt, workflow              - ComfyUI API prompt / UI workflow JSON text
+//   xmp                           - raw XMP packet; may hold a copy of the other fields (see xmp.js)
+//   texts                         - other generators' chunks as { keyword: text } (see generators.js)
+
+import { readXmpMetadata } from './xmp.js';
+
+// Same pattern A1111 uses to recognize the "Steps: 20, Sampler: ..." line
+const A1111_SETTING_PATTERN = /\s*(\w[\w \-/]+):\s*("(?:\\.|[^\\"])+"|[^,]*)(?:,|$)/g;
+
+export function emptyMetadata() {
+  return { positive: '', negative: '', settings: '', prompt: null, workflow: null, xmp: null, texts: {} };
+}
+
+// An XMP packet only counts when it holds our namespace; editors leave XMP in almost every file
+export function hasMetadata(model) {
+  return Boolean(formatA1111Parameters(model) || model.prompt || model.workflow || Object.keys(model.texts || {}).length > 0
+    || readXmpMetadata(model.xmp));
+}
+
+// A model from untrusted JSON (library imports, CLI metadata files, older saved entries).
+// Unknown fields are dropped; prompt/workflow may also be given as objects.
+export function normalizeMetadata(value) {
+  const model = emptyMetadata();
+  if (!value || typeof value !== 'object') return model;
+
+  for (const key of ['positive', 'negative', 'settings', 'prompt', 'workflow', 'xmp']) {
+    if (typeof value[key] === 'string') model[key] = value[key];
+    else if ((key === 'prompt' || key === 'workflow') && value[key] && typeof value[key] === 'object') model[key] = JSON.stringify(value[key]);
+  }
+  if (value.texts && typeof value.texts === 'object') {
+    for (const [keyword, text] of Object.entries(value.texts)) {
+      if (typeof text === 'string') model.texts[keyword] = text;
+    }
+  }
+  return model;
+}
+
+export function parseA1111Parameters(text) {
+  const lines = text.trim().split('\n');
+  let settings = '';
+
+  if (lines.length > 0 && (lines[lines.length - 1].match(A1111_SETTING_PATTERN) || []).length >= 3) {
+    settings = lines.pop();
+  }
+
+  const positive = [];
+  const negative = [];
+  let inNegative = false;
+  for (const line of lines) {
+    if (line.startsWith('Negative prompt:')) {
+      inNegative = true;
+      negative.push(line.slice(16).trim());
+    } else {
+      (inNegative ? negative : positive).push(line);
+    }
+  }
+
+  return { positive: positive.join('\n'), negative: negative.join('\n'), settings };
+}
+
+export function formatA1111Parameters(model) {
+  const lines = [];
+  if (model.positive) lines.push(model.positive);
+  if (model.negative) lines.push(`Negative prompt: ${model.negative}`);
+  if (model.settings) lines.push(model.settings);
+  return lines.join('\n');
+}
+
+// "Steps: 20, Sampler: Euler a, Lora hashes: "a: 123, b: 456"" -> [['Steps', '20'], ...]
+// Quoted values keep their quotes so they format back unchanged.
+export function parseA1111Settings(settings) {
+  return Array.from(settings.matchAll(A1111_SETTING_PATTERN), m => [m[1].trim(), m[2].trim()])
+    .filter(([key]) => key);
+}
+
+// Values containing a comma are quoted, the same way A1111 writes them
+export function formatA1111Settings(pairs) {
+  return pairs
+    .filter(([key]) => key.trim())
+    .map(([key, value]) => {
+      const quoted = value.includes(',') && !/^".*"$/.test(value) ? JSON.stringify(value) : value;
+      return `${key.trim()}: ${quoted}`;
+    })
+    .join(', ');
+}
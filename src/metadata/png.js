@@ -0,0 +1,312 @@
+// --- PNG Helpers (Binary Manipulation for Stable Diffusion, ComfyUI and other generators) ---
+
+import { t } from '../i18n/index.js';
+import { concatBytes, crc32, deflate, inflate, readAscii, viewOf, writeString } from './binary.js';
+import { generatorKeywords, metadataTexts, ownedKeywords, textsToModel } from './generators.js';
+import { hasMetadata } from './model.js';
+import { scrubModel, scrubXmpPacket } from './scrub.js';
+import { xmpPacketFor } from './xmp.js';
+
+const PNG_TEXT_CHUNKS = ['tEXt', 'zTXt', 'iTXt'];
+const PNG_XMP_KEYWORD = 'XML:com.adobe.xmp';
+const PNG_COMPRESS_THRESHOLD = 1024; // Only texts at least this long are worth deflating
+
+// tEXt/zTXt are Latin-1 by spec, but many tools (including older versions of this one) wrote UTF-8
+function decodeLatin1Text(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+  } catch {
+    return new TextDecoder('latin1').decode(bytes);
+  }
+}
+
+function isLatin1Text(text) {
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 0 || code > 0xff) return false;
+  }
+  return true;
+}
+
+function encodeLatin1Text(text) {
+  const bytes = new Uint8Array(text.length);
+  for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i);
+  return bytes;
+}
+
+export function isPng(bytes) {
+  if (bytes.length < 8) return false;
+  const view = viewOf(bytes);
+  return view.getUint32(0) === 0x89504e47 && view.getUint32(4) === 0x0d0a1a0a;
+}
+
+// Structural problems in a PNG file. `code` identifies the problem
+// ('signature' | 'truncated' | 'bad-chunk-type' | 'crc-mismatch' | 'missing-ihdr' | 'bad-compressed-text'),
+// `chunkType` and `offset` point at the chunk involved when there is one.
+export class PngFormatError extends Error {
+  constructor(code, message, { chunkType = null, offset = null } = {}) {
+    super(message);
+    this.name = 'PngFormatError';
+    this.code = code;
+    this.chunkType = chunkType;
+    this.offset = offset;
+  }
+}
+
+// Walk the chunk list up to IEND, checking every length against the file size and every CRC.
+// Returns { chunks: [{ type, offset, length }], end }; offset points at the chunk's length field
+// and anything from `end` on is data appended after IEND (archives, stego payloads...).
+export function readPngChunks(bytes) {
+  if (!isPng(bytes)) {
+    throw new PngFormatError('signature', t('error.png.signature'));
+  }
+
+  const view = viewOf(bytes);
+  const chunks = [];
+  let offset = 8;
+
+  while (true) {
+    if (offset + 8 > bytes.length) {
+      throw new PngFormatError('truncated', t('error.png.noIend', { size: bytes.length }), { offset });
+    }
+
+    const length = view.getUint32(offset);
+    const type = readAscii(bytes, offset + 4, 4);
+    if (!/^[A-Za-z]{4}$/.test(type)) {
+      throw new PngFormatError('bad-chunk-type', t('error.png.badChunkType', { offset }), { offset });
+    }
+    if (offset + 12 + length > bytes.length) {
+      throw new PngFormatError('truncated', t('error.png.truncatedChunk', { type, size: bytes.length, end: offset + 12 + length }), { chunkType: type, offset });
+    }
+    if (crc32(bytes.subarray(offset + 4, offset + 8 + length)) !== view.getUint32(offset + 8 + length)) {
+      throw new PngFormatError('crc-mismatch', t('error.png.crcMismatch', { type, offset }), { chunkType: type, offset });
+    }
+    if (chunks.length === 0 && type !== 'IHDR') {
+      throw new PngFormatError('missing-ihdr', t('error.png.missingIhdr', { type }), { chunkType: type, offset });
+    }
+
+    chunks.push({ type, offset, length });
+    offset += 12 + length;
+    if (type === 'IEND') break;
+  }
+
+  return { chunks, end: offset };
+}
+
+function chunkData(bytes, chunk) {
+  return bytes.subarray(chunk.offset + 8, chunk.offset + 8 + chunk.length);
+}
+
+// Helper to create a single chunk: Length(4) + Type(4) + Data + CRC(4)
+export function createPngChunk(type, data) {
+  const chunkBuffer = new Uint8Array(data.length + 12);
+  const view = new DataView(chunkBuffer.buffer);
+
+  view.setUint32(0, data.length);
+  writeString(view, 4, type);
+  chunkBuffer.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunkBuffer.subarray(4, 8 + data.length)));
+
+  return chunkBuffer;
+}
+
+// Helper to create a single text chunk.
+// Latin-1 text goes into tEXt (zTXt when compressed), anything else into UTF-8 iTXt.
+export async function createPngTextChunk(keyword, text, { compress = false } = {}) {
+  const keyData = encodeLatin1Text(keyword);
+  const latin1 = isLatin1Text(text);
+  const shouldCompress = compress && text.length >= PNG_COMPRESS_THRESHOLD;
+
+  let type;
+  let header;
+  let textData;
+  if (latin1) {
+    type = shouldCompress ? 'zTXt' : 'tEXt';
+    // keyword \0 [compression method]
+    header = shouldCompress ? [0, 0] : [0];
+    textData = encodeLatin1Text(text);
+  } else {
+    type = 'iTXt';
+    // keyword \0 compression flag, compression method, language tag \0, translated keyword \0
+    header = [0, shouldCompress ? 1 : 0, 0, 0, 0];
+    textData = new TextEncoder().encode(text);
+  }
+  if (shouldCompress) textData = await deflate(textData);
+
+  return createPngChunk(type, concatBytes([keyData, new Uint8Array(header), textData]));
+}
+
+// Keyword of a tEXt/zTXt/iTXt chunk (always uncompressed, terminated by the first null byte)
+function readPngKeyword(chunkData) {
+  const nullIndex = chunkData.indexOf(0);
+  return nullIndex > -1 ? decodeLatin1Text(chunkData.subarray(0, nullIndex)) : null;
+}
+
+// The text of a zTXt or compressed iTXt chunk; a stream that doesn't inflate is a PngFormatError
+async function inflateText(data, type, offset) {
+  try {
+    return await inflate(data);
+  } catch {
+    throw new PngFormatError('bad-compressed-text', t('error.png.badCompressedText', { type, offset }), { chunkType: type, offset });
+  }
+}
+
+// Decode a tEXt/zTXt/iTXt chunk into { keyword, text }, or null if malformed.
+// `offset` is the chunk's position in the file, for the error when its text doesn't inflate.
+export async function readPngTextChunk(type, chunkData, offset = null) {
+  const nullIndex = chunkData.indexOf(0);
+  if (nullIndex < 0) return null;
+  const keyword = decodeLatin1Text(chunkData.subarray(0, nullIndex));
+  const rest = chunkData.subarray(nullIndex + 1);
+
+  if (type === 'tEXt') {
+    return { keyword, text: decodeLatin1Text(rest) };
+  }
+  if (type === 'zTXt') {
+    // Compression method byte (0 = deflate) precedes the stream
+    return { keyword, text: decodeLatin1Text(await inflateText(rest.subarray(1), type, offset)) };
+  }
+
+  // iTXt: compression flag, compression method, language tag\0, translated keyword\0, text
+  const compressed = rest[0] === 1;
+  const languageEnd = rest.indexOf(0, 2);
+  const translatedEnd = languageEnd > -1 ? rest.indexOf(0, languageEnd + 1) : -1;
+  if (translatedEnd < 0) return null;
+  let textData = rest.subarray(translatedEnd + 1);
+  if (compressed) textData = await inflateText(textData, type, offset);
+  return { keyword, text: new TextDecoder('utf-8').decode(textData) };
+}
+
+// Decode every text chunk some generator detector may own, as { keyword: text }
+async function readPngTexts(bytes, chunks) {
+  const keywords = generatorKeywords();
+  const texts = {};
+
+  for (const chunk of chunks) {
+    if (!PNG_TEXT_CHUNKS.includes(chunk.type)) continue;
+    const data = chunkData(bytes, chunk);
+    if (!keywords.includes(readPngKeyword(data))) continue;
+    const text = await readPngTextChunk(chunk.type, data, chunk.offset);
+    if (text && !(text.keyword in texts)) texts[text.keyword] = text.text;
+  }
+
+  return texts;
+}
+
+// The XMP packet, kept out of readPngTexts since no generator owns it
+async function readPngXmp(bytes, chunks) {
+  for (const chunk of chunks) {
+    if (!PNG_TEXT_CHUNKS.includes(chunk.type)) continue;
+    const data = chunkData(bytes, chunk);
+    if (readPngKeyword(data) === PNG_XMP_KEYWORD) return (await readPngTextChunk(chunk.type, data, chunk.offset))?.text ?? null;
+  }
+  return null;
+}
+
+// XMP is always an uncompressed iTXt chunk (XMP specification part 3)
+function createPngXmpChunk(packet) {
+  const header = new Uint8Array([0, 0, 0, 0, 0]);
+  return createPngChunk('iTXt', concatBytes([encodeLatin1Text(PNG_XMP_KEYWORD), header, new TextEncoder().encode(packet)]));
+}
+
+const isXmpChunk = (type, chunkData) => PNG_TEXT_CHUNKS.includes(type) && readPngKeyword(chunkData) === PNG_XMP_KEYWORD;
+
+async function createPngTextChunks(model, options) {
+  const newChunks = [];
+  for (const [keyword, text] of Object.entries(metadataTexts(model))) {
+    newChunks.push(await createPngTextChunk(keyword, text, options));
+  }
+  return newChunks;
+}
+
+// Drop filter for rebuildPng: text chunks (tEXt, zTXt or iTXt) with one of the keywords
+function textChunkFilter(keywords) {
+  return (type, chunkData) => PNG_TEXT_CHUNKS.includes(type) && keywords.has(readPngKeyword(chunkData));
+}
+
+// Extract every chunk a known generator owns: 'parameters' (A1111, Fooocus, SwarmUI),
+// 'prompt'/'workflow' (ComfyUI), NovelAI, InvokeAI... (see generators.js).
+// trailingBytes reports data appended after IEND, which is never part of the image.
+export async function extractPngMetadata(bytes) {
+  const { chunks, end } = readPngChunks(bytes);
+  const model = textsToModel(await readPngTexts(bytes, chunks));
+  model.xmp = await readPngXmp(bytes, chunks);
+
+  if (!hasMetadata(model)) return null;
+  return end < bytes.length ? { type: 'png', data: model, trailingBytes: bytes.length - end } : { type: 'png', data: model };
+}
+
+// Re-assemble a PNG chunk by chunk, as a list of parts (the kept chunks are subarrays of `bytes`).
+// shouldDrop(type, chunkData) filters the original chunks, newChunks go right after IHDR.
+// Data after IEND is kept unless dropTrailing is set.
+function rebuildPng(bytes, shouldDrop, newChunks, { dropTrailing = false } = {}) {
+  const { chunks, end } = readPngChunks(bytes);
+
+  // Signature first
+  const chunksToKeep = [bytes.subarray(0, 8)];
+
+  for (const chunk of chunks) {
+    if (!shouldDrop(chunk.type, chunkData(bytes, chunk))) {
+      chunksToKeep.push(bytes.subarray(chunk.offset, chunk.offset + 12 + chunk.length));
+    }
+
+    // If this was IHDR, insert our NEW chunks right after it
+    if (chunk.type === 'IHDR') {
+      chunksToKeep.push(...newChunks);
+    }
+  }
+
+  if (!dropTrailing) chunksToKeep.push(bytes.subarray(end));
+
+  return chunksToKeep;
+}
+
+// Inject multiple chunks into PNG (Re-assembly method), returning the parts of the new file
+// This method parses the target file chunk by chunk, removes existing AI metadata
+// (every chunk owned by a generator detected in the target, plus any keyword we are about
+// to write), and inserts the new metadata right after IHDR.
+// options.compress stores long texts (e.g. ComfyUI workflow JSON) deflated in zTXt/iTXt.
+// options.xmp also writes the model into the XMP packet (see xmp.js).
+export async function injectPngMetadata(bytes, model, options = {}) {
+  const newChunks = await createPngTextChunks(model, options);
+  const { chunks } = readPngChunks(bytes);
+  const stale = new Set([...ownedKeywords(await readPngTexts(bytes, chunks)), ...Object.keys(metadataTexts(model))]);
+  const isStale = textChunkFilter(stale);
+
+  const targetXmp = await readPngXmp(bytes, chunks);
+  const xmp = xmpPacketFor(model, targetXmp, options);
+  if (xmp === targetXmp) return rebuildPng(bytes, isStale, newChunks);
+
+  if (xmp) newChunks.push(createPngXmpChunk(xmp));
+  return rebuildPng(bytes, (type, chunkData) => isStale(type, chunkData) || isXmpChunk(type, chunkData), newChunks);
+}
+
+export async function scrubPngMetadata(bytes, options) {
+  const removed = [];
+  const { chunks, end } = readPngChunks(bytes);
+  const texts = await readPngTexts(bytes, chunks);
+  const model = scrubModel(textsToModel(texts), options, removed);
+  const newChunks = await createPngTextChunks(model, {});
+  const isStale = textChunkFilter(new Set(ownedKeywords(texts)));
+
+  const xmp = await readPngXmp(bytes, chunks);
+  const scrubbedXmp = scrubXmpPacket(xmp, options, removed);
+  const replaceXmp = scrubbedXmp !== xmp;
+  if (replaceXmp && scrubbedXmp) newChunks.push(createPngXmpChunk(scrubbedXmp));
+
+  // PNG keeps camera EXIF in a single eXIf chunk, so any EXIF option drops it entirely
+  const dropExif = options.gps || options.camera || options.thumbnail;
+  // Data after IEND is never part of the image, so it always goes
+  if (end < bytes.length) removed.push(t('removed.trailingData', { size: bytes.length - end }));
+
+  const parts = rebuildPng(bytes, (type, chunkData) => {
+    if (isStale(type, chunkData)) return true;
+    if (type === 'eXIf' && dropExif) {
+      removed.push(t('removed.pngExif'));
+      return true;
+    }
+    return replaceXmp && isXmpChunk(type, chunkData);
+  }, newChunks, { dropTrailing: true });
+
+  return { parts, removed };
+}
@@ -0,0 +1,109 @@
+// --- Scrub Helpers (privacy: remove metadata before posting) ---
+//
+// options: { parameters, comfy, paths, loras, gps, camera, thumbnail, xmp } (all booleans).
+// Every scrub function pushes a human readable line per removed item into `removed`.
+
+import { t } from '../i18n/index.js';
+import { describeMetadata } from './generators.js';
+import { formatA1111Parameters } from './model.js';
+import { readXmpMetadata, writeXmpMetadata } from './xmp.js';
+
+export const SCRUB_OPTION_KEYS = ['parameters', 'comfy', 'paths', 'loras', 'gps', 'camera', 'thumbnail', 'xmp'];
+
+const MODEL_FILE_PATTERN = /\.(safetensors|ckpt|pt|pth|bin|gguf)$/i;
+const LOCAL_PATH_PATTERN = /^(?:[a-z]:[\\/]|\\\\|~[\\/]|\/(?:home|users|mnt|media|data|opt|root|tmp|var|workspace|content)\/)/i;
+
+// Strip local paths (keep the basename) and LoRA filenames out of ComfyUI JSON.
+// Returns the original text untouched when nothing matched.
+export function scrubComfyJson(json, options, counts) {
+  let data;
+  try {
+    data = JSON.parse(json);
+  } catch {
+    return json;
+  }
+
+  let changed = false;
+  const walk = (value, inLora) => {
+    if (typeof value === 'string') {
+      if (options.loras && inLora && MODEL_FILE_PATTERN.test(value)) {
+        counts.loras++;
+        changed = true;
+        return '';
+      }
+      if (options.paths && LOCAL_PATH_PATTERN.test(value)) {
+        counts.paths++;
+        changed = true;
+        return value.split(/[\\/]/).pop();
+      }
+      return value;
+    }
+    if (Array.isArray(value)) return value.map(v => walk(v, inLora));
+    if (value && typeof value === 'object') {
+      // API prompt nodes have class_type, UI workflow nodes have type (e.g. "LoraLoader")
+      const lora = inLora || /lora/i.test(String(value.class_type || value.type || ''));
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, walk(v, lora)]));
+    }
+    return value;
+  };
+
+  const result = walk(data, false);
+  return changed ? JSON.stringify(result) : json;
+}
+
+// Apply the AI-related options to the model, recording what went into `removed`
+export function scrubModel(model, options, removed) {
+  const next = { ...model };
+
+  if (options.parameters && formatA1111Parameters(model)) {
+    Object.assign(next, { positive: '', negative: '', settings: '' });
+    removed.push('A1111 parameters');
+  }
+
+  // NovelAI, InvokeAI, Fooocus, SwarmUI... chunks count as their prompt/settings too
+  const textKeywords = Object.keys(model.texts || {});
+  if (options.parameters && textKeywords.length > 0) {
+    removed.push(t('removed.generatorTexts', { generator: describeMetadata(model), keywords: textKeywords.join(', ') }));
+    next.texts = {};
+  }
+
+  if (options.comfy) {
+    if (model.prompt) removed.push('ComfyUI prompt');
+    if (model.workflow) removed.push('ComfyUI workflow');
+    next.prompt = null;
+    next.workflow = null;
+  } else if (options.paths || options.loras) {
+    const counts = { paths: 0, loras: 0 };
+    if (next.prompt) next.prompt = scrubComfyJson(next.prompt, options, counts);
+    if (next.workflow) next.workflow = scrubComfyJson(next.workflow, options, counts);
+    if (counts.paths) removed.push(t('removed.paths', { count: counts.paths }));
+    if (counts.loras) removed.push(t('removed.loras', { count: counts.loras }));
+  }
+
+  if (options.xmp && model.xmp) {
+    removed.push('XMP');
+    next.xmp = null;
+  }
+
+  return next;
+}
+
+// The XMP copy of the model (see xmp.js) is scrubbed like the fields it mirrors; the xmp
+// option drops the whole packet. Returns the packet to write (the same one when nothing
+// changed), or null for none.
+export function scrubXmpPacket(packet, options, removed) {
+  if (!packet) return null;
+  if (options.xmp) {
+    removed.push('XMP');
+    return null;
+  }
+
+  const copy = readXmpMetadata(packet);
+  if (!copy) return packet;
+  const copyRemoved = [];
+  const scrubbed = scrubModel(copy, options, copyRemoved);
+  for (const line of copyRemoved) {
+    if (!removed.includes(line)) removed.push(line);
+  }
+  return copyRemoved.length > 0 ? writeXmpMetadata(packet, scrubbed) : packet;
+}
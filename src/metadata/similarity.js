@@ -0,0 +1,93 @@
+// --- Image similarity (perceptual hashes, to check that a target derives from its source) ---
+//
+// Works on RGBA pixel data like stealth.js; the caller downscales the image first (a ~96px
+// canvas in the browser), which also makes upscales and re-encodes look the same.
+// A fingerprint is a list of 256-bit dHashes as hex strings: the whole image first, then
+// crops at 85% and 70% of each side in a 3x3 grid of positions. Comparing one image's whole
+// hash with the other's crops tolerates the target being cropped (or outpainted) as well.
+// Inpainting changes a few bits locally, which the thresholds allow for.
+
+const HASH_WIDTH = 17; // 17 columns of luma give 16 left/right differences per row
+const HASH_HEIGHT = 16;
+const CROP_SCALES = [0.85, 0.7];
+const CROP_POSITIONS = [0, 0.5, 1];
+
+// Scores at or above `same` look like the same picture, below `related` like a different one
+export const SIMILARITY_THRESHOLDS = { same: 0.9, related: 0.8 };
+
+// Mean luma of HASH_WIDTH x HASH_HEIGHT cells over the crop (x, y, w, h)
+function cellLuma(pixels, width, x, y, w, h) {
+  const sums = new Float64Array(HASH_WIDTH * HASH_HEIGHT);
+  const counts = new Uint32Array(HASH_WIDTH * HASH_HEIGHT);
+
+  for (let py = y; py < y + h; py++) {
+    const row = Math.min(HASH_HEIGHT - 1, Math.floor(((py - y) * HASH_HEIGHT) / h));
+    for (let px = x; px < x + w; px++) {
+      const cell = row * HASH_WIDTH + Math.min(HASH_WIDTH - 1, Math.floor(((px - x) * HASH_WIDTH) / w));
+      const offset = (py * width + px) * 4;
+      sums[cell] += 0.299 * pixels[offset] + 0.587 * pixels[offset + 1] + 0.114 * pixels[offset + 2];
+      counts[cell]++;
+    }
+  }
+
+  return sums.map((sum, i) => (counts[i] ? sum / counts[i] : 0));
+}
+
+// dHash: one bit per cell, set when it is darker than its right neighbour
+function dHash(pixels, width, x, y, w, h) {
+  const luma = cellLuma(pixels, width, x, y, w, h);
+  let hex = '';
+  let nibble = 0;
+  let bits = 0;
+  for (let row = 0; row < HASH_HEIGHT; row++) {
+    for (let col = 0; col < HASH_WIDTH - 1; col++) {
+      const i = row * HASH_WIDTH + col;
+      nibble = (nibble << 1) | (luma[i] < luma[i + 1] ? 1 : 0);
+      if (++bits % 4 === 0) {
+        hex += nibble.toString(16);
+        nibble = 0;
+      }
+    }
+  }
+  return hex;
+}
+
+export function imageFingerprint(pixels, width, height) {
+  const hashes = [dHash(pixels, width, 0, 0, width, height)];
+  for (const scale of CROP_SCALES) {
+    const w = Math.max(HASH_WIDTH, Math.round(width * scale));
+    const h = Math.max(HASH_HEIGHT, Math.round(height * scale));
+    for (const fy of CROP_POSITIONS) {
+      for (const fx of CROP_POSITIONS) {
+        hashes.push(dHash(pixels, width, Math.round((width - w) * fx), Math.round((height - h) * fy), w, h));
+      }
+    }
+  }
+  return hashes;
+}
+
+// Share of equal bits between two hex hashes, 0..1
+function hashSimilarity(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let bits = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    for (; bits; bits &= bits - 1) distance++;
+  }
+  return 1 - distance / (a.length * 4);
+}
+
+// Similarity score 0..1 of two fingerprints; null when either is missing
+export function compareFingerprints(a, b) {
+  if (!a?.length || !b?.length) return null;
+  let best = 0;
+  for (const hash of b) best = Math.max(best, hashSimilarity(a[0], hash));
+  for (const hash of a) best = Math.max(best, hashSimilarity(b[0], hash));
+  return best;
+}
+
+// 'same' | 'related' | 'unrelated' for a compareFingerprints() score
+export function similarityVerdict(score) {
+  if (score >= SIMILARITY_THRESHOLDS.same) return 'same';
+  if (score >= SIMILARITY_THRESHOLDS.related) return 'related';
+  return 'unrelated';
+}
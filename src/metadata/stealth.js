@@ -0,0 +1,106 @@
+// --- Stealth metadata (NovelAI / "stealth_pnginfo": data hidden in pixel LSBs) ---
+//
+// Works on RGBA pixel data (ImageData.data); turning an image into pixels is up to the caller
+// (a canvas in the browser). Bits run column by column (x outer, y inner), most significant first:
+//   signature (15 ASCII chars) + data length in bits (32-bit) + data
+// 'stealth_pnginfo' / 'stealth_pngcomp' use the alpha LSB, 'stealth_rgbinfo' / 'stealth_rgbcomp'
+// the R, G and B LSBs; the '...comp' variants are gzipped. The text is A1111 parameters, or
+// NovelAI-style JSON of PNG text chunks ({ "Comment": ..., "Software": ... }).
+
+import { t } from '../i18n/index.js';
+import { gunzip, gzip } from './binary.js';
+import { metadataTexts, textsToModel } from './generators.js';
+import { hasMetadata } from './model.js';
+
+const STEALTH_MODES = [
+  { channels: [3], plain: 'stealth_pnginfo', compressed: 'stealth_pngcomp' },
+  { channels: [0, 1, 2], plain: 'stealth_rgbinfo', compressed: 'stealth_rgbcomp' },
+];
+const SIGNATURE_BITS = 15 * 8;
+const HEADER_BITS = SIGNATURE_BITS + 32;
+
+// Byte offset in `pixels` of the bit-th hidden bit
+function bitOffset(bit, channels, width, height) {
+  const pixel = Math.floor(bit / channels.length);
+  const x = Math.floor(pixel / height);
+  const y = pixel % height;
+  return (y * width + x) * 4 + channels[bit % channels.length];
+}
+
+function readBytes(pixels, width, height, channels, startBit, byteCount) {
+  const bytes = new Uint8Array(byteCount);
+  for (let i = 0; i < byteCount * 8; i++) {
+    const bit = pixels[bitOffset(startBit + i, channels, width, height)] & 1;
+    bytes[i >> 3] |= bit << (7 - (i & 7));
+  }
+  return bytes;
+}
+
+function stealthTextToModel(text) {
+  let json = null;
+  try {
+    json = JSON.parse(text);
+  } catch {
+    // Plain A1111 parameters
+  }
+
+  if (json && typeof json === 'object' && !Array.isArray(json)) {
+    const texts = Object.fromEntries(Object.entries(json).map(([key, value]) => [key, typeof value === 'string' ? value : JSON.stringify(value)]));
+    const model = textsToModel(texts);
+    if (hasMetadata(model)) return model;
+  }
+  return textsToModel({ parameters: text });
+}
+
+// Returns the model hidden in the pixels, or null when there is no stealth signature
+export async function readStealthMetadata(pixels, width, height) {
+  for (const { channels, plain, compressed } of STEALTH_MODES) {
+    const capacity = width * height * channels.length;
+    if (capacity < HEADER_BITS) continue;
+
+    const signature = String.fromCharCode(...readBytes(pixels, width, height, channels, 0, 15));
+    if (signature !== plain && signature !== compressed) continue;
+
+    const header = readBytes(pixels, width, height, channels, SIGNATURE_BITS, 4);
+    const length = new DataView(header.buffer).getUint32(0);
+    if (length === 0 || length % 8 !== 0 || HEADER_BITS + length > capacity) {
+      throw new Error(t('error.stealth.corrupt', { signature, length }));
+    }
+
+    let data = readBytes(pixels, width, height, channels, HEADER_BITS, length / 8);
+    if (signature === compressed) data = await gunzip(data);
+    const model = stealthTextToModel(new TextDecoder('utf-8').decode(data));
+    return hasMetadata(model) ? model : null;
+  }
+  return null;
+}
+
+// A1111 parameters alone are written as-is, anything else as NovelAI-style JSON
+function modelToStealthText(model) {
+  const texts = metadataTexts(model);
+  const keywords = Object.keys(texts);
+  return keywords.length === 1 && keywords[0] === 'parameters' ? texts.parameters : JSON.stringify(texts);
+}
+
+// Returns a copy of `pixels` with the model gzipped into the alpha LSBs ('stealth_pngcomp').
+// Pixels past the end of the data are left untouched.
+export async function embedStealthMetadata(pixels, width, height, model) {
+  const data = await gzip(new TextEncoder().encode(modelToStealthText(model)));
+  const payload = new Uint8Array(15 + 4 + data.length);
+  for (let i = 0; i < 15; i++) payload[i] = 'stealth_pngcomp'.charCodeAt(i);
+  new DataView(payload.buffer).setUint32(15, data.length * 8);
+  payload.set(data, 19);
+
+  const bits = payload.length * 8;
+  if (bits > width * height) {
+    throw new Error(t('error.stealth.tooSmall', { bits, pixels: width * height }));
+  }
+
+  const output = new Uint8ClampedArray(pixels);
+  for (let i = 0; i < bits; i++) {
+    const bit = (payload[i >> 3] >> (7 - (i & 7))) & 1;
+    const offset = bitOffset(i, [3], width, height);
+    output[offset] = (output[offset] & 0xfe) | bit;
+  }
+  return output;
+}
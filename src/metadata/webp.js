@@ -0,0 +1,244 @@
+// --- WebP Helpers (RIFF container: EXIF / XMP chunks) ---
+
+import piexif from 'piexifjs';
+import { t } from '../i18n/index.js';
+import { binaryStringToBytes, bytesToBinaryString, readAscii, viewOf, writeString } from './binary.js';
+import { applyMetadataToExif, emptyExif, exifToModel, scrubExif } from './exif.js';
+import { emptyMetadata, hasMetadata } from './model.js';
+import { scrubModel, scrubXmpPacket } from './scrub.js';
+import { xmpPacketFor } from './xmp.js';
+
+const WEBP_META_CHUNKS = ['EXIF', 'XMP '];
+const VP8X_FLAG_ALPHA = 0x10;
+const VP8X_FLAG_EXIF = 0x08;
+const VP8X_FLAG_XMP = 0x04;
+
+export function isWebp(bytes) {
+  return bytes.length >= 12 && readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP';
+}
+
+// Walk the RIFF chunk list. Returns { type, offset, length } for each chunk;
+// offset points at the chunk header, payloads are padded to an even size.
+export function readWebpChunks(bytes) {
+  const view = viewOf(bytes);
+
+  if (!isWebp(bytes)) {
+    throw new Error(t('error.webp.invalid'));
+  }
+
+  const end = Math.min(bytes.length, 8 + view.getUint32(4, true));
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= end) {
+    const type = readAscii(bytes, offset, 4);
+    const length = view.getUint32(offset + 4, true);
+    if (offset + 8 + length > end) break; // Truncated chunk
+    chunks.push({ type, offset, length });
+    offset += 8 + length + (length & 1);
+  }
+
+  return chunks;
+}
+
+function createWebpChunk(type, data) {
+  const padded = data.length + (data.length & 1);
+  const chunkBuffer = new Uint8Array(8 + padded);
+  const view = new DataView(chunkBuffer.buffer);
+
+  writeString(view, 0, type);
+  view.setUint32(4, data.length, true);
+  chunkBuffer.set(data, 8);
+
+  return chunkBuffer;
+}
+
+// Build a VP8X payload for a simple (VP8 / VP8L) file so it can carry metadata.
+// Canvas size and alpha come from the bitstream header.
+function createVp8xFromBitstream(bytes, chunks) {
+  let width = 0;
+  let height = 0;
+  let flags = 0;
+
+  const image = chunks.find(c => c.type === 'VP8 ' || c.type === 'VP8L');
+  if (!image) throw new Error(t('error.webp.noImage'));
+
+  const data = bytes.subarray(image.offset + 8, image.offset + 8 + image.length);
+  const view = viewOf(data);
+
+  if (image.type === 'VP8 ') {
+    // Frame tag(3) + start code 9d 01 2a + 14-bit width/height
+    if (data[3] !== 0x9d || data[4] !== 0x01 || data[5] !== 0x2a) {
+      throw new Error(t('error.webp.badVp8'));
+    }
+    width = view.getUint16(6, true) & 0x3fff;
+    height = view.getUint16(8, true) & 0x3fff;
+  } else {
+    // Signature 0x2f + 14-bit (width - 1), 14-bit (height - 1), alpha bit
+    if (data[0] !== 0x2f) throw new Error(t('error.webp.badVp8l'));
+    const bits = view.getUint32(1, true);
+    width = (bits & 0x3fff) + 1;
+    height = ((bits >>> 14) & 0x3fff) + 1;
+    if ((bits >>> 28) & 1) flags |= VP8X_FLAG_ALPHA;
+  }
+
+  const header = new Uint8Array(10);
+  header[0] = flags;
+  header[4] = (width - 1) & 0xff;
+  header[5] = ((width - 1) >> 8) & 0xff;
+  header[6] = ((width - 1) >> 16) & 0xff;
+  header[7] = (height - 1) & 0xff;
+  header[8] = ((height - 1) >> 8) & 0xff;
+  header[9] = ((height - 1) >> 16) & 0xff;
+  return header;
+}
+
+// Payload of the 'EXIF' chunk as a piexif-loadable "Exif\0\0" + TIFF binary string.
+// Some writers already include the Exif header, most start directly with the TIFF header.
+function webpExifToBinaryString(bytes) {
+  const str = bytesToBinaryString(bytes);
+  return str.startsWith("Exif\x00\x00") ? str : "Exif\x00\x00" + str;
+}
+
+function chunkData(bytes, chunk) {
+  return bytes.subarray(chunk.offset + 8, chunk.offset + 8 + chunk.length);
+}
+
+function decodeXmp(data) {
+  return new TextDecoder('utf-8').decode(data);
+}
+
+// Extract the 'EXIF' (A1111 UserComment, ComfyUI prompt/workflow tags) and 'XMP ' chunks
+export async function extractWebpMetadata(bytes, warnings = []) {
+  let model = emptyMetadata();
+  let xmp = null;
+
+  for (const chunk of readWebpChunks(bytes)) {
+    const data = chunkData(bytes, chunk);
+    if (chunk.type === 'EXIF') {
+      try {
+        model = exifToModel(piexif.load(webpExifToBinaryString(data)));
+      } catch {
+        warnings.push(t('warning.exifSkipped', { format: 'WebP' }));
+      }
+    } else if (chunk.type === 'XMP ') {
+      xmp = decodeXmp(data);
+    }
+  }
+  model.xmp = xmp;
+
+  return hasMetadata(model) ? { type: 'webp', data: model } : null;
+}
+
+// Inject metadata into WebP (Re-assembly method), returning the parts of the new file
+// The target's EXIF is merged with the model and re-written, the VP8X flags are updated
+// (simple VP8/VP8L files are promoted to VP8X), and the new chunks go after the image data.
+// The XMP chunk is the target's own packet, with our namespace added or removed (see xmpPacketFor).
+export async function injectWebpMetadata(bytes, model, options = {}, warnings = []) {
+  const chunks = readWebpChunks(bytes);
+
+  let baseExif = null;
+  let targetXmp = null;
+  let targetXmpBytes = null;
+  for (const chunk of chunks) {
+    const data = chunkData(bytes, chunk);
+    if (chunk.type === 'EXIF') {
+      try {
+        baseExif = piexif.load(webpExifToBinaryString(data));
+      } catch {
+        warnings.push(t('warning.exifRewritten', { format: 'WebP' }));
+      }
+    } else if (chunk.type === 'XMP ') {
+      targetXmp = decodeXmp(data);
+      targetXmpBytes = data;
+    }
+  }
+
+  // piexif.dump() returns "Exif\0\0" + TIFF; the WebP chunk holds only the TIFF part
+  const exifStr = piexif.dump(applyMetadataToExif(baseExif || emptyExif(), model));
+  const newMetadataChunks = [{ type: 'EXIF', bytes: binaryStringToBytes(exifStr.slice(6)) }];
+  const xmp = xmpPacketFor(model, targetXmp, options);
+  if (xmp) newMetadataChunks.push({ type: 'XMP ', bytes: xmp === targetXmp ? targetXmpBytes : new TextEncoder().encode(xmp) });
+
+  return assembleWebp(bytes, chunks, newMetadataChunks);
+}
+
+// Re-assemble a WebP with the given EXIF/XMP chunks replacing the original ones.
+// The image chunks are kept as subarrays of `bytes`.
+function assembleWebp(bytes, chunks, newMetadataChunks) {
+  const chunksToKeep = [];
+  let vp8x = null;
+
+  for (const chunk of chunks) {
+    if (WEBP_META_CHUNKS.includes(chunk.type)) continue;
+    if (chunk.type === 'VP8X') {
+      vp8x = chunkData(bytes, chunk).slice();
+      continue;
+    }
+    const fullChunkSize = 8 + chunk.length + (chunk.length & 1);
+    chunksToKeep.push(bytes.subarray(chunk.offset, chunk.offset + fullChunkSize));
+  }
+
+  if (!vp8x && newMetadataChunks.length > 0) {
+    vp8x = createVp8xFromBitstream(bytes, chunks);
+  }
+
+  if (vp8x) {
+    vp8x[0] &= ~(VP8X_FLAG_EXIF | VP8X_FLAG_XMP);
+    for (const meta of newMetadataChunks) {
+      if (meta.type === 'EXIF') vp8x[0] |= VP8X_FLAG_EXIF;
+      if (meta.type === 'XMP ') vp8x[0] |= VP8X_FLAG_XMP;
+    }
+    chunksToKeep.unshift(createWebpChunk('VP8X', vp8x));
+  }
+
+  // EXIF and XMP belong after the image data
+  for (const meta of newMetadataChunks) {
+    chunksToKeep.push(createWebpChunk(meta.type, meta.bytes));
+  }
+
+  // Assemble final buffer with a fresh RIFF header
+  const header = new Uint8Array(12);
+  const view = new DataView(header.buffer);
+  const bodySize = chunksToKeep.reduce((acc, chunk) => acc + chunk.length, 0);
+  writeString(view, 0, "RIFF");
+  view.setUint32(4, 4 + bodySize, true);
+  writeString(view, 8, "WEBP");
+
+  return [header, ...chunksToKeep];
+}
+
+export async function scrubWebpMetadata(bytes, options) {
+  const removed = [];
+  const chunks = readWebpChunks(bytes);
+
+  let exifObj = null;
+  let xmp = null;
+  for (const chunk of chunks) {
+    const data = chunkData(bytes, chunk);
+    if (chunk.type === 'EXIF') {
+      try {
+        exifObj = piexif.load(webpExifToBinaryString(data));
+      } catch {
+        // Unreadable EXIF cannot be scrubbed selectively, so it is dropped as a whole
+        removed.push(t('removed.unreadableExif'));
+      }
+    } else if (chunk.type === 'XMP ') {
+      xmp = data;
+    }
+  }
+
+  const model = scrubModel(exifObj ? exifToModel(exifObj) : emptyMetadata(), options, removed);
+  const packet = xmp && decodeXmp(xmp);
+  const scrubbedXmp = scrubXmpPacket(packet, options, removed);
+  if (scrubbedXmp !== packet) xmp = scrubbedXmp && new TextEncoder().encode(scrubbedXmp);
+
+  const newMetadataChunks = [];
+  if (exifObj) {
+    const exif = applyMetadataToExif(scrubExif(exifObj, options, removed), model);
+    newMetadataChunks.push({ type: 'EXIF', bytes: binaryStringToBytes(piexif.dump(exif).slice(6)) });
+  }
+  if (xmp) newMetadataChunks.push({ type: 'XMP ', bytes: xmp });
+
+  return { parts: assembleWebp(bytes, chunks, newMetadataChunks), removed };
+}
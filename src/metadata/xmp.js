@@ -0,0 +1,151 @@
+// --- XMP Helpers (packet parse / write, shared by PNG / JPG / WebP) ---
+//
+// Photoshop and Lightroom drop PNG text chunks and often rewrite EXIF, but carry XMP through
+// an edit. With the XMP copy option, injectors also store the model in this namespace, and
+// readMetadata() recovers it from there when the other metadata is gone:
+//
+//   namespace       http://ns.exif-exists/ai/1.0/  (prefix exifexists)
+//   Generator       detected generator label (A1111, ComfyUI, NovelAI ...), informational only
+//   Prompt          A1111 positive prompt
+//   NegativePrompt  A1111 negative prompt
+//   Settings        A1111 "Steps: 20, Sampler: ..." line
+//   ComfyPrompt     ComfyUI API prompt JSON
+//   ComfyWorkflow   ComfyUI UI workflow JSON
+//   Texts           other generator chunks as a JSON object { keyword: text } (see generators.js)
+//
+// Every property is a simple text value. XMP toolkits rewrite packets freely, so readers
+// accept any prefix bound to the namespace, in element or attribute form.
+// Where the packet lives: PNG iTXt 'XML:com.adobe.xmp', JPEG APP1 'http://ns.adobe.com/xap/1.0/',
+// WebP 'XMP ' chunk.
+
+import { describeMetadata } from './generators.js';
+import { emptyMetadata, hasMetadata } from './model.js';
+
+export const XMP_NAMESPACE = 'http://ns.exif-exists/ai/1.0/';
+const XMP_PREFIX = 'exifexists';
+
+// XMP property -> model field
+const XMP_FIELDS = {
+  Prompt: 'positive',
+  NegativePrompt: 'negative',
+  Settings: 'settings',
+  ComfyPrompt: 'prompt',
+  ComfyWorkflow: 'workflow',
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function escapeXml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+function unescapeXml(text) {
+  return text.replace(/&(?:#x([0-9a-f]+)|#(\d+)|(\w+));/gi, (entity, hex, dec, name) => {
+    if (hex) return String.fromCodePoint(parseInt(hex, 16));
+    if (dec) return String.fromCodePoint(parseInt(dec, 10));
+    return XML_ENTITIES[name] ?? entity;
+  });
+}
+
+// Prefixes bound to our namespace (usually just 'exifexists')
+function namespacePrefixes(packet) {
+  return [...packet.matchAll(/xmlns:([\w.-]+)\s*=\s*(["'])(.*?)\2/g)]
+    .filter(match => match[3] === XMP_NAMESPACE)
+    .map(match => match[1].replace(/\./g, '\\.'));
+}
+
+function readProperty(packet, prefix, name) {
+  const element = new RegExp(`<${prefix}:${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${prefix}:${name}>`).exec(packet);
+  if (element) return unescapeXml(element[1]);
+  const attribute = new RegExp(`\\s${prefix}:${name}\\s*=\\s*(["'])([\\s\\S]*?)\\1`).exec(packet);
+  return attribute ? unescapeXml(attribute[2]) : null;
+}
+
+// The model stored in our namespace, or null when the packet has none of it
+export function readXmpMetadata(packet) {
+  if (!packet) return null;
+  const model = emptyMetadata();
+
+  for (const prefix of namespacePrefixes(packet)) {
+    for (const [name, field] of Object.entries(XMP_FIELDS)) {
+      const value = readProperty(packet, prefix, name);
+      if (value) model[field] = value;
+    }
+    try {
+      const texts = JSON.parse(readProperty(packet, prefix, 'Texts') || '{}');
+      for (const [keyword, text] of Object.entries(texts)) {
+        if (typeof text === 'string') model.texts[keyword] = text;
+      }
+    } catch {
+      // A broken Texts value loses only the generator chunks
+    }
+  }
+
+  return hasMetadata(model) ? model : null;
+}
+
+// The packet without our namespace. Returns null when nothing else was in it,
+// and the packet untouched when our namespace was never there.
+export function stripXmpMetadata(packet) {
+  if (!packet) return null;
+  const prefixes = namespacePrefixes(packet);
+  if (prefixes.length === 0) return packet;
+
+  let result = packet;
+  for (const prefix of prefixes) {
+    result = result
+      .replace(new RegExp(`\\s*<${prefix}:([\\w.-]+)(?:\\s[^>]*)?>[\\s\\S]*?</${prefix}:\\1>`, 'g'), '')
+      .replace(new RegExp(`\\s*<${prefix}:[\\w.-]+[^>]*/>`, 'g'), '')
+      .replace(new RegExp(`\\s${prefix}:[\\w.-]+\\s*=\\s*(["'])[\\s\\S]*?\\1`, 'g'), '')
+      .replace(new RegExp(`\\sxmlns:${prefix}\\s*=\\s*(["'])[^"']*\\1`, 'g'), '');
+  }
+  // Descriptions that held nothing but our properties
+  result = result.replace(/\s*<rdf:Description\s+rdf:about=(["'])[^"']*\1\s*(?:\/>|>\s*<\/rdf:Description>)/g, '');
+
+  return /<rdf:Description/.test(result) ? result : null;
+}
+
+function createXmpDescription(model) {
+  const properties = [['Generator', describeMetadata(model)]];
+  for (const [name, field] of Object.entries(XMP_FIELDS)) properties.push([name, model[field]]);
+  if (Object.keys(model.texts || {}).length > 0) properties.push(['Texts', JSON.stringify(model.texts)]);
+
+  const lines = properties
+    .filter(([, value]) => value)
+    .map(([name, value]) => `   <${XMP_PREFIX}:${name}>${escapeXml(value)}</${XMP_PREFIX}:${name}>`);
+  return `  <rdf:Description rdf:about="" xmlns:${XMP_PREFIX}="${XMP_NAMESPACE}">\n${lines.join('\n')}\n  </rdf:Description>\n`;
+}
+
+// `packet` (or a new one) with our namespace rewritten from the model; other namespaces stay
+export function writeXmpMetadata(packet, model) {
+  const base = stripXmpMetadata(packet);
+  if (!hasMetadata({ ...model, xmp: null })) return base;
+
+  const description = createXmpDescription(model);
+  if (base && /<\/rdf:RDF>/.test(base)) return base.replace(/<\/rdf:RDF>/, `${description} </rdf:RDF>`);
+
+  return [
+    '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    ' <rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    `${description} </rdf:RDF>`,
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>',
+  ].join('\n');
+}
+
+// The packet an injector writes: the target's own packet (its edits, rights and history stay),
+// with our namespace rewritten from the model when options.xmp is set and removed otherwise.
+// The source's packet is never carried over. Returns targetPacket itself when nothing changes,
+// null when there is no packet to write.
+export function xmpPacketFor(model, targetPacket, options = {}) {
+  return options.xmp ? writeXmpMetadata(targetPacket, model) : stripXmpMetadata(targetPacket);
+}
+
+// For a model whose other metadata is gone, the same model filled from the XMP copy in
+// model.xmp; null when there is nothing to recover
+export function recoverFromXmp(model) {
+  if (!model.xmp || hasMetadata({ ...model, xmp: null })) return null;
+  const copy = readXmpMetadata(model.xmp);
+  return copy ? { ...copy, xmp: model.xmp } : null;
+}
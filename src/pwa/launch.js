@@ -0,0 +1,51 @@
+// --- Installed app: service worker registration and files handed to the app ---
+//
+// Images reach the app from outside two ways: the Web Share Target (the service worker parks
+// them in a cache and opens /?share-target, see serviceWorker.js) and file_handlers ("Open
+// with" on the desktop), which deliver file handles through window.launchQueue.
+
+// Same names as in serviceWorker.js
+const SHARED_FILES_CACHE = 'exif-exists-shared-files';
+const SHARE_TARGET_PARAM = 'share-target';
+
+// The dev server has no /sw.js; registration failing only costs offline use
+export function registerServiceWorker() {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch(err => console.warn("Could not register the service worker.", err));
+  });
+}
+
+// Files shared to the app, in the order they were shared; [] when this page load was not a
+// share. They are taken out of the cache, so a reload does not process them again.
+async function takeSharedFiles() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has(SHARE_TARGET_PARAM)) return [];
+  params.delete(SHARE_TARGET_PARAM);
+  window.history.replaceState(null, '', `${window.location.pathname}${params.size ? `?${params}` : ''}`);
+  if (!('caches' in window)) return [];
+
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  const files = [];
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request);
+    const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared');
+    files.push(new File([await response.blob()], name, { type: response.headers.get('Content-Type') || '' }));
+    await cache.delete(request);
+  }
+  return files;
+}
+
+// Calls onFiles(files) for a share that opened this page and for every "Open with" launch.
+// Call it once; onFiles should look up the current state itself, since later launches reuse it.
+export function consumeLaunchFiles(onFiles) {
+  takeSharedFiles().then(
+    files => files.length > 0 && onFiles(files),
+    err => console.warn("Could not read the shared files.", err),
+  );
+
+  window.launchQueue?.setConsumer(async ({ files = [] }) => {
+    if (files.length === 0) return;
+    onFiles(await Promise.all(files.map(handle => handle.getFile())));
+  });
+}
@@ -0,0 +1,59 @@
+// --- Service worker: offline app shell and the Web Share Target ---
+//
+// Built into /sw.js by the service worker plugin in vite.config.js, which fills in the
+// __PRECACHE_MANIFEST placeholder with { version, files } for the build. Everything the page
+// needs is cached at install, so once installed the app works without the network.
+
+const { version, files } = self.__PRECACHE_MANIFEST;
+const CACHE_NAME = `exif-exists-${version}`;
+// Shared with pwa/launch.js, which takes the files out again
+const SHARED_FILES_CACHE = 'exif-exists-shared-files';
+const SHARE_TARGET_PATH = '/share-target';
+const SHARE_TARGET_PARAM = 'share-target';
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(files)).then(() => self.skipWaiting()));
+});
+
+// Caches of older builds are dropped
+self.addEventListener('activate', (event) => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME && key !== SHARED_FILES_CACHE).map(key => caches.delete(key))))
+    .then(() => self.clients.claim()));
+});
+
+// "Share → EXIF 있음" posts the images here. They are parked in a cache and the page is
+// opened with ?share-target, where pwa/launch.js picks them up.
+async function receiveShare(request) {
+  const data = await request.formData();
+  const cache = await caches.open(SHARED_FILES_CACHE);
+  for (const key of await cache.keys()) await cache.delete(key); // Left over from a share the page never opened
+
+  const shared = data.getAll('images').filter(file => file instanceof File);
+  for (const [index, file] of shared.entries()) {
+    const headers = { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) };
+    await cache.put(`/shared-files/${index}`, new Response(file, { headers }));
+  }
+  return Response.redirect(new URL(`/?${SHARE_TARGET_PARAM}`, location.origin).href, 303);
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (url.origin !== location.origin) return;
+
+  if (request.method === 'POST' && url.pathname === SHARE_TARGET_PATH) {
+    event.respondWith(receiveShare(request));
+    return;
+  }
+  if (request.method !== 'GET') return;
+
+  // Pages: network first so a new deploy shows up, the cached shell offline (any path is the app, as on Netlify)
+  if (request.mode === 'navigate') {
+    event.respondWith(fetch(request).catch(() => caches.match('/index.html', { cacheName: CACHE_NAME })));
+    return;
+  }
+
+  // Built assets have hashed names and never change
+  event.respondWith(caches.match(request, { cacheName: CACHE_NAME }).then(cached => cached || fetch(request)));
+});
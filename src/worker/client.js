@@ -0,0 +1,69 @@
+// --- Metadata worker client ---
+//
+// Promise wrappers around metadataWorker.js. One worker is started on first use and
+// handles requests in order; onProgress receives { stage: 'read' | 'parse' | 'write',
+// loaded?, total? } while a request runs. Rejections carry the worker's error message
+// (and `code`, e.g. for PngFormatError), in the page's current locale.
+
+import { getLocale, t } from '../i18n/index.js';
+
+let worker = null;
+let nextId = 0;
+const pending = new Map();
+
+function rejectAll(error) {
+  for (const { reject } of pending.values()) reject(error);
+  pending.clear();
+}
+
+function getWorker() {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./metadataWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const request = pending.get(data.id);
+    if (!request) return;
+
+    if (data.progress) {
+      request.onProgress?.(data.progress);
+    } else if (data.error) {
+      pending.delete(data.id);
+      request.reject(Object.assign(new Error(data.error.message), data.error));
+    } else {
+      pending.delete(data.id);
+      request.resolve(data.result);
+    }
+  };
+  // A crashed worker (e.g. out of memory) fails everything in flight; the next request starts a new one
+  worker.onerror = (event) => {
+    event.preventDefault();
+    worker.terminate();
+    worker = null;
+    rejectAll(new Error(event.message || t('error.worker.crashed')));
+  };
+
+  return worker;
+}
+
+function run(action, args, onProgress) {
+  return new Promise((resolve, reject) => {
+    const id = ++nextId;
+    pending.set(id, { resolve, reject, onProgress });
+    getWorker().postMessage({ id, action, locale: getLocale(), ...args });
+  });
+}
+
+// Resolves with { result, format }: result as readMetadata() returns it
+export function readFileMetadata(file, onProgress) {
+  return run('read', { file }, onProgress);
+}
+
+// Resolves with { blob, warnings, format }; options as for writeMetadataParts()
+export function writeFileMetadata(file, model, options, onProgress) {
+  return run('write', { file, model, options }, onProgress);
+}
+
+// Resolves with { blob, removed, format }
+export function scrubFileMetadata(file, options, onProgress) {
+  return run('scrub', { file, options }, onProgress);
+}
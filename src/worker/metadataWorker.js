@@ -0,0 +1,82 @@
+// --- Metadata worker (parsing and writing off the main thread) ---
+//
+// Messages in:  { id, action: 'read' | 'write' | 'scrub', locale, file, model?, options? }
+// Messages out: { id, progress: { stage, loaded?, total? } } while working,
+//               then { id, result } or { id, error: { name, message, code } }.
+// Files are read as a stream into one buffer, and output Blobs are built from the
+// parts writeMetadataParts() returns, so a 150MB PNG is held in memory once, not three times.
+
+import { setLocale, t } from '../i18n/index.js';
+import {
+  FORMAT_MIME_TYPES, detectFormat, readMetadata, scrubMetadataParts, writeMetadataParts,
+} from '../metadata/index.js';
+
+// Report read progress in whole percents, not once per stream chunk.
+// An empty file can't be an image, and would make the percentage NaN.
+async function readFileBytes(file, report) {
+  if (file.size === 0) throw new Error(t('error.unsupportedFormat'));
+  const bytes = new Uint8Array(file.size);
+  const reader = file.stream().getReader();
+  let loaded = 0;
+  let percent = -1;
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    bytes.set(value, loaded);
+    loaded += value.length;
+
+    const nextPercent = Math.floor((loaded / file.size) * 100);
+    if (nextPercent !== percent) {
+      percent = nextPercent;
+      report({ stage: 'read', loaded, total: file.size });
+    }
+  }
+
+  return bytes;
+}
+
+function toBlob(parts, format) {
+  return new Blob(parts, { type: FORMAT_MIME_TYPES[format] });
+}
+
+const ACTIONS = {
+  // { result: readMetadata() result, format }; format is needed for the stealth fallback
+  async read({ file }, report) {
+    const bytes = await readFileBytes(file, report);
+    report({ stage: 'parse' });
+    return { result: await readMetadata(bytes), format: detectFormat(bytes) };
+  },
+
+  // { blob, warnings, format }
+  async write({ file, model, options }, report) {
+    const bytes = await readFileBytes(file, report);
+    report({ stage: 'write' });
+    const format = detectFormat(bytes);
+    const { parts, warnings } = await writeMetadataParts(bytes, model, options);
+    return { blob: toBlob(parts, format), warnings, format };
+  },
+
+  // { blob, removed, format }
+  async scrub({ file, options }, report) {
+    const bytes = await readFileBytes(file, report);
+    report({ stage: 'write' });
+    const format = detectFormat(bytes);
+    const { parts, removed } = await scrubMetadataParts(bytes, options);
+    return { blob: toBlob(parts, format), removed, format };
+  },
+};
+
+self.onmessage = async ({ data }) => {
+  const { id, action, locale, ...args } = data;
+  // Errors and scrub reports come back in the language the page is showing
+  setLocale(locale);
+  const report = progress => self.postMessage({ id, progress });
+
+  try {
+    self.postMessage({ id, result: await ACTIONS[action](args, report) });
+  } catch (err) {
+    console.error(err);
+    self.postMessage({ id, error: { name: err.name, message: err.message, code: err.code } });
+  }
+};
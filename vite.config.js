@@ -1,7 +1,37 @@
+import { createHash } from 'node:crypto'
+import { readFileSync, readdirSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits src/pwa/serviceWorker.js as /sw.js with the list of files to cache for offline use:
+// everything in the build plus the public folder. The version changes with any of them.
+function serviceWorker() {
+  return {
+    name: 'exif-exists-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    generateBundle(_, bundle) {
+      const publicFiles = readdirSync('public').map(name => [name, readFileSync(`public/${name}`)])
+      const files = [
+        ...Object.keys(bundle).filter(name => !name.endsWith('.map')),
+        ...publicFiles.map(([name]) => name),
+      ].sort().map(name => `/${name}`)
+
+      const hash = createHash('sha256').update(files.join('\n'))
+      for (const [, content] of publicFiles) hash.update(content)
+      const manifest = { version: hash.digest('hex').slice(0, 12), files }
+
+      const source = readFileSync('src/pwa/serviceWorker.js', 'utf-8')
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source.replace('self.__PRECACHE_MANIFEST', JSON.stringify(manifest)),
+      })
+    },
+  }
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
-  plugins: [react()],
-})
\ No newline at end of file
+  plugins: [react(), serviceWorker()],
+})